@@ -0,0 +1,129 @@
+/**
+ * Inline SVG line charts for the results panel
+ * Charts are returned as markup strings, like the rest of the results HTML,
+ * and scale with their container through the viewBox.
+ */
+
+const MARGIN = { top: 28, right: 20, bottom: 44, left: 76 };
+const AXIS_COLOR = '#4b5563';
+const GRID_COLOR = '#374151';
+const TEXT_COLOR = '#9ca3af';
+
+/**
+ * Render series of (x, y) points as an SVG line chart
+ * Points that a log axis cannot show (y <= 0) are dropped.
+ * @param {{title: string, series: Array<{name: string, color: string, points: Array<{x: number, y: number}>}>,
+ *   xLabel?: string, yLabel?: string, xTicks?: number[], formatX?: function(number): string,
+ *   formatY?: function(number): string, logX?: boolean, logY?: boolean, width?: number, height?: number}} options -
+ *   Chart title, one series per line, axis labels, x tick positions (default every x in the data), tick label
+ *   formatters, log scales and the viewBox size
+ * @returns {string} SVG markup, or an empty string when no point can be drawn
+ */
+export function lineChart({
+  title,
+  series,
+  xLabel = '',
+  yLabel = '',
+  xTicks,
+  formatX = String,
+  formatY = String,
+  logX = false,
+  logY = false,
+  width = 640,
+  height = 300
+}) {
+  const drawable = series.map(line => ({
+    ...line,
+    points: line.points.filter(({ x, y }) => Number.isFinite(x) && Number.isFinite(y) && (!logX || x > 0) && (!logY || y > 0))
+  }));
+  const points = drawable.flatMap(line => line.points);
+  if (points.length === 0) {
+    return '';
+  }
+
+  const x = axis(points.map(point => point.x), { log: logX, ticks: xTicks, from: MARGIN.left, to: width - MARGIN.right });
+  const y = axis(points.map(point => point.y), { log: logY, from: height - MARGIN.bottom, to: MARGIN.top, zero: !logY });
+  // Keep x labels from overlapping: at most one per ~48 units of width
+  const labelEvery = Math.ceil(x.ticks.length / Math.max(1, Math.floor((width - MARGIN.left - MARGIN.right) / 48)));
+
+  const grid = [
+    ...y.ticks.map(value => `
+      <line x1="${MARGIN.left}" x2="${width - MARGIN.right}" y1="${y.scale(value)}" y2="${y.scale(value)}" stroke="${GRID_COLOR}" stroke-width="1"/>
+      <text x="${MARGIN.left - 8}" y="${y.scale(value)}" fill="${TEXT_COLOR}" font-size="11" text-anchor="end" dominant-baseline="middle">${formatY(value)}</text>`),
+    ...x.ticks.map((value, i) => `
+      <line x1="${x.scale(value)}" x2="${x.scale(value)}" y1="${height - MARGIN.bottom}" y2="${height - MARGIN.bottom + 4}" stroke="${AXIS_COLOR}" stroke-width="1"/>
+      ${i % labelEvery === 0 ? `<text x="${x.scale(value)}" y="${height - MARGIN.bottom + 16}" fill="${TEXT_COLOR}" font-size="11" text-anchor="middle">${formatX(value)}</text>` : ''}`)
+  ].join('');
+
+  const lines = drawable.filter(line => line.points.length > 0).map(({ name, color, points: linePoints }) => {
+    const coordinates = linePoints.map(point => `${x.scale(point.x).toFixed(1)},${y.scale(point.y).toFixed(1)}`);
+    const markers = linePoints.map((point, i) => {
+      const [cx, cy] = coordinates[i].split(',');
+      return `<circle cx="${cx}" cy="${cy}" r="3" fill="${color}"><title>${name}: ${formatX(point.x)}, ${formatY(point.y)}</title></circle>`;
+    }).join('');
+    return `<polyline points="${coordinates.join(' ')}" fill="none" stroke="${color}" stroke-width="2" stroke-linejoin="round"/>${markers}`;
+  }).join('');
+
+  return `
+    <svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" role="img" aria-label="${title}">
+      <text x="${MARGIN.left}" y="16" fill="#d1d5db" font-size="13" font-weight="600">${title}</text>
+      ${grid}
+      <line x1="${MARGIN.left}" x2="${MARGIN.left}" y1="${MARGIN.top}" y2="${height - MARGIN.bottom}" stroke="${AXIS_COLOR}" stroke-width="1"/>
+      <line x1="${MARGIN.left}" x2="${width - MARGIN.right}" y1="${height - MARGIN.bottom}" y2="${height - MARGIN.bottom}" stroke="${AXIS_COLOR}" stroke-width="1"/>
+      <text x="${(MARGIN.left + width - MARGIN.right) / 2}" y="${height - 6}" fill="${TEXT_COLOR}" font-size="11" text-anchor="middle">${xLabel}</text>
+      <text x="14" y="${(MARGIN.top + height - MARGIN.bottom) / 2}" fill="${TEXT_COLOR}" font-size="11" text-anchor="middle" transform="rotate(-90 14 ${(MARGIN.top + height - MARGIN.bottom) / 2})">${yLabel}</text>
+      ${lines}
+    </svg>
+  `;
+}
+
+/**
+ * Map data values onto one pixel axis
+ * Log axes span whole powers of ten with a tick at each; linear axes span
+ * rounded steps, from zero when zero is set.
+ * @returns {{scale: function(number): number, ticks: number[]}} Value to pixel mapping and tick values
+ */
+function axis(values, { log = false, ticks, from, to, zero = false }) {
+  const transform = log ? Math.log10 : value => value;
+  let min = Math.min(...values.map(transform));
+  let max = Math.max(...values.map(transform));
+  let tickValues = ticks;
+
+  if (log) {
+    if (!ticks) {
+      min = Math.floor(min);
+      max = Math.max(Math.ceil(max), min + 1);
+      tickValues = Array.from({ length: max - min + 1 }, (_, i) => 10 ** (min + i));
+    }
+  } else if (!ticks) {
+    if (zero) {
+      min = Math.min(0, min);
+    }
+    const step = niceStep((max - min) / 4 || Math.abs(max) || 1);
+    min = Math.floor(min / step) * step;
+    max = Math.max(Math.ceil(max / step) * step, min + step);
+    tickValues = Array.from({ length: Math.round((max - min) / step) + 1 }, (_, i) => min + i * step);
+  }
+  if (ticks) {
+    min = Math.min(min, ...ticks.map(transform));
+    max = Math.max(max, ...ticks.map(transform));
+  }
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+
+  return {
+    scale: value => from + (transform(value) - min) / (max - min) * (to - from),
+    ticks: tickValues
+  };
+}
+
+/**
+ * Round a step up to 1, 2 or 5 times a power of ten
+ */
+function niceStep(rough) {
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const fraction = rough / magnitude;
+  return (fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10) * magnitude;
+}
@@ -0,0 +1,304 @@
+/**
+ * Input key distributions
+ * Every distribution draws from the seeded generator of createRandom, so the
+ * same distribution, parameter and seed always give the same keys. Ordered
+ * distributions are ordered by sort bits, the order the sorters produce.
+ * Skewed inputs matter: heavy digit collisions stress WLMS ranking and the
+ * OneSweep lookback in ways uniform keys never do.
+ */
+
+import { getKeyType } from './sorting/keyTypes.js';
+
+// Distinct values a Zipf input draws from (fewer when there are fewer keys)
+const ZIPF_VALUES = 1 << 16;
+
+/**
+ * Distributions by id, in selector order
+ * param describes the one numeric parameter a distribution takes: its label,
+ * default and bounds (max may depend on the key type).
+ */
+export const DISTRIBUTIONS = Object.freeze({
+  uniform: Object.freeze({
+    name: 'Uniform',
+    generate: fillUniform
+  }),
+  sorted: Object.freeze({
+    name: 'Sorted',
+    generate: context => {
+      fillUniform(context);
+      sortKeys(context);
+    }
+  }),
+  reverse: Object.freeze({
+    name: 'Reverse sorted',
+    generate: context => {
+      fillUniform(context);
+      sortKeys(context);
+      reverseKeys(context);
+    }
+  }),
+  'nearly-sorted': Object.freeze({
+    name: 'Nearly sorted',
+    param: Object.freeze({ label: 'Swaps', default: 100, min: 0, integer: true }),
+    describe: swaps => `${swaps} random swaps`,
+    generate: context => {
+      fillUniform(context);
+      sortKeys(context);
+      const { count, random, param: swaps } = context;
+      for (let i = 0; i < swaps && count > 1; i++) {
+        swapKeys(context, randomBelow(random, count), randomBelow(random, count));
+      }
+    }
+  }),
+  equal: Object.freeze({
+    name: 'All equal',
+    generate: context => fillFromPool(context, 1, () => 0)
+  }),
+  'few-unique': Object.freeze({
+    name: 'Few unique',
+    param: Object.freeze({ label: 'Distinct values', default: 16, min: 1, integer: true }),
+    describe: values => `${values} distinct values`,
+    generate: context => {
+      const { random, param: values } = context;
+      fillFromPool(context, values, () => randomBelow(random, values));
+    }
+  }),
+  zipf: Object.freeze({
+    name: 'Zipf',
+    param: Object.freeze({ label: 'Exponent', default: 1, min: 0, step: 0.1 }),
+    describe: exponent => `exponent ${exponent}`,
+    generate: context => {
+      const { count, random, param: exponent } = context;
+      // The r-th most frequent value is drawn with weight 1 / r^exponent
+      const values = Math.max(1, Math.min(count, ZIPF_VALUES));
+      const cumulative = new Float64Array(values);
+      let total = 0;
+      for (let rank = 0; rank < values; rank++) {
+        total += (rank + 1) ** -exponent;
+        cumulative[rank] = total;
+      }
+      fillFromPool(context, values, () => {
+        const target = random() / 0x100000000 * total;
+        let low = 0;
+        let high = values - 1;
+        while (low < high) {
+          const middle = (low + high) >> 1;
+          if (cumulative[middle] > target) {
+            high = middle;
+          } else {
+            low = middle + 1;
+          }
+        }
+        return low;
+      });
+    }
+  }),
+  bits: Object.freeze({
+    name: 'N random bits',
+    param: Object.freeze({ label: 'Random bits', default: 8, min: 0, max: keyBits, integer: true }),
+    describe: bits => `${bits} random low bits`,
+    generate: fillRandomBits
+  })
+});
+
+/**
+ * Seeded 32-bit linear congruential generator
+ * @param {number} seed - Integer seed; only its low 32 bits are used
+ * @returns {function(): number} Next unsigned 32-bit word on every call
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state;
+  };
+}
+
+/**
+ * Draw a fresh seed for createRandom
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * Parameter a distribution runs with, validated
+ * @param {string} distribution - Id in DISTRIBUTIONS
+ * @param {number} [param] - Requested value, default the distribution's own
+ * @param {string} [keyType] - Key type, which bounds the bits distribution
+ * @returns {number|undefined} Parameter value, undefined for distributions without one
+ */
+export function resolveDistributionParam(distribution, param, keyType = 'u32') {
+  const { param: spec } = getDistribution(distribution);
+  if (!spec) {
+    return undefined;
+  }
+  const value = param ?? spec.default;
+  const max = typeof spec.max === 'function' ? spec.max(keyType) : spec.max ?? Infinity;
+  if (!Number.isFinite(value) || value < spec.min || value > max || (spec.integer && !Number.isInteger(value))) {
+    const range = max === Infinity ? `at least ${spec.min}` : `${spec.min} to ${max}`;
+    throw new Error(`${distribution}: ${spec.label.toLowerCase()} must be ${spec.integer ? 'an integer ' : ''}${range}, got ${value}`);
+  }
+  return value;
+}
+
+/**
+ * Look up a distribution by id
+ * @param {string} distribution - Id in DISTRIBUTIONS
+ * @returns {{name: string, param?: Object, describe?: Function, generate: Function}} Distribution description
+ */
+export function getDistribution(distribution) {
+  const entry = DISTRIBUTIONS[distribution];
+  if (!entry) {
+    throw new Error(`Unknown distribution "${distribution}"; expected one of ${Object.keys(DISTRIBUTIONS).join(', ')}`);
+  }
+  return entry;
+}
+
+/**
+ * Name a distribution with its parameter, for result headers
+ * @param {string} distribution - Id in DISTRIBUTIONS
+ * @param {number} [param] - Parameter it ran with
+ * @returns {string} e.g. "Nearly sorted (100 random swaps)"
+ */
+export function describeDistribution(distribution, param) {
+  const { name, param: spec, describe } = getDistribution(distribution);
+  return spec ? `${name} (${describe(param ?? spec.default)})` : name;
+}
+
+/**
+ * Generate keys from a distribution
+ * @param {number} count - Number of keys
+ * @param {{keyType?: string, distribution?: string, param?: number, seed?: number}} [options] - Key type, distribution
+ *   id, its parameter (see DISTRIBUTIONS) and the generator seed
+ * @returns {Uint32Array|Int32Array|Float32Array|Uint16Array} Keys (u64 as (hi, lo) word pairs)
+ */
+export function generateKeys(count, { keyType = 'u32', distribution = 'uniform', param, seed = randomSeed() } = {}) {
+  const { ArrayType, words } = getKeyType(keyType);
+  const keys = new ArrayType(count * words);
+  getDistribution(distribution).generate({
+    keys,
+    count,
+    keyType,
+    words,
+    random: createRandom(seed),
+    param: resolveDistributionParam(distribution, param, keyType)
+  });
+  return keys;
+}
+
+/**
+ * Bits in one key of a type
+ */
+function keyBits(keyType) {
+  return keyType === 'f16' ? 16 : 32 * getKeyType(keyType).words;
+}
+
+function randomBelow(random, bound) {
+  return Math.floor(random() / 0x100000000 * bound);
+}
+
+/**
+ * Raw bit patterns of the keys: the array itself for integer types, a word view for floats
+ */
+function rawWords(keys) {
+  return keys instanceof Float32Array || keys instanceof Int32Array
+    ? new Uint32Array(keys.buffer, keys.byteOffset, keys.length)
+    : keys;
+}
+
+function fillUniform({ keys, keyType, random }) {
+  for (let i = 0; i < keys.length; i++) {
+    keys[i] = randomKey(random(), keyType);
+  }
+}
+
+/**
+ * Turn a random 32-bit word into a key of the given type
+ * Signed ints reinterpret the word; floats stay finite and span both signs.
+ */
+function randomKey(word, keyType) {
+  switch (keyType) {
+    case 'f32':
+      return (word / 0x100000000 * 2 - 1) * 10000;
+    case 'f16': {
+      const half = word >>> 16;
+      // Exponent 0x1F encodes Inf/NaN; clear its top bit to stay finite
+      return (half & 0x7C00) === 0x7C00 ? half ^ 0x4000 : half;
+    }
+    default:
+      return word;
+  }
+}
+
+/**
+ * Fill every key with one of `values` uniform random keys, picked by pick()
+ */
+function fillFromPool(context, values, pick) {
+  const { keys, count, keyType, words, random } = context;
+  const pool = new keys.constructor(values * words);
+  fillUniform({ keys: pool, keyType, random });
+  for (let i = 0; i < count; i++) {
+    const value = pick();
+    for (let word = 0; word < words; word++) {
+      keys[i * words + word] = pool[value * words + word];
+    }
+  }
+}
+
+/**
+ * Keys whose raw bit patterns are zero but for the low `param` bits
+ * Float keys take the bits as they are, so wide enough masks reach NaN and
+ * infinity patterns; the sorters order those by sort bits like any other key.
+ */
+function fillRandomBits({ keys, keyType, words, random, param: bits }) {
+  const raw = rawWords(keys);
+  const width = keyType === 'f16' ? 16 : 32;
+  for (let i = 0; i < raw.length; i++) {
+    // u64 keys are (hi, lo) pairs: the lo word takes the first 32 bits
+    const wordBits = Math.max(0, Math.min(width, bits - width * (words - 1 - i % words)));
+    // Take the generator's high bits; an LCG's low bits repeat with short periods
+    const word = random();
+    raw[i] = wordBits === 0 ? 0 : word >>> (32 - wordBits);
+  }
+}
+
+/**
+ * Sort keys ascending by their sort bits, in place
+ */
+function sortKeys({ keys, count, keyType, words }) {
+  if (words === 2) {
+    const pairs = new BigUint64Array(count);
+    for (let i = 0; i < count; i++) {
+      pairs[i] = (BigInt(keys[2 * i]) << 32n) | BigInt(keys[2 * i + 1]);
+    }
+    pairs.sort();
+    for (let i = 0; i < count; i++) {
+      keys[2 * i] = Number(pairs[i] >> 32n);
+      keys[2 * i + 1] = Number(pairs[i] & 0xFFFFFFFFn);
+    }
+    return;
+  }
+
+  const { toSortBits, fromSortBits } = getKeyType(keyType);
+  const raw = rawWords(keys);
+  const bits = Uint32Array.from(raw, toSortBits).sort();
+  for (let i = 0; i < count; i++) {
+    raw[i] = fromSortBits(bits[i]);
+  }
+}
+
+function reverseKeys(context) {
+  for (let i = 0, j = context.count - 1; i < j; i++, j--) {
+    swapKeys(context, i, j);
+  }
+}
+
+function swapKeys({ keys, words }, a, b) {
+  for (let word = 0; word < words; word++) {
+    const temp = keys[a * words + word];
+    keys[a * words + word] = keys[b * words + word];
+    keys[b * words + word] = temp;
+  }
+}
@@ -1,17 +1,80 @@
 import './style.css';
-import { FidelityFXSort } from './sorting/FidelityFXSort.js';
-import { DeviceRadixSort } from './sorting/DeviceRadixSort.js';
-import { OneSweep } from './sorting/OneSweep.js';
-import { generateTestData, validateSort, compareArrays, formatTime, formatNumber } from './utils.js';
+import {
+  listSorters,
+  getSorter,
+  autotune,
+  AUTOTUNE_SORTERS,
+  MemoryBudget,
+  DEFAULT_MEMORY_BUDGET,
+  benchmarkSort,
+  sortTime,
+  DEFAULT_WARMUP,
+  DEFAULT_TRIALS,
+  HIGH_VARIANCE_CV,
+  WALL_CLOCK_WARMUP,
+  WALL_CLOCK_TRIALS
+} from './sorting/index.js';
+import { KEY_TYPES } from './sorting/keyTypes.js';
+import {
+  generateTestArrays,
+  validateSort,
+  compareArrays,
+  formatTime,
+  formatNumber,
+  formatBytes,
+  formatThroughput
+} from './utils.js';
+import { lineChart } from './chart.js';
+import { DISTRIBUTIONS, describeDistribution, resolveDistributionParam, randomSeed } from './distributions.js';
+import { encodeConfig, decodeConfig, parseShaderParams, formatShaderParams } from './urlState.js';
 
 // WebGPU device and context
 let device = null;
-let fidelityFXSort = null;
-let deviceRadixSort = null;
-let oneSweep = null;
+let adapterInfo = null;
+let subgroupsSupported = false;
+
+// Size sweeps run powers of two from 2^SWEEP_MIN_EXPONENT up to what one
+// storage binding can hold
+const SWEEP_MIN_EXPONENT = 10;
+
+// Shown next to every time, by the source sortTime reports for it
+const TIMING_SOURCE_LABELS = {
+  timestamp: 'GPU timestamps',
+  'wall-clock': 'wall clock, less precise',
+  cpu: 'CPU'
+};
+const WALL_CLOCK_NOTE = `No timestamp queries on this device: GPU times are the wall-clock time from submit to onSubmittedWorkDone, the median of ${WALL_CLOCK_TRIALS} runs after ${WALL_CLOCK_WARMUP} warmup, and include queue and driver overhead.`;
+
+// Sorter instances keyed by registry id, created on first use and sized for
+// the largest run so far; the budget releases the buffers of idle ones
+const sorterInstances = new Map();
+let memoryBudget = null;
+
+// Shader parameter overrides of the current run, by registry id (null for none)
+let shaderOverrides = {};
 
 // Initialize the application
 async function init() {
+  const registered = listSorters();
+  const modeOptions = registered
+    .map(entry => `<option value="${entry.id}">${entry.shortName} Only</option>`)
+    .join('\n            ');
+  const keyTypeOptions = Object.keys(KEY_TYPES)
+    .map(keyType => `<option value="${keyType}">${keyType} keys</option>`)
+    .join('\n            ');
+  const distributionOptions = Object.entries(DISTRIBUTIONS)
+    .map(([id, { name }]) => `<option value="${id}">${name}</option>`)
+    .join('\n            ');
+  const shaderParamFields = registered
+    .filter(entry => entry.capabilities.shaderParams.length > 0)
+    .map(entry => `
+          <div>
+            <label for="shader-params-${entry.id}" class="block mb-1 text-sm text-gray-400">${entry.shortName}</label>
+            <input id="shader-params-${entry.id}" type="text" placeholder="${entry.capabilities.shaderParams.join(', ')}"
+                   class="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-gray-100 font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500">
+          </div>`)
+    .join('');
+
   const app = document.getElementById('app');
   app.innerHTML = `
     <div class="container mx-auto px-4 py-8">
@@ -32,24 +95,59 @@ async function init() {
           </span>
         </a>
       </div>
-      <p class="text-gray-400 mb-8">4-way comparison: FidelityFX vs DeviceRadixSort vs OneSweep vs JavaScript</p>
+      <p class="text-gray-400 mb-8">${registered.length}-way comparison: ${registered.map(entry => entry.shortName).join(' vs ')}</p>
       <div class="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
         <!-- Algorithm Selection -->
         <div class="bg-gray-800 rounded-lg p-6 border border-gray-700">
           <h2 class="text-xl font-semibold mb-4">Test Mode</h2>
           <select id="algorithm-select" class="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500">
-            <option value="all">All Algorithms (4-way)</option>
-            <option value="fidelityfx">FidelityFX Only</option>
-            <option value="deviceradix">DeviceRadixSort Only</option>
-            <option value="onesweep">OneSweep Only</option>
-            <option value="javascript">JavaScript Only</option>
+            <option value="all">All Algorithms (${registered.length}-way)</option>
+            ${modeOptions}
+          </select>
+          <select id="key-type-select" class="w-full mt-3 bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500">
+            ${keyTypeOptions}
+          </select>
+          <select id="order-select" class="w-full mt-3 bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500">
+            <option value="asc">Ascending</option>
+            <option value="desc">Descending</option>
           </select>
+          <label for="distribution-select" class="block mt-3 mb-1 text-sm text-gray-400">Key distribution</label>
+          <select id="distribution-select" class="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500">
+            ${distributionOptions}
+          </select>
+          <div id="distribution-param-field" class="hidden mt-2">
+            <label id="distribution-param-label" for="distribution-param" class="block mb-1 text-sm text-gray-400"></label>
+            <input id="distribution-param" type="number"
+                   class="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500">
+          </div>
+          <label for="seed" class="block mt-3 mb-1 text-sm text-gray-400">Seed (blank for random)</label>
+          <input id="seed" type="number" min="0" max="4294967295" step="1" placeholder="random"
+                 class="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500">
         </div>
         <!-- Array Size -->
         <div class="bg-gray-800 rounded-lg p-6 border border-gray-700">
           <h2 class="text-xl font-semibold mb-4">Array Size</h2>
           <input id="array-size" type="number" value="1000000" min="1000" max="10000000" step="100000" 
                  class="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500">
+          <label class="flex items-center gap-2 mt-3 text-sm text-gray-300">
+            <input id="sweep-mode" type="checkbox" class="accent-blue-500">
+            Size sweep (powers of two)
+          </label>
+          <div class="grid grid-cols-2 gap-3 mt-2">
+            <div>
+              <label for="sweep-from" class="block mb-1 text-sm text-gray-400">From 2^</label>
+              <input id="sweep-from" type="number" value="${SWEEP_MIN_EXPONENT}" min="${SWEEP_MIN_EXPONENT}" max="31" step="1"
+                     class="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500">
+            </div>
+            <div>
+              <label for="sweep-to" class="block mb-1 text-sm text-gray-400">To 2^</label>
+              <input id="sweep-to" type="number" value="24" min="${SWEEP_MIN_EXPONENT}" max="31" step="1"
+                     class="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500">
+            </div>
+          </div>
+          <label for="memory-budget" class="block mt-3 mb-1 text-sm text-gray-400">GPU memory budget (MiB)</label>
+          <input id="memory-budget" type="number" value="${DEFAULT_MEMORY_BUDGET / (1024 * 1024)}" min="16" step="64"
+                 class="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500">
         </div>
         <!-- Actions -->
         <div class="bg-gray-800 rounded-lg p-6 border border-gray-700">
@@ -57,8 +155,34 @@ async function init() {
           <button id="run-sort" class="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg transition">
             Run Comparison
           </button>
+          <label class="flex items-center gap-2 mt-3 text-sm text-gray-300">
+            <input id="benchmark-mode" type="checkbox" class="accent-blue-500">
+            Benchmark mode (repeated trials)
+          </label>
+          <div class="grid grid-cols-2 gap-3 mt-2">
+            <div>
+              <label for="benchmark-warmup" class="block mb-1 text-sm text-gray-400">Warmup runs</label>
+              <input id="benchmark-warmup" type="number" value="${DEFAULT_WARMUP}" min="0" step="1"
+                     class="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500">
+            </div>
+            <div>
+              <label for="benchmark-trials" class="block mb-1 text-sm text-gray-400">Timed trials</label>
+              <input id="benchmark-trials" type="number" value="${DEFAULT_TRIALS}" min="2" step="1"
+                     class="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500">
+            </div>
+          </div>
+          <button id="run-autotune" class="w-full mt-3 bg-gray-700 hover:bg-gray-600 text-gray-100 font-semibold py-2 px-4 rounded-lg transition">
+            Autotune Kernels
+          </button>
         </div>
       </div>
+      <!-- Variant Overrides -->
+      <details id="shader-params" class="bg-gray-800 rounded-lg p-6 border border-gray-700 mb-6">
+        <summary class="text-xl font-semibold cursor-pointer">Variant overrides</summary>
+        <p class="mt-3 text-sm text-gray-400">Shader template parameters as <code>name:value, name:value</code>; blank runs the stored tuning or the defaults.</p>
+        <div class="grid grid-cols-1 lg:grid-cols-2 gap-3 mt-3">${shaderParamFields}
+        </div>
+      </details>
       <!-- Results -->
       <div class="bg-gray-800 rounded-lg p-6 border border-gray-700 mb-6">
         <h2 class="text-xl font-semibold mb-4">Results</h2>
@@ -76,6 +200,9 @@ async function init() {
   // Initialize WebGPU
   await initWebGPU();
 
+  // Restore the configuration a shared link carries
+  applyConfig(decodeConfig(window.location.search));
+
   // Setup event listeners
   setupEventListeners();
 }
@@ -95,47 +222,27 @@ async function initWebGPU() {
       return false;
     }
 
-    // Check for subgroups support
-    if (!adapter.features.has('subgroups')) {
-      statusEl.innerHTML = '<p class="text-sm text-red-400">❌ Subgroups feature not supported</p>';
-      return false;
-    }
-
-    // Check for workgroup storage size support
+    // Subgroup sorters need the subgroups feature and 32 KB of workgroup
+    // storage; without them only sorters with a portable build run
     const limits = adapter.limits;
     const requiredWorkgroupStorage = 32768;
-    if (limits.maxComputeWorkgroupStorageSize < requiredWorkgroupStorage) {
-      statusEl.innerHTML = `<p class="text-sm text-red-400">❌ Insufficient workgroup storage: ${limits.maxComputeWorkgroupStorageSize} bytes (need ${requiredWorkgroupStorage} bytes)</p>`;
-      return false;
-    }
+    subgroupsSupported = adapter.features.has('subgroups') &&
+      limits.maxComputeWorkgroupStorageSize >= requiredWorkgroupStorage;
 
     // Request device with necessary features
-    const features = ['subgroups'];
+    const features = subgroupsSupported ? ['subgroups'] : [];
     if (adapter.features.has('timestamp-query')) {
       features.push('timestamp-query');
     }
 
     device = await adapter.requestDevice({
       requiredFeatures: features,
-      requiredLimits: {
-        maxComputeWorkgroupStorageSize: requiredWorkgroupStorage
-      }
+      requiredLimits: subgroupsSupported
+        ? { maxComputeWorkgroupStorageSize: requiredWorkgroupStorage }
+        : {}
     });
 
-    // Initialize sorting algorithms
-    statusEl.innerHTML = '<p class="text-sm text-blue-400">Initializing sorting algorithms...</p>';
-    
-    const maxKeys = 10000000; // 10M elements max
-    fidelityFXSort = new FidelityFXSort(device, maxKeys);
-    await fidelityFXSort.init();
-    
-    deviceRadixSort = new DeviceRadixSort(device, maxKeys);
-    await deviceRadixSort.init();
-    
-    oneSweep = new OneSweep(device, maxKeys);
-    await oneSweep.init();
-
-    let adapterInfo = null;
+    // Adapter info keys the stored kernel tunings, so query it before the sorters init
     try {
       if ('info' in adapter && adapter.info) {
         adapterInfo = adapter.info;
@@ -146,7 +253,17 @@ async function initWebGPU() {
       console.warn('Unable to query adapter info', infoError);
     }
 
+    // Sorters are built on first use; the budget keeps their buffers in check
+    memoryBudget = new MemoryBudget(device);
+    device.lost.then(info => {
+      device = null;
+      sorterInstances.clear();
+      statusEl.innerHTML = `<p class="text-sm text-red-400">❌ GPU device lost (${info.reason}): ${info.message}. Reload the page to continue.</p>`;
+    });
+
     const deviceLimits = device.limits;
+    const sweepToInput = document.getElementById('sweep-to');
+    sweepToInput.value = sweepToInput.max = maxSweepExponent('u32');
     const formatLimit = value => (typeof value === 'number' && Number.isFinite(value)) ? formatNumber(value) : 'n/a';
     const normalizeSubgroup = value => (typeof value === 'number' && Number.isFinite(value) && value > 0) ? value : null;
     const rawMinSubgroup = normalizeSubgroup(adapterInfo?.subgroupMinSize) ?? normalizeSubgroup(deviceLimits.minSubgroupSize) ?? normalizeSubgroup(limits.minSubgroupSize);
@@ -164,12 +281,19 @@ async function initWebGPU() {
       ? 'unavailable'
       : `${workgroupStorageValue} bytes`;
 
+    const skipped = listSorters().filter(entry => !isAvailable(entry)).map(entry => entry.shortName);
+    const portableNote = subgroupsSupported
+      ? ''
+      : `<p class="text-yellow-400">Subgroups unavailable (the subgroups feature and ${formatNumber(requiredWorkgroupStorage)} bytes of workgroup storage are required): using the portable DeviceRadixSort build${skipped.length ? `, skipping ${skipped.join(', ')}` : ''}</p>`;
+
     statusEl.innerHTML = `
       <div class="text-sm space-y-1">
         <p class="text-green-400">✓ WebGPU initialized</p>
-        <p class="text-gray-300"><span class="text-gray-400">Features:</span> ${features.join(', ')}</p>
+        ${portableNote}
+        <p class="text-gray-300"><span class="text-gray-400">Features:</span> ${features.join(', ') || 'none'}</p>
         <p class="text-gray-300"><span class="text-gray-400">Subgroup size range:</span> ${subgroupRange}</p>
         <p class="text-gray-300"><span class="text-gray-400">Workgroup storage:</span> ${workgroupStorage}</p>
+        <p class="text-gray-300"><span class="text-gray-400">Max buffer size:</span> ${formatBytes(deviceLimits.maxBufferSize)} (${formatBytes(deviceLimits.maxStorageBufferBindingSize)} per storage binding)</p>
       </div>
     `;
     return true;
@@ -180,10 +304,181 @@ async function initWebGPU() {
   }
 }
 
+/**
+ * Largest power-of-two key count of a key type that fits one storage binding
+ */
+function maxSweepExponent(keyType) {
+  const { maxBufferSize, maxStorageBufferBindingSize } = device.limits;
+  const bytesPerKey = KEY_TYPES[keyType].words * 4;
+  return Math.floor(Math.log2(Math.min(maxBufferSize, maxStorageBufferBindingSize) / bytesPerKey));
+}
+
+/**
+ * Whether a registered sorter can run on the initialized device
+ */
+function isAvailable(entry) {
+  return subgroupsSupported || !entry.capabilities.subgroups;
+}
+
+/**
+ * Return the sorter instance for a registry entry, admitted to the memory budget for keyCount keys
+ * Key types and shader parameters are compiled into the shaders, so changing
+ * either recreates the sorter, as does a run larger than it was sized for.
+ * Admission throws when the sorter cannot fit, before its buffers are allocated.
+ */
+async function getSorterInstance(entry, keyType, keyCount) {
+  let sorter = sorterInstances.get(entry.id);
+  const shaderParams = shaderOverrides[entry.id] ?? undefined;
+  if (sorter?.keyType !== keyType || sorter.maxKeys < keyCount ||
+      formatShaderParams(sorter.shaderParams) !== formatShaderParams(shaderParams)) {
+    memoryBudget.release(entry.id);
+    sorter?.destroy();
+    sorter = entry.create(device, keyCount, { keyType, shaderParams, adapterInfo });
+    await sorter.init();
+    sorterInstances.set(entry.id, sorter);
+  }
+  memoryBudget.admit(entry.id, sorter);
+  return sorter;
+}
+
+/**
+ * Header line naming the input data of a run: distribution, parameter and seed
+ */
+function datasetSummary({ distribution, param, seed }) {
+  return `<p class="text-sm text-gray-400">Distribution: ${describeDistribution(distribution, param)} · Seed: <span class="font-mono text-gray-300">${seed}</span>
+    <span class="text-gray-500">(the page URL now reproduces this run)</span></p>`;
+}
+
+/**
+ * Show the parameter field of a distribution that takes one, bounded for the key type
+ * keepValue keeps the current value (clamped to the new bounds) instead of the distribution's default.
+ */
+function updateDistributionParam(distribution, keyType, { keepValue = false } = {}) {
+  const { param } = DISTRIBUTIONS[distribution];
+  const field = document.getElementById('distribution-param-field');
+  const input = document.getElementById('distribution-param');
+  field.classList.toggle('hidden', !param);
+  if (!param) {
+    return;
+  }
+  const max = typeof param.max === 'function' ? param.max(keyType) : param.max;
+  document.getElementById('distribution-param-label').textContent = param.label;
+  input.min = param.min;
+  input.max = max ?? '';
+  input.step = param.step ?? 1;
+  const value = keepValue ? parseFloat(input.value) : param.default;
+  input.value = Number.isFinite(value) ? Math.min(value, max ?? Infinity) : param.default;
+}
+
+/**
+ * Read the test configuration from the form
+ * The seed is undefined when its field is blank. Throws on malformed shader
+ * parameter overrides, naming the sorter.
+ */
+function readConfig() {
+  const field = id => document.getElementById(id);
+  const distribution = field('distribution-select').value;
+  const seed = field('seed').value.trim();
+  if (seed !== '' && !(/^\d+$/.test(seed) && Number(seed) <= 0xFFFFFFFF)) {
+    throw new Error(`Seed must be an integer from 0 to 4294967295, got ${seed}`);
+  }
+  const shaderParams = {};
+  for (const entry of listSorters().filter(entry => entry.capabilities.shaderParams.length > 0)) {
+    try {
+      shaderParams[entry.id] = parseShaderParams(field(`shader-params-${entry.id}`).value, entry.capabilities.shaderParams);
+    } catch (error) {
+      throw new Error(`${entry.name}: ${error.message}`);
+    }
+  }
+
+  return {
+    mode: field('algorithm-select').value,
+    keyType: field('key-type-select').value,
+    order: field('order-select').value,
+    size: parseInt(field('array-size').value),
+    sweep: field('sweep-mode').checked
+      ? { from: parseInt(field('sweep-from').value), to: parseInt(field('sweep-to').value) }
+      : null,
+    benchmark: field('benchmark-mode').checked
+      ? { warmup: parseInt(field('benchmark-warmup').value), trials: parseInt(field('benchmark-trials').value) }
+      : null,
+    distribution,
+    param: DISTRIBUTIONS[distribution].param ? parseFloat(field('distribution-param').value) : undefined,
+    seed: seed === '' ? undefined : Number(seed),
+    shaderParams
+  };
+}
+
+/**
+ * Fill the form from a (possibly partial) configuration, as decodeConfig returns it
+ * Fields the configuration leaves out keep their current values.
+ */
+function applyConfig(config) {
+  const field = id => document.getElementById(id);
+  const set = (id, value) => {
+    if (value !== undefined) {
+      field(id).value = value;
+    }
+  };
+  set('algorithm-select', config.mode);
+  set('key-type-select', config.keyType);
+  set('order-select', config.order);
+  set('array-size', config.size);
+  set('distribution-select', config.distribution);
+  set('seed', config.seed);
+  if (device) {
+    field('sweep-to').max = maxSweepExponent(field('key-type-select').value);
+  }
+  if (config.sweep !== undefined) {
+    field('sweep-mode').checked = config.sweep !== null;
+    set('sweep-from', config.sweep?.from);
+    set('sweep-to', config.sweep?.to);
+  }
+  if (config.benchmark !== undefined) {
+    field('benchmark-mode').checked = config.benchmark !== null;
+    set('benchmark-warmup', config.benchmark?.warmup);
+    set('benchmark-trials', config.benchmark?.trials);
+  }
+  // The parameter field takes its bounds from the distribution and key type set above
+  set('distribution-param', config.param);
+  updateDistributionParam(field('distribution-select').value, field('key-type-select').value, { keepValue: config.param !== undefined });
+  // A link from a run lists every override it ran with; other sorters ran without
+  for (const entry of listSorters().filter(entry => entry.capabilities.shaderParams.length > 0)) {
+    if (config.mode || config.shaderParams?.[entry.id]) {
+      set(`shader-params-${entry.id}`, formatShaderParams(config.shaderParams?.[entry.id]).replaceAll(',', ', '));
+    }
+  }
+  if (Object.values(config.shaderParams ?? {}).some(Boolean)) {
+    field('shader-params').open = true;
+  }
+}
+
 function setupEventListeners() {
   const runButton = document.getElementById('run-sort');
-  const algorithmSelect = document.getElementById('algorithm-select');
-  const arraySizeInput = document.getElementById('array-size');
+  const keyTypeSelect = document.getElementById('key-type-select');
+  const memoryBudgetInput = document.getElementById('memory-budget');
+  const sweepToInput = document.getElementById('sweep-to');
+  const distributionSelect = document.getElementById('distribution-select');
+
+  // Wider keys lower the largest sweep size
+  keyTypeSelect.addEventListener('change', () => {
+    if (device) {
+      sweepToInput.max = maxSweepExponent(keyTypeSelect.value);
+      sweepToInput.value = Math.min(parseInt(sweepToInput.value), sweepToInput.max);
+    }
+    updateDistributionParam(distributionSelect.value, keyTypeSelect.value, { keepValue: true });
+  });
+
+  distributionSelect.addEventListener('change', () => {
+    updateDistributionParam(distributionSelect.value, keyTypeSelect.value);
+  });
+
+  memoryBudgetInput.addEventListener('change', () => {
+    const mebibytes = parseFloat(memoryBudgetInput.value);
+    if (memoryBudget && mebibytes > 0) {
+      memoryBudget.setLimit(mebibytes * 1024 * 1024);
+    }
+  });
 
   runButton.addEventListener('click', async () => {
     if (!device) {
@@ -191,183 +486,409 @@ function setupEventListeners() {
       return;
     }
 
-    const mode = algorithmSelect.value;
-    const arraySize = parseInt(arraySizeInput.value);
+    let config;
+    try {
+      config = readConfig();
+    } catch (error) {
+      document.getElementById('results').innerHTML = `<p class="text-red-400">Error: ${error.message}</p>`;
+      return;
+    }
+    const { mode, keyType, order, size, sweep, benchmark } = config;
+    // A blank seed field draws one; the URL records it so the run can be repeated exactly
+    const seed = config.seed ?? randomSeed();
+    const dataset = { distribution: config.distribution, param: config.param, seed };
+    shaderOverrides = config.shaderParams;
+    window.history.replaceState(null, '', `?${encodeConfig({ ...config, seed })}`);
 
     runButton.disabled = true;
     runButton.textContent = 'Running...';
 
-    await runSortingTest(mode, arraySize);
+    if (sweep) {
+      await runSizeSweep(mode, keyType, order, dataset, sweep, benchmark);
+    } else {
+      await runSortingTest(mode, size, keyType, order, dataset, benchmark);
+    }
 
     runButton.disabled = false;
     runButton.textContent = 'Run Comparison';
   });
+
+  const autotuneButton = document.getElementById('run-autotune');
+  autotuneButton.addEventListener('click', async () => {
+    if (!device) {
+      alert('WebGPU not initialized');
+      return;
+    }
+
+    runButton.disabled = true;
+    autotuneButton.disabled = true;
+    autotuneButton.textContent = 'Tuning...';
+
+    await runAutotune();
+
+    runButton.disabled = false;
+    autotuneButton.disabled = false;
+    autotuneButton.textContent = 'Autotune Kernels';
+  });
 }
 
-async function runSortingTest(mode, arraySize) {
+async function runAutotune() {
+  const resultsEl = document.getElementById('results');
+  try {
+    const report = await autotune(device, {
+      sorters: AUTOTUNE_SORTERS.filter(id => isAvailable(getSorter(id)) && getSorter(id).tuning?.(device)),
+      adapterInfo,
+      onProgress: ({ sorter, params, index, total }) => {
+        const config = Object.entries(params).map(([name, value]) => `${name}=${value}`).join(', ');
+        resultsEl.innerHTML = `<p class="text-blue-400">Tuning ${getSorter(sorter).name}: configuration ${index + 1} of ${total} (${config})...</p>`;
+      }
+    });
+
+    // Rebuild the tuned sorters so their next init() loads the stored winner
+    for (const id of Object.keys(report.sorters)) {
+      for (const entry of listSorters()) {
+        if (entry.id === id || entry.id === `${id}-keys`) {
+          memoryBudget.release(entry.id);
+          sorterInstances.get(entry.id)?.destroy();
+          sorterInstances.delete(entry.id);
+        }
+      }
+    }
+
+    displayAutotune(report);
+  } catch (error) {
+    resultsEl.innerHTML = `<p class="text-red-400">Error: ${error.message}</p>`;
+    console.error(error);
+  }
+}
+
+function displayAutotune({ adapterKey, sorters }) {
+  const resultsEl = document.getElementById('results');
+  const describeParams = params => Object.entries(params).map(([name, value]) => `${name}=${value}`).join(', ');
+
+  let html = `<div class="space-y-4">`;
+  html += `<p class="text-lg font-semibold">Autotune: ${adapterKey ?? 'unknown adapter'}</p>`;
+  if (!adapterKey) {
+    html += `<p class="text-yellow-400">Adapter info is unavailable, so the results were not stored.</p>`;
+  }
+
+  for (const [id, { best, results }] of Object.entries(sorters)) {
+    html += `<div class="border-t border-gray-700 pt-4">`;
+    html += `<p class="font-semibold mb-2">${getSorter(id).name}: ${best ? `${describeParams(best.params)} stored` : 'no valid configuration'}</p>`;
+    for (const result of results) {
+      const color = result === best ? 'text-green-400' : result.error ? 'text-gray-500' : 'text-gray-300';
+      const outcome = result.error ? `skipped: ${result.error}` : `${result.nsPerKey.toFixed(3)} ns/key (${result.label})`;
+      html += `<p class="text-sm ${color}">${describeParams(result.params)}: ${outcome}</p>`;
+    }
+    html += `</div>`;
+  }
+
+  html += `</div>`;
+  resultsEl.innerHTML = html;
+}
+
+/**
+ * Registry entries a run in the given mode sorts with, in registry order
+ * 'all' skips sorters that cannot sort the key type or need subgroups the
+ * device lacks; naming such a sorter on its own throws.
+ */
+function selectSorters(mode, keyType) {
+  const keyBits = KEY_TYPES[keyType].words * 32;
+  const selected = [];
+  for (const entry of listSorters()) {
+    if (mode !== 'all' && mode !== entry.id) {
+      continue;
+    }
+    if (entry.capabilities.keyBits < keyBits) {
+      if (mode === entry.id) {
+        throw new Error(`${entry.name} does not support ${keyType} keys`);
+      }
+      continue;
+    }
+    if (!isAvailable(entry)) {
+      if (mode === entry.id) {
+        throw new Error(`${entry.name} needs the subgroups feature`);
+      }
+      continue;
+    }
+    selected.push(entry);
+  }
+  return selected;
+}
+
+/**
+ * Sort a dataset once, or benchmark it when benchmark is {warmup, trials}
+ * A GPU sorter without timestamp queries is always run a few times: a single
+ * wall-clock measurement is too noisy to compare.
+ * @returns {Promise<{result: Object, time: number, source: string, stats?: Object}>} The (last) sort result, its
+ *   time (the median trial when repeated), where the time came from (see sortTime) and the trial statistics
+ */
+async function measureSort(entry, sorter, keys, values, order, benchmark, onRun) {
+  const payload = entry.capabilities.payload ? values : undefined;
+  const runs = benchmark ?? (sorter.timingSupported === false ? { warmup: WALL_CLOCK_WARMUP, trials: WALL_CLOCK_TRIALS } : null);
+  if (!runs) {
+    const result = await sorter.sortTypedArrays(keys, payload, { order });
+    return { result, ...sortTime(result) };
+  }
+  const { result, stats, source } = await benchmarkSort(sorter, keys, payload, { ...runs, order, onRun });
+  return { result, time: stats.median, source, stats };
+}
+
+/**
+ * Sort one dataset with every selected sorter and show the results
+ * The dataset is drawn from dataset.distribution with dataset.param (see
+ * distributions.js). In benchmark mode ({warmup, trials}) each sorter sorts
+ * the dataset repeatedly and is ranked by its median trial; otherwise each
+ * sorts it once. A sorter that fails (over the memory budget, say) gets an
+ * error row, and the others' results are still shown.
+ */
+async function runSortingTest(mode, arraySize, keyType, order, dataset, benchmark = null) {
   const resultsEl = document.getElementById('results');
   resultsEl.innerHTML = '<p class="text-blue-400">Generating test data...</p>';
 
   try {
     // Generate test data
-    const data = generateTestData(arraySize);
+    const param = resolveDistributionParam(dataset.distribution, dataset.param, keyType);
+    const { keys, values } = generateTestArrays(arraySize, dataset.seed, { keyType, distribution: dataset.distribution, param });
     
     resultsEl.innerHTML = '<p class="text-blue-400">Running tests...</p>';
 
     const results = {};
 
-    // Run JavaScript sort for baseline
-    if (mode === 'all' || mode === 'javascript') {
-      const jsCopy = [...data];
-      const jsStart = performance.now();
-      jsCopy.sort((a, b) => a.key - b.key);
-      const jsEnd = performance.now();
-      
-      results.javascript = {
-        time: jsEnd - jsStart,
-        sorted: jsCopy,
-        valid: validateSort(jsCopy)
-      };
+    for (const entry of selectSorters(mode, keyType)) {
+      try {
+        const sorter = await getSorterInstance(entry, keyType, arraySize);
+        const { result, time, source, stats } = await measureSort(entry, sorter, keys, values, order, benchmark, ({ run, total, warmup }) => {
+          resultsEl.innerHTML = `<p class="text-blue-400">Benchmarking ${entry.name}: ${warmup ? 'warmup' : 'trial'} run ${run + 1} of ${total}...</p>`;
+        });
+        const { keys: sortedKeys, values: sortedValues, gpuTime, cpuTime, wallTime, timingSource, ...extras } = result;
+        results[entry.id] = {
+          ...extras,
+          memory: sorter.memoryFootprint(),
+          stats,
+          time,
+          timingSource: source,
+          keys: sortedKeys,
+          values: sortedValues,
+          valid: validateSort(sortedKeys, { keyType, order })
+        };
+      } catch (error) {
+        results[entry.id] = { error: error.message };
+        console.error(error);
+      }
     }
 
-    // Run FidelityFX sort
-    if (mode === 'all' || mode === 'fidelityfx') {
-      const { sorted, gpuTime } = await fidelityFXSort.sort(data);
-      results.fidelityfx = {
-        time: gpuTime,
-        sorted,
-        valid: validateSort(sorted)
-      };
-    }
+    // Display results
+    displayResults(results, arraySize, keyType, order, { ...dataset, param }, benchmark);
+  } catch (error) {
+    resultsEl.innerHTML = `<p class="text-red-400">Error: ${error.message}</p>`;
+    console.error(error);
+  }
+}
+
+/**
+ * Sort every power of two from 2^from to 2^to keys with each selected sorter and chart the times
+ * Each size gets a fresh dataset shared by all sorters. A sorter that fails at
+ * one size (over the memory budget, say) sits out the larger ones, and its
+ * error is listed with the results.
+ */
+async function runSizeSweep(mode, keyType, order, dataset, { from, to }, benchmark = null) {
+  const resultsEl = document.getElementById('results');
 
-    // Run DeviceRadixSort
-    if (mode === 'all' || mode === 'deviceradix') {
-      const { sorted, gpuTime, subgroupSizes } = await deviceRadixSort.sort(data);
-      results.deviceradix = {
-        time: gpuTime,
-        sorted,
-        valid: validateSort(sorted),
-        subgroupSizes
-      };
+  try {
+    const param = resolveDistributionParam(dataset.distribution, dataset.param, keyType);
+    const maxExponent = maxSweepExponent(keyType);
+    if (!(from >= SWEEP_MIN_EXPONENT && from <= to && to <= maxExponent)) {
+      throw new Error(`Size sweep needs ${SWEEP_MIN_EXPONENT} ≤ from ≤ to ≤ ${maxExponent} for ${keyType} keys, got 2^${from} to 2^${to}`);
     }
+    const entries = selectSorters(mode, keyType);
+    const sizes = Array.from({ length: to - from + 1 }, (_, i) => 2 ** (from + i));
+    const sweep = Object.fromEntries(entries.map(entry => [entry.id, { points: [], error: null }]));
+
+    for (const size of sizes) {
+      resultsEl.innerHTML = `<p class="text-blue-400">Generating ${formatNumber(size)} keys...</p>`;
+      const { keys, values } = generateTestArrays(size, dataset.seed, { keyType, distribution: dataset.distribution, param });
 
-    // Run OneSweep
-    if (mode === 'all' || mode === 'onesweep') {
-      const { sorted, gpuTime, subgroupSize, shaderVariant } = await oneSweep.sort(data);
-      results.onesweep = {
-        time: gpuTime,
-        sorted,
-        valid: validateSort(sorted),
-        subgroupSize,
-        shaderVariant
-      };
+      for (const entry of entries) {
+        const line = sweep[entry.id];
+        if (line.error) {
+          continue;
+        }
+        resultsEl.innerHTML = `<p class="text-blue-400">Sweeping ${entry.name}: ${formatNumber(size)} keys...</p>`;
+        try {
+          const sorter = await getSorterInstance(entry, keyType, size);
+          const { result, time, source, stats } = await measureSort(entry, sorter, keys, values, order, benchmark);
+          line.points.push({
+            size,
+            time,
+            source,
+            keysPerSecond: size / (time / 1000),
+            valid: validateSort(result.keys, { keyType, order }).isSorted,
+            highVariance: stats?.highVariance ?? false
+          });
+        } catch (error) {
+          line.error = `stopped at ${formatNumber(size)} keys: ${error.message}`;
+          console.error(error);
+        }
+      }
     }
 
-    // Display results
-    displayResults(results, arraySize);
+    displaySweep(sweep, sizes, keyType, order, { ...dataset, param }, benchmark);
   } catch (error) {
     resultsEl.innerHTML = `<p class="text-red-400">Error: ${error.message}</p>`;
     console.error(error);
   }
 }
 
-function displayResults(results, arraySize) {
+function displaySweep(sweep, sizes, keyType, order, dataset, benchmark = null) {
   const resultsEl = document.getElementById('results');
-  
+  const lines = listSorters().filter(entry => sweep[entry.id]).map(entry => ({ entry, ...sweep[entry.id] }));
+  const formatSize = size => `2^${Math.log2(size)}`;
+  const chartSeries = field => lines.map(({ entry, points }) => ({
+    name: entry.shortName,
+    color: entry.color,
+    points: points.map(point => ({ x: point.size, y: point[field] }))
+  }));
+
+  // Fastest measured sorter per size; sorters without a time (0) are not ranked
+  const fastestAt = new Map(sizes.map(size => {
+    let fastest = null;
+    for (const { entry, points } of lines) {
+      const point = points.find(candidate => candidate.size === size);
+      if (point?.valid && point.time > 0 && (!fastest || point.time < fastest.time)) {
+        fastest = { id: entry.id, time: point.time };
+      }
+    }
+    return [size, fastest?.id];
+  }));
+  const ranges = [];
+  for (const size of sizes) {
+    const id = fastestAt.get(size);
+    const last = ranges[ranges.length - 1];
+    if (last && last.id === id) {
+      last.to = size;
+    } else {
+      ranges.push({ id, from: size, to: size });
+    }
+  }
+
   let html = `<div class="space-y-4">`;
-  html += `<p class="text-lg font-semibold">Array Size: ${formatNumber(arraySize)} elements</p>`;
-  html += `<div class="border-t border-gray-700 pt-4">`;
+  html += `<p class="text-lg font-semibold">Size sweep: ${formatSize(sizes[0])} to ${formatSize(sizes[sizes.length - 1])} ${keyType} keys, ${order === 'desc' ? 'descending' : 'ascending'}</p>`;
+  html += datasetSummary(dataset);
+  if (benchmark) {
+    html += `<p class="text-sm text-gray-400">Each point is the median of ${benchmark.trials} timed runs after ${benchmark.warmup} warmup runs.</p>`;
+  }
+  if (lines.some(({ points }) => points.some(point => point.source === 'wall-clock'))) {
+    html += `<p class="text-sm text-yellow-400">${WALL_CLOCK_NOTE}</p>`;
+  }
+  html += `<div class="flex flex-wrap gap-4 text-sm">${lines.map(({ entry }) => `
+    <span class="flex items-center gap-2"><span class="w-3 h-1 rounded" style="background-color: ${entry.color}"></span>${entry.name}</span>`).join('')}
+  </div>`;
 
-  // Find fastest time for comparison
-  const times = Object.values(results).map(r => r.time);
-  const fastest = Math.min(...times);
+  const axes = { xLabel: 'Keys', xTicks: sizes, formatX: formatSize, logX: true, logY: true };
+  html += lineChart({ title: 'Sort time', series: chartSeries('time'), yLabel: 'Time', formatY: formatTime, ...axes });
+  html += lineChart({ title: 'Throughput', series: chartSeries('keysPerSecond'), yLabel: 'Keys per second', formatY: formatThroughput, ...axes });
 
-  // Define baseline - use JavaScript as the reference point
-  const baseline = results.javascript ? results.javascript.time : fastest;
+  const fastestSummary = ranges
+    .filter(({ id }) => id)
+    .map(({ id, from, to }) => `${getSorter(id).shortName} ${from === to ? `at ${formatSize(from)}` : `${formatSize(from)}–${formatSize(to)}`}`)
+    .join(', ');
+  if (fastestSummary) {
+    html += `<p><span class="text-gray-400">Fastest:</span> ${fastestSummary}</p>`;
+  }
 
-  // Display each algorithm's results
-  if (results.javascript) {
-    const speedup = baseline / results.javascript.time;
-    html += createResultRow(
-      'JavaScript Array.sort',
-      results.javascript.time,
-      results.javascript.valid.isSorted,
-      speedup,
-      '#60a5fa',
-      fastest
-    );
+  // Per-size table, fastest per size highlighted
+  html += `<details class="group"><summary class="cursor-pointer text-blue-300 text-sm select-none">Sweep data</summary>`;
+  html += `<div class="overflow-x-auto mt-2"><table class="text-sm w-full"><thead><tr class="text-gray-400 text-left">`;
+  html += `<th class="pr-4 py-1">Keys</th>${lines.map(({ entry }) => `<th class="pr-4 py-1">${entry.shortName}</th>`).join('')}</tr></thead><tbody>`;
+  for (const size of sizes) {
+    html += `<tr class="border-t border-gray-700"><td class="pr-4 py-1">${formatSize(size)} (${formatNumber(size)})</td>`;
+    for (const { entry, points } of lines) {
+      const point = points.find(candidate => candidate.size === size);
+      if (!point) {
+        html += `<td class="pr-4 py-1 text-gray-500">–</td>`;
+        continue;
+      }
+      const color = !point.valid ? 'text-red-400' : fastestAt.get(size) === entry.id ? 'text-green-400 font-semibold' : '';
+      const flags = `${point.valid ? '' : ' ✗'}${point.highVariance ? ' ⚠' : ''}${point.source === 'wall-clock' ? ' ≈' : ''}`;
+      html += `<td class="pr-4 py-1 ${color}">${formatTime(point.time)} · ${formatThroughput(point.keysPerSecond)}${flags}</td>`;
+    }
+    html += `</tr>`;
   }
+  html += `</tbody></table></div>`;
+  html += `<p class="text-xs text-gray-400 mt-1">✗ invalid result · ⚠ high variance · ≈ wall-clock time</p></details>`;
 
-  if (results.fidelityfx) {
-    const speedup = baseline / results.fidelityfx.time;
-    html += createResultRow(
-      'FidelityFX Radix Sort',
-      results.fidelityfx.time,
-      results.fidelityfx.valid.isSorted,
-      speedup,
-      '#4ade80',
-      fastest
-    );
+  for (const { entry, error } of lines) {
+    if (error) {
+      html += `<p class="text-yellow-400 text-sm">${entry.name} ${error}</p>`;
+    }
   }
 
-  if (results.deviceradix) {
-    const speedup = baseline / results.deviceradix.time;
-    const subgroupExtras = (results.deviceradix.subgroupSizes || []).map(({ pass, stage, size }) => ({
-      label: `Pass ${pass} ${DeviceRadixSort.STATUS_STAGE_NAMES[stage].replace(/_/g, ' ')}`,
-      value: `${formatNumber(size)} lanes`
-    }));
-    const uniqueSizes = [...new Set((results.deviceradix.subgroupSizes || []).map(item => item.size))];
-    html += createResultRow(
-      'DeviceRadixSort',
-      results.deviceradix.time,
-      results.deviceradix.valid.isSorted,
-      speedup,
-      '#f472b6',
-      fastest,
-      {
-        inline: uniqueSizes.length
-          ? [{ label: 'Detected subgroup', value: `${uniqueSizes.map(size => `${formatNumber(size)} lanes`).join(', ')}` }]
-          : [],
-        collapsible: subgroupExtras.length
-          ? {
-              summary: 'Show per-pass subgroup lanes',
-              hideSummary: 'Hide per-pass subgroup lanes',
-              items: subgroupExtras
-            }
-          : null
-      }
-    );
+  html += `</div>`;
+  resultsEl.innerHTML = html;
+}
+
+function displayResults(results, arraySize, keyType, order, dataset, benchmark = null) {
+  const resultsEl = document.getElementById('results');
+  
+  let html = `<div class="space-y-4">`;
+  html += `<p class="text-lg font-semibold">Array Size: ${formatNumber(arraySize)} ${keyType} elements, ${order === 'desc' ? 'descending' : 'ascending'}</p>`;
+  html += datasetSummary(dataset);
+  if (benchmark) {
+    html += `<p class="text-sm text-gray-400">Benchmark: ${benchmark.warmup} warmup + ${benchmark.trials} timed runs per algorithm; times are medians, ranked by median. Spreads above ${HIGH_VARIANCE_CV * 100}% of the mean are flagged.</p>`;
+  }
+  if (Object.values(results).some(result => result.timingSource === 'wall-clock')) {
+    html += `<p class="text-sm text-yellow-400">${WALL_CLOCK_NOTE}</p>`;
   }
+  html += `<div class="border-t border-gray-700 pt-4">`;
+
+  // Find fastest time for comparison; a time that was not measured (0) is not ranked
+  const times = Object.values(results).map(r => r.time).filter(time => time > 0);
+  const fastest = Math.min(...times);
+
+  // Define baseline - use the registered reference sorter when it ran
+  const baselineId = Object.keys(results).find(id => getSorter(id).baseline && results[id].time > 0);
+  const baseline = baselineId ? results[baselineId].time : fastest;
+
+  // Display each algorithm's results in registry order
+  for (const entry of listSorters()) {
+    const result = results[entry.id];
+    if (!result) {
+      continue;
+    }
+    if (result.error) {
+      html += createErrorRow(entry.name, entry.color, result.error);
+      continue;
+    }
 
-  if (results.onesweep) {
-    const speedup = baseline / results.onesweep.time;
     html += createResultRow(
-      'OneSweep',
-      results.onesweep.time,
-      results.onesweep.valid.isSorted,
-      speedup,
-      '#fb923c',
+      entry.name,
+      result.time,
+      result.valid.isSorted,
+      baseline / result.time,
+      entry.color,
       fastest,
       {
-        inline: results.onesweep.subgroupSize
-          ? [{
-              label: 'Detected subgroup',
-              value: `${formatNumber(results.onesweep.subgroupSize)} lanes${results.onesweep.shaderVariant ? ` (${results.onesweep.shaderVariant})` : ''}`
-            }]
-          : []
+        ...entry.describeResult(result),
+        memory: result.memory,
+        stats: result.stats,
+        timing: result.gpuTiming,
+        timingSource: result.timingSource
       }
     );
   }
 
-  // Cross-validation if multiple algorithms ran
-  if (Object.keys(results).length > 1) {
+  html += `<p class="text-sm text-gray-400">GPU memory budget: ${formatBytes(memoryBudget.used)} of ${formatBytes(memoryBudget.limit)} in use</p>`;
+
+  // Cross-validation if multiple algorithms sorted the dataset
+  const algos = Object.keys(results).filter(id => !results[id].error);
+  if (algos.length > 1) {
     html += `<div class="border-t border-gray-700 pt-4 mt-4">`;
     html += `<p class="font-semibold mb-2">Cross-Validation:</p>`;
     
-    const algos = Object.keys(results);
     for (let i = 0; i < algos.length - 1; i++) {
       for (let j = i + 1; j < algos.length; j++) {
-        const comparison = compareArrays(results[algos[i]].sorted, results[algos[j]].sorted);
+        const comparison = compareArrays(results[algos[i]].keys, results[algos[j]].keys, { keyType, order });
         const icon = comparison.match ? '✓' : '✗';
         const color = comparison.match ? 'text-green-400' : 'text-red-400';
         html += `<p class="${color}">${icon} ${algos[i]} vs ${algos[j]}: ${comparison.match ? 'Match' : `${comparison.differences} differences`}</p>`;
@@ -380,10 +901,28 @@ function displayResults(results, arraySize) {
   resultsEl.innerHTML = html;
 }
 
+function createErrorRow(name, color, message) {
+  return `
+    <div class="mb-3 p-3 bg-gray-900 rounded-lg">
+      <div class="flex items-center justify-between">
+        <div class="flex items-center gap-3">
+          <div class="w-2 h-2 rounded-full" style="background-color: ${color}"></div>
+          <span class="font-semibold">${name}</span>
+        </div>
+        <span class="text-red-400">✗ Failed</span>
+      </div>
+      <div class="ml-5 mt-2 text-sm">
+        <p class="text-red-400">${message}</p>
+      </div>
+    </div>
+  `;
+}
+
 function createResultRow(name, time, valid, speedup, color, fastest, extra = {}) {
   const validIcon = valid ? '✓' : '✗';
   const validColor = valid ? 'text-green-400' : 'text-red-400';
-  const isFastest = Math.abs(time - fastest) < 0.01;  // Check time, not speedup
+  const isFastest = time > 0 && Math.abs(time - fastest) < 0.01;  // Check time, not speedup
+  const highVariance = extra.stats?.highVariance;
   const inlineContent = (extra.inline || []).map(({ label, value }) => `<p><span class="text-gray-400">${label}:</span> ${value}</p>`).join('');
 
   let collapsibleContent = '';
@@ -406,7 +945,31 @@ function createResultRow(name, time, valid, speedup, color, fastest, extra = {})
     `;
   }
 
-  const extraContent = inlineContent + collapsibleContent;
+  let memoryContent = '';
+  if (extra.memory?.buffers.length > 0) {
+    const bufferItems = extra.memory.buffers
+      .map(({ name, bytes }) => `<p><span class="text-gray-400">${name}:</span> ${formatBytes(bytes)}</p>`)
+      .join('');
+    memoryContent = `
+      <details class="group mt-2">
+        <summary class="cursor-pointer text-blue-300 text-sm select-none">GPU buffers: ${formatBytes(extra.memory.total)}</summary>
+        <div class="mt-2 pl-3 border-l border-gray-700 space-y-1 text-sm">
+          ${bufferItems}
+        </div>
+      </details>
+    `;
+  }
+
+  let statsContent = '';
+  if (extra.stats) {
+    const { trials, min, median, mean, p95, stddev, cv } = extra.stats;
+    statsContent = `
+      <p><span class="text-gray-400">Trials (${trials}):</span> min ${formatTime(min)} · median ${formatTime(median)} · mean ${formatTime(mean)} · p95 ${formatTime(p95)} · stddev ${formatTime(stddev)}</p>
+      ${highVariance ? `<p class="text-yellow-400">⚠ High variance (stddev ${(cv * 100).toFixed(1)}% of the mean): rerun with more trials before trusting this comparison</p>` : ''}
+    `;
+  }
+
+  const extraContent = statsContent + inlineContent + collapsibleContent + timingBreakdown(extra.timing, extra.stats) + memoryContent;
   
   return `
     <div class="mb-3 p-3 bg-gray-900 rounded-lg">
@@ -414,18 +977,54 @@ function createResultRow(name, time, valid, speedup, color, fastest, extra = {})
         <div class="flex items-center gap-3">
           <div class="w-2 h-2 rounded-full" style="background-color: ${color}"></div>
           <span class="font-semibold">${name}</span>
-          ${isFastest ? '<span class="text-yellow-400 text-xs">★ FASTEST</span>' : ''}
+          ${isFastest ? `<span class="text-yellow-400 text-xs">★ FASTEST${highVariance ? ' (unreliable)' : ''}</span>` : ''}
         </div>
         <span class="${validColor}">${validIcon} ${valid ? 'Valid' : 'Invalid'}</span>
       </div>
       <div class="ml-5 mt-2 space-y-1 text-sm">
-        <p><span class="text-gray-400">Time:</span> ${formatTime(time)}</p>
-        <p><span class="text-gray-400">Speedup:</span> ${speedup.toFixed(2)}×</p>
+        <p><span class="text-gray-400">${extra.stats ? 'Median time' : 'Time'}:</span> ${formatTime(time)}${extra.timingSource ? ` <span class="${extra.timingSource === 'wall-clock' ? 'text-yellow-400' : 'text-gray-500'} text-xs">(${TIMING_SOURCE_LABELS[extra.timingSource]})</span>` : ''}</p>
+        <p><span class="text-gray-400">Speedup:</span> ${Number.isFinite(speedup) && speedup > 0 ? `${speedup.toFixed(2)}×` : '–'}</p>
         ${extraContent}
       </div>
     </div>
   `;
 }
 
+/**
+ * Collapsible per-stage breakdown of a sort's GPU timestamps (see PassTimer.read)
+ * Shares are of the summed pass times; the total also covers any gaps between
+ * passes. Benchmarked results show the last trial's passes.
+ */
+function timingBreakdown(timing, stats) {
+  if (!timing) {
+    return '';
+  }
+  const passTotal = timing.stages.reduce((sum, { time }) => sum + time, 0);
+  const share = time => (passTotal > 0 ? `${(time / passTotal * 100).toFixed(1)}%` : '–');
+  const stageItems = timing.stages.map(({ stage, time, count }) => `
+    <div class="flex items-center gap-2">
+      <span class="w-32 text-gray-400">${stage}${count > 1 ? ` ×${count}` : ''}</span>
+      <div class="flex-1 h-1.5 bg-gray-800 rounded"><div class="h-1.5 bg-blue-500 rounded" style="width: ${passTotal > 0 ? time / passTotal * 100 : 0}%"></div></div>
+      <span class="w-36 text-right">${formatTime(time)} · ${share(time)}</span>
+    </div>`).join('');
+  const passItems = timing.passes
+    .map(({ stage, pass, time }) => `<p><span class="text-gray-400">${pass === undefined ? '' : `pass ${pass} · `}${stage}:</span> ${formatTime(time)}</p>`)
+    .join('');
+
+  return `
+    <details class="group mt-2">
+      <summary class="cursor-pointer text-blue-300 text-sm select-none">GPU stages: ${timing.stages.length} kernels, ${timing.passes.length} passes${stats ? ' (last trial)' : ''}</summary>
+      <div class="mt-2 pl-3 border-l border-gray-700 space-y-1 text-sm">
+        ${stageItems}
+        <p><span class="text-gray-400">Passes:</span> ${formatTime(passTotal)} of ${formatTime(timing.total)} from first pass start to last pass end</p>
+        <details class="mt-1">
+          <summary class="cursor-pointer text-blue-300 select-none">Every pass</summary>
+          <div class="mt-1 pl-3 border-l border-gray-700 space-y-0.5">${passItems}</div>
+        </details>
+      </div>
+    </details>
+  `;
+}
+
 // Start the application
 init();
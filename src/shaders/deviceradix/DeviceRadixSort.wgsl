@@ -8,6 +8,15 @@
 //
 // Modified for WGSL compatibility and atomic usage by Dino Metarapi, 2025
 // Based on original work by Thomas Smith
+//
+// Preprocessed: KEYS_ONLY drops the payload bindings and payload scatter
+// First-pass loads and last-pass stores go through pass_key_in / pass_key_out
+// (appended from KeyTransform.wgsl) so signed and float keys sort in order
+// KEY_U64 sorts interleaved (hi, lo) key pairs over eight passes
+// Argsorts read first-pass payloads through pass_value_in, which yields key indices
+// Specialized by src/sorting/deviceRadixVariants.js, which replaces the
+// DEVICE_RADIX_PARAMS line with the subgroup size, block dim and keys per
+// thread constants the host sizes its buffers and dispatches from
 //****************************************************************************
 
 enable subgroups;
@@ -15,6 +24,9 @@ enable subgroups;
 @diagnostic(off, subgroup_uniformity)
 fn unsafeSubgroupInclusiveAdd(x: u32) -> u32 { return subgroupInclusiveAdd(x); }
 
+@diagnostic(off, subgroup_uniformity)
+fn unsafeSubgroupAdd(x: u32) -> u32 { return subgroupAdd(x); }
+
 @diagnostic(off, subgroup_uniformity)
 fn unsafeSubgroupExclusiveAdd(x: u32) -> u32 { return subgroupExclusiveAdd(x); }
 
@@ -29,7 +41,9 @@ struct InfoStruct
     size: u32,
     shift: u32,
     thread_blocks: u32,
-    seed: u32,
+    key_flags: u32,
+    pass_index: u32,
+    key_word: u32,
 };
 
 @group(0) @binding(0)
@@ -44,11 +58,13 @@ var<storage, read_write> sort: array<u32>;
 @group(0) @binding(3)
 var<storage, read_write> alt: array<u32>;
 
+#if !KEYS_ONLY
 @group(0) @binding(4)
 var<storage, read_write> payload: array<u32>;
 
 @group(0) @binding(5)
 var<storage, read_write> alt_payload: array<u32>;
+#endif
 
 @group(0) @binding(6)
 var<storage, read_write> hist: array<atomic<u32>>;
@@ -59,22 +75,28 @@ var<storage, read_write> pass_hist: array<u32>;
 @group(0) @binding(8)
 var<storage, read_write> status: array<u32>;
 
-const BLOCK_DIM = 256u;
-const MIN_SUBGROUP_SIZE = 16u;
+#if KEY_U64
+// 64-bit keys are interleaved (hi, lo) word pairs. Each pass ranks the word
+// holding its digit (info.key_word: 0 = hi, 1 = lo) and carries the other
+// word along like a payload, through the same first/last-pass key transform.
+fn key_index(i: u32) -> u32 { return 2u * i + info.key_word; }
+fn partner_index(i: u32) -> u32 { return 2u * i + 1u - info.key_word; }
+#else
+fn key_index(i: u32) -> u32 { return i; }
+#endif
+
+// BLOCK_DIM, MIN_SUBGROUP_SIZE, KEYS_PER_THREAD, PART_SIZE and the REDUCE_*
+// block constants; reduce blocks cover the pass partitions, REDUCE_BLOCK_DIM
+// threads at a time (half of BLOCK_DIM unless tuned)
+//DEVICE_RADIX_PARAMS
 const MAX_REDUCE_SIZE = BLOCK_DIM / MIN_SUBGROUP_SIZE;
 
 const RADIX = 256u;
 const RADIX_MASK = 255u;
 const RADIX_LOG = 8u;
 
-const KEYS_PER_THREAD = 15u;
-const PART_SIZE = KEYS_PER_THREAD * BLOCK_DIM;
-
-const REDUCE_BLOCK_DIM = 128u;
-const REDUCE_KEYS_PER_THREAD = 30u;
 // const REDUCE_HIST_SIZE = REDUCE_BLOCK_DIM / 64u * RADIX;
 const REDUCE_HIST_SIZE = REDUCE_BLOCK_DIM / MIN_SUBGROUP_SIZE * RADIX; // Sized for MIN_SUBGROUP_SIZE
-const REDUCE_PART_SIZE = REDUCE_KEYS_PER_THREAD * REDUCE_BLOCK_DIM;
 
 const MAX_SUBGROUPS_PER_BLOCK = BLOCK_DIM / MIN_SUBGROUP_SIZE;
 const WARP_HIST_CAPACITY = MAX_SUBGROUPS_PER_BLOCK * RADIX;
@@ -97,6 +119,13 @@ fn reduce_hist(
     @builtin(subgroup_size) lane_count: u32,
     @builtin(workgroup_id) wgid: vec3<u32>) {
 
+    // Lane counts are recorded before the checks so a failed sort still
+    // reports the width that needs a narrower build
+    if (wgid.x == 0u && threadid.x == 0u) {
+        let pass_idx = info.pass_index;
+        status[STATUS_SUBGROUP_BASE + pass_idx * STATUS_SUBGROUP_STRIDE + STATUS_STAGE_REDUCE] = lane_count;
+    }
+
     if (lane_count < MIN_SUBGROUP_SIZE || (REDUCE_BLOCK_DIM % lane_count) != 0u) {
         if (threadid.x == 0u) {
             status[STATUS_ERR_REDUCE] = 0xDEAD0001u;
@@ -104,11 +133,6 @@ fn reduce_hist(
         return;
     }
 
-    if (wgid.x == 0u && threadid.x == 0u) {
-        let pass_idx = info.shift / RADIX_LOG;
-        status[STATUS_SUBGROUP_BASE + pass_idx * STATUS_SUBGROUP_STRIDE + STATUS_STAGE_REDUCE] = lane_count;
-    }
-
     let sid = threadid.x / lane_count;
 
     for (var i = threadid.x; i < REDUCE_HIST_SIZE; i += REDUCE_BLOCK_DIM) {
@@ -123,7 +147,7 @@ fn reduce_hist(
         var i = threadid.x + wgid.x * REDUCE_PART_SIZE;
         if(wgid.x < info.thread_blocks - 1) {
             for (var k = 0u; k < REDUCE_KEYS_PER_THREAD; k += 1u) {
-                let key = sort[i];
+                let key = pass_key_in(sort[key_index(i)], info.key_flags);
                 atomicAdd(&wg_globalHist[((key >> radix_shift) & RADIX_MASK) + hist_offset], 1u);
                 i += REDUCE_BLOCK_DIM;
             }
@@ -132,7 +156,7 @@ fn reduce_hist(
         if(wgid.x == info.thread_blocks - 1) {
             for (var k = 0u; k < REDUCE_KEYS_PER_THREAD; k += 1u) {
                 if (i < info.size) {
-                    let key = sort[i];
+                    let key = pass_key_in(sort[key_index(i)], info.key_flags);
                     atomicAdd(&wg_globalHist[((key >> radix_shift) & RADIX_MASK) + hist_offset], 1u);
                 }
                 i += REDUCE_BLOCK_DIM;
@@ -159,17 +183,24 @@ fn reduce_hist(
     }
     workgroupBarrier();
 
+    // Scan the subgroup totals; at 8 lanes there are more totals than lanes
     if (threadid.x < lane_count) {
-        let pred = threadid.x < RADIX / lane_count;
-        let t = unsafeSubgroupExclusiveAdd(select(0u, atomicLoad(&wg_globalHist[threadid.x * lane_count]), pred));
-        if (pred) {
-            atomicStore(&wg_globalHist[threadid.x * lane_count], t);
+        var carry = 0u;
+        for (var base = 0u; base < RADIX / lane_count; base += lane_count) {
+            let i = (base + threadid.x) * lane_count;
+            let pred = base + threadid.x < RADIX / lane_count;
+            let total = select(0u, atomicLoad(&wg_globalHist[i]), pred);
+            let t = unsafeSubgroupExclusiveAdd(total);
+            if (pred) {
+                atomicStore(&wg_globalHist[i], t + carry);
+            }
+            carry += unsafeSubgroupAdd(total);
         }
     }
     workgroupBarrier();
     
     for (var i = threadid.x; i < RADIX; i += REDUCE_BLOCK_DIM) {
-        atomicAdd(&hist[i + radix_shift * 32],
+        atomicAdd(&hist[i + info.pass_index * RADIX],
             atomicLoad(&wg_globalHist[i]) + select(0u, atomicLoad(&wg_globalHist[i / lane_count * lane_count]), laneid != 0u));
     }
 }
@@ -186,6 +217,11 @@ fn scan(
     @builtin(subgroup_size) lane_count: u32,
     @builtin(workgroup_id) wgid: vec3<u32>) {
     
+    if (wgid.x == 0u && threadid.x == 0u) {
+        let pass_idx = info.pass_index;
+        status[STATUS_SUBGROUP_BASE + pass_idx * STATUS_SUBGROUP_STRIDE + STATUS_STAGE_SCAN] = lane_count;
+    }
+
     if (lane_count < MIN_SUBGROUP_SIZE || (BLOCK_DIM % lane_count) != 0u) {
         if (threadid.x == 0u) {
             status[STATUS_ERR_SCAN] = 0xDEAD0002u;
@@ -193,11 +229,6 @@ fn scan(
         return;
     }
 
-    if (wgid.x == 0u && threadid.x == 0u) {
-        let pass_idx = info.shift / RADIX_LOG;
-        status[STATUS_SUBGROUP_BASE + pass_idx * STATUS_SUBGROUP_STRIDE + STATUS_STAGE_SCAN] = lane_count;
-    }
-
     let sid = threadid.x / lane_count;
     let radix_offset = wgid.x * info.thread_blocks;
     let lane_log = u32(countTrailingZeros(lane_count));
@@ -353,6 +384,11 @@ fn dvr_pass(
     
     let sid = threadid.x / lane_count;
 
+    if (wgid.x == 0u && threadid.x == 0u) {
+        let pass_idx = info.pass_index;
+        status[STATUS_SUBGROUP_BASE + pass_idx * STATUS_SUBGROUP_STRIDE + STATUS_STAGE_DVR] = lane_count;
+    }
+
     let warp_hists_size = (BLOCK_DIM / lane_count) * RADIX;
     if (warp_hists_size > WARP_HIST_CAPACITY) {
         if (threadid.x == 0u) {
@@ -360,11 +396,6 @@ fn dvr_pass(
         }
         return;
     }
-
-    if (wgid.x == 0u && threadid.x == 0u) {
-        let pass_idx = info.shift / RADIX_LOG;
-        status[STATUS_SUBGROUP_BASE + pass_idx * STATUS_SUBGROUP_STRIDE + STATUS_STAGE_DVR] = lane_count;
-    }
     // let warp_hists_size = clamp(BLOCK_DIM / lane_count * RADIX, 0u, PART_SIZE);
     for (var i = threadid.x; i < warp_hists_size; i += BLOCK_DIM) {
         atomicStore(&wg_warpHist[i], 0u);
@@ -378,14 +409,14 @@ fn dvr_pass(
         var i = laneid + s_offset + dev_offset;
         if (wgid.x < info.thread_blocks - 1) {
             for (var k = 0u; k < KEYS_PER_THREAD; k += 1u) {
-                keys[k] = sort[i];
+                keys[k] = pass_key_in(sort[key_index(i)], info.key_flags);
                 i += lane_count;
             }
         }
 
         if (wgid.x == info.thread_blocks - 1) {
             for (var k = 0u; k < KEYS_PER_THREAD; k += 1u) {
-                keys[k] = select(0xffffffffu, sort[i], i < info.size);
+                keys[k] = select(0xffffffffu, pass_key_in(sort[key_index(i)], info.key_flags), i < info.size);
                 i += lane_count;
             }
         }
@@ -401,9 +432,10 @@ fn dvr_pass(
     }
     workgroupBarrier();
 
-    if (threadid.x < RADIX) {
-        var reduction = atomicLoad(&wg_warpHist[threadid.x]);
-        for (var i = threadid.x + RADIX; i < warp_hists_size; i += RADIX) {
+    // Blocks narrower than RADIX (wave8) cover several bins per thread
+    for (var bin = threadid.x; bin < RADIX; bin += BLOCK_DIM) {
+        var reduction = atomicLoad(&wg_warpHist[bin]);
+        for (var i = bin + RADIX; i < warp_hists_size; i += RADIX) {
             reduction += atomicLoad(&wg_warpHist[i]);
             atomicStore(&wg_warpHist[i], reduction - atomicLoad(&wg_warpHist[i]));
         }
@@ -411,23 +443,32 @@ fn dvr_pass(
         let lane_mask = lane_count - 1u;
         let circular_lane_shift = (laneid + lane_mask) & lane_mask;
         let t = unsafeSubgroupInclusiveAdd(reduction);
-        atomicStore(&wg_warpHist[threadid.x], unsafeSubgroupShuffle(t, circular_lane_shift));
+        atomicStore(&wg_warpHist[bin], unsafeSubgroupShuffle(t, circular_lane_shift));
     }
     workgroupBarrier();
 
+    // Scan the subgroup totals; at 8 lanes there are more totals than lanes
     if (threadid.x < lane_count) {
-        let pred = threadid.x < RADIX / lane_count;
-        let t = unsafeSubgroupExclusiveAdd(select(0u, atomicLoad(&wg_warpHist[threadid.x * lane_count]), pred));
-        if (pred) {
-            atomicStore(&wg_warpHist[threadid.x * lane_count], t);
+        var carry = 0u;
+        for (var base = 0u; base < RADIX / lane_count; base += lane_count) {
+            let i = (base + threadid.x) * lane_count;
+            let pred = base + threadid.x < RADIX / lane_count;
+            let total = select(0u, atomicLoad(&wg_warpHist[i]), pred);
+            let t = unsafeSubgroupExclusiveAdd(total);
+            if (pred) {
+                atomicStore(&wg_warpHist[i], t + carry);
+            }
+            carry += unsafeSubgroupAdd(total);
         }
     }
     workgroupBarrier();
     
-    if (threadid.x < RADIX && laneid != 0u) {
-        let lhs = atomicLoad(&wg_warpHist[threadid.x]);
-        let rhs = atomicLoad(&wg_warpHist[threadid.x / lane_count * lane_count]);
-        atomicStore(&wg_warpHist[threadid.x], lhs + rhs);
+    for (var bin = threadid.x; bin < RADIX; bin += BLOCK_DIM) {
+        if (laneid != 0u) {
+            let lhs = atomicLoad(&wg_warpHist[bin]);
+            let rhs = atomicLoad(&wg_warpHist[bin / lane_count * lane_count]);
+            atomicStore(&wg_warpHist[bin], lhs + rhs);
+        }
     }
     workgroupBarrier();
 
@@ -443,10 +484,10 @@ fn dvr_pass(
         }
     }
 
-    if (threadid.x < RADIX) {
-        wg_localHist[threadid.x] = atomicLoad(&hist[threadid.x + info.shift * 32]) +
-            select(0u, pass_hist[wgid.x + info.thread_blocks * threadid.x - 1u], wgid.x != 0u) 
-            - atomicLoad(&wg_warpHist[threadid.x]);
+    for (var bin = threadid.x; bin < RADIX; bin += BLOCK_DIM) {
+        wg_localHist[bin] = atomicLoad(&hist[bin + info.pass_index * RADIX]) +
+            select(0u, pass_hist[wgid.x + info.thread_blocks * bin - 1u], wgid.x != 0u) 
+            - atomicLoad(&wg_warpHist[bin]);
     }
     workgroupBarrier();
 
@@ -455,18 +496,71 @@ fn dvr_pass(
     }
     workgroupBarrier();
 
-    if (wgid.x < info.thread_blocks - 1u) {
+    // Scatter keys from shared memory, remembering each slot's digit so the
+    // payload can follow the same permutation
+    var digits = array<u32, KEYS_PER_THREAD>();
+    let final_size = select(PART_SIZE, info.size - wgid.x * PART_SIZE, wgid.x == info.thread_blocks - 1u);
+    {
+        var i = threadid.x;
+        for (var k = 0u; k < KEYS_PER_THREAD; k += 1u) {
+            if (i < final_size) {
+                let key = atomicLoad(&wg_warpHist[i]);
+                digits[k] = (key >> info.shift) & RADIX_MASK;
+                alt[key_index(wg_localHist[digits[k]] + i)] = pass_key_out(key, info.key_flags);
+            }
+            i += BLOCK_DIM;
+        }
+    }
+
+#if KEY_U64
+    workgroupBarrier();
+
+    // Stage the other key word through shared memory with the key ranks
+    {
+        let dev_offset = wgid.x * PART_SIZE;
+        let s_offset = sid * lane_count * KEYS_PER_THREAD;
+        var i = laneid + s_offset + dev_offset;
+        for (var k = 0u; k < KEYS_PER_THREAD; k += 1u) {
+            atomicStore(&wg_warpHist[offsets[k]], select(0u, pass_key_in(sort[partner_index(i)], info.key_flags), i < info.size));
+            i += lane_count;
+        }
+    }
+    workgroupBarrier();
+
+    {
         var i = threadid.x;
         for (var k = 0u; k < KEYS_PER_THREAD; k += 1u) {
-            alt[wg_localHist[(atomicLoad(&wg_warpHist[i]) >> info.shift) & RADIX_MASK] + i] = atomicLoad(&wg_warpHist[i]);
+            if (i < final_size) {
+                alt[partner_index(wg_localHist[digits[k]] + i)] = pass_key_out(atomicLoad(&wg_warpHist[i]), info.key_flags);
+            }
             i += BLOCK_DIM;
         }
     }
+#endif
+
+#if !KEYS_ONLY
+    workgroupBarrier();
 
-    if (wgid.x == info.thread_blocks - 1u) {
-        let final_size = info.size - wgid.x * PART_SIZE;
-        for (var i = threadid.x; i < final_size; i += BLOCK_DIM) {
-            alt[wg_localHist[(atomicLoad(&wg_warpHist[i]) >> info.shift) & RADIX_MASK] + i] = atomicLoad(&wg_warpHist[i]);
+    // Stage the payload through shared memory with the key ranks
+    {
+        let dev_offset = wgid.x * PART_SIZE;
+        let s_offset = sid * lane_count * KEYS_PER_THREAD;
+        var i = laneid + s_offset + dev_offset;
+        for (var k = 0u; k < KEYS_PER_THREAD; k += 1u) {
+            atomicStore(&wg_warpHist[offsets[k]], select(0u, pass_value_in(payload[i], i, info.key_flags), i < info.size));
+            i += lane_count;
+        }
+    }
+    workgroupBarrier();
+
+    {
+        var i = threadid.x;
+        for (var k = 0u; k < KEYS_PER_THREAD; k += 1u) {
+            if (i < final_size) {
+                alt_payload[wg_localHist[digits[k]] + i] = atomicLoad(&wg_warpHist[i]);
+            }
+            i += BLOCK_DIM;
         }
     }
+#endif
 }
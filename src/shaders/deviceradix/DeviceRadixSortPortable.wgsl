@@ -0,0 +1,221 @@
+//****************************************************************************
+// GPUSorting
+// Device Radix Sort - portable variant
+//
+// SPDX-License-Identifier: MIT
+// Based on Thomas Smith's Device Radix Sort
+// https://github.com/b0nes164/GPUSorting
+//
+// Same passes, bindings and buffers as DeviceRadixSort.wgsl, for adapters
+// without the subgroups feature: histograms use workgroup atomics, scans run
+// in workgroup memory and dvr_pass ranks keys with one-bit splits in place of
+// ballots and shuffles. Fits the default 16 KB of workgroup storage. The bump
+// and status bindings stay in the layout but are unused: there are no
+// subgroup widths to check.
+//
+// Preprocessed like DeviceRadixSort.wgsl (KEYS_ONLY, KEY_U64, pass_key_in /
+// pass_key_out / pass_value_in from KeyTransform.wgsl)
+// Specialized by src/sorting/deviceRadixVariants.js, which replaces the
+// DEVICE_RADIX_PARAMS line with BLOCK_DIM, KEYS_PER_THREAD and PART_SIZE
+//****************************************************************************
+
+struct InfoStruct
+{
+    size: u32,
+    shift: u32,
+    thread_blocks: u32,
+    key_flags: u32,
+    pass_index: u32,
+    key_word: u32,
+};
+
+@group(0) @binding(0)
+var<uniform> info : InfoStruct;
+
+@group(0) @binding(2)
+var<storage, read_write> sort: array<u32>;
+
+@group(0) @binding(3)
+var<storage, read_write> alt: array<u32>;
+
+#if !KEYS_ONLY
+@group(0) @binding(4)
+var<storage, read_write> payload: array<u32>;
+
+@group(0) @binding(5)
+var<storage, read_write> alt_payload: array<u32>;
+#endif
+
+@group(0) @binding(6)
+var<storage, read_write> hist: array<atomic<u32>>;
+
+@group(0) @binding(7)
+var<storage, read_write> pass_hist: array<u32>;
+
+#if KEY_U64
+fn key_index(i: u32) -> u32 { return 2u * i + info.key_word; }
+fn partner_index(i: u32) -> u32 { return 2u * i + 1u - info.key_word; }
+#else
+fn key_index(i: u32) -> u32 { return i; }
+#endif
+
+// One thread per digit: BLOCK_DIM equals RADIX
+//DEVICE_RADIX_PARAMS
+
+const RADIX = 256u;
+const RADIX_MASK = 255u;
+const RADIX_LOG = 8u;
+
+// dvr_pass ranks (digit << INDEX_BITS | local index) words
+const INDEX_BITS = 16u;
+const INDEX_MASK = 0xffffu;
+
+var<workgroup> wg_hist: array<atomic<u32>, RADIX>;
+var<workgroup> wg_scan: array<u32, BLOCK_DIM>;
+var<workgroup> wg_offsets: array<u32, RADIX>;
+var<workgroup> wg_ranked: array<u32, PART_SIZE>;
+
+// Inclusive scan of one value per thread, plus the block total
+// Every thread of the workgroup must call it from uniform control flow.
+fn block_scan(tid: u32, value: u32) -> vec2<u32> {
+    var sum = value;
+    wg_scan[tid] = sum;
+    workgroupBarrier();
+    for (var offset = 1u; offset < BLOCK_DIM; offset <<= 1u) {
+        if (tid >= offset) {
+            sum += wg_scan[tid - offset];
+        }
+        workgroupBarrier();
+        wg_scan[tid] = sum;
+        workgroupBarrier();
+    }
+    let total = wg_scan[BLOCK_DIM - 1u];
+    workgroupBarrier();
+    return vec2<u32>(sum, total);
+}
+
+@compute @workgroup_size(BLOCK_DIM, 1, 1)
+fn reduce_hist(
+    @builtin(local_invocation_id) threadid: vec3<u32>,
+    @builtin(workgroup_id) wgid: vec3<u32>) {
+
+    let tid = threadid.x;
+    atomicStore(&wg_hist[tid], 0u);
+    workgroupBarrier();
+
+    let end = min(info.size, (wgid.x + 1u) * PART_SIZE);
+    for (var i = wgid.x * PART_SIZE + tid; i < end; i += BLOCK_DIM) {
+        let key = pass_key_in(sort[key_index(i)], info.key_flags);
+        atomicAdd(&wg_hist[(key >> info.shift) & RADIX_MASK], 1u);
+    }
+    workgroupBarrier();
+
+    // The block's count of this thread's digit feeds the scan kernel; its
+    // exclusive prefix over digits accumulates into the global digit offsets
+    let count = atomicLoad(&wg_hist[tid]);
+    pass_hist[wgid.x + tid * info.thread_blocks] = count;
+    let scan = block_scan(tid, count);
+    atomicAdd(&hist[tid + info.pass_index * RADIX], scan.x - count);
+}
+
+// One workgroup per digit: inclusive scan of its counts across blocks
+@compute @workgroup_size(BLOCK_DIM, 1, 1)
+fn scan(
+    @builtin(local_invocation_id) threadid: vec3<u32>,
+    @builtin(workgroup_id) wgid: vec3<u32>) {
+
+    let tid = threadid.x;
+    let radix_offset = wgid.x * info.thread_blocks;
+    var carry = 0u;
+    for (var base = 0u; base < info.thread_blocks; base += BLOCK_DIM) {
+        let i = base + tid;
+        var value = 0u;
+        if (i < info.thread_blocks) {
+            value = pass_hist[i + radix_offset];
+        }
+        let scan = block_scan(tid, value);
+        if (i < info.thread_blocks) {
+            pass_hist[i + radix_offset] = scan.x + carry;
+        }
+        carry += scan.y;
+    }
+}
+
+@compute @workgroup_size(BLOCK_DIM, 1, 1)
+fn dvr_pass(
+    @builtin(local_invocation_id) threadid: vec3<u32>,
+    @builtin(workgroup_id) wgid: vec3<u32>) {
+
+    let tid = threadid.x;
+    let dev_offset = wgid.x * PART_SIZE;
+    let final_size = select(PART_SIZE, info.size - dev_offset, wgid.x == info.thread_blocks - 1u);
+    atomicStore(&wg_hist[tid], 0u);
+    workgroupBarrier();
+
+    // Each thread takes KEYS_PER_THREAD consecutive keys; padding past the
+    // end ranks last under the highest digit and is never scattered
+    var ranked = array<u32, KEYS_PER_THREAD>();
+    let first = tid * KEYS_PER_THREAD;
+    for (var k = 0u; k < KEYS_PER_THREAD; k += 1u) {
+        let local_index = first + k;
+        var digit = RADIX_MASK;
+        if (local_index < final_size) {
+            let key = pass_key_in(sort[key_index(dev_offset + local_index)], info.key_flags);
+            digit = (key >> info.shift) & RADIX_MASK;
+            atomicAdd(&wg_hist[digit], 1u);
+        }
+        ranked[k] = (digit << INDEX_BITS) | local_index;
+    }
+
+    // Stable split on each digit bit, least significant first, so equal
+    // digits keep their input order
+    for (var bit = INDEX_BITS; bit < INDEX_BITS + RADIX_LOG; bit += 1u) {
+        var zeros = 0u;
+        for (var k = 0u; k < KEYS_PER_THREAD; k += 1u) {
+            zeros += 1u - ((ranked[k] >> bit) & 1u);
+        }
+        let scan = block_scan(tid, zeros);
+        var zero_slot = scan.x - zeros;
+        var one_slot = scan.y + first - zero_slot;
+        for (var k = 0u; k < KEYS_PER_THREAD; k += 1u) {
+            if (((ranked[k] >> bit) & 1u) == 0u) {
+                wg_ranked[zero_slot] = ranked[k];
+                zero_slot += 1u;
+            } else {
+                wg_ranked[one_slot] = ranked[k];
+                one_slot += 1u;
+            }
+        }
+        workgroupBarrier();
+        for (var k = 0u; k < KEYS_PER_THREAD; k += 1u) {
+            ranked[k] = wg_ranked[first + k];
+        }
+        workgroupBarrier();
+    }
+
+    // Output index of the digit's first key in this block: the global digit
+    // offset plus earlier blocks' keys, less the digit's start in ranked order
+    let count = atomicLoad(&wg_hist[tid]);
+    let scan = block_scan(tid, count);
+    var offset = atomicLoad(&hist[tid + info.pass_index * RADIX]) - (scan.x - count);
+    if (wgid.x != 0u) {
+        offset += pass_hist[wgid.x - 1u + tid * info.thread_blocks];
+    }
+    wg_offsets[tid] = offset;
+    workgroupBarrier();
+
+    for (var k = 0u; k < KEYS_PER_THREAD; k += 1u) {
+        let slot = first + k;
+        if (slot < final_size) {
+            let src = dev_offset + (ranked[k] & INDEX_MASK);
+            let dst = wg_offsets[ranked[k] >> INDEX_BITS] + slot;
+            alt[key_index(dst)] = pass_key_out(pass_key_in(sort[key_index(src)], info.key_flags), info.key_flags);
+#if KEY_U64
+            alt[partner_index(dst)] = pass_key_out(pass_key_in(sort[partner_index(src)], info.key_flags), info.key_flags);
+#endif
+#if !KEYS_ONLY
+            alt_payload[dst] = pass_value_in(payload[src], src, info.key_flags);
+#endif
+        }
+    }
+}
@@ -0,0 +1,63 @@
+// Segmented sort helpers for DeviceRadixSort
+// pack_segments turns each key into a (segment, sort bits) pair so a 64-bit
+// DeviceRadixSort orders keys within their segments and keeps the segments in
+// place; unpack_segments maps the sorted pairs back to keys. Key transforms
+// (pass_key_in / pass_key_out) are appended from KeyTransform.wgsl.
+
+struct SegmentInfo {
+    size: u32,
+    segment_count: u32,
+    key_flags: u32,
+    padding: u32,
+};
+
+@group(0) @binding(0)
+var<uniform> info: SegmentInfo;
+
+@group(0) @binding(1)
+var<storage, read_write> keys: array<u32>;
+
+@group(0) @binding(2)
+var<storage, read> offsets: array<u32>;
+
+@group(0) @binding(3)
+var<storage, read_write> pairs: array<u32>;
+
+const BLOCK_DIM = 256u;
+
+// Last segment starting at or before index i; empty segments are skipped
+fn segment_of(i: u32) -> u32 {
+    var lo = 0u;
+    var hi = info.segment_count;
+    while (hi - lo > 1u) {
+        let mid = (lo + hi) / 2u;
+        if (offsets[mid] <= i) {
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+    }
+    return lo;
+}
+
+// Both kernels stride over the keys so large sorts fit the dispatch limit
+@compute @workgroup_size(BLOCK_DIM, 1, 1)
+fn pack_segments(
+    @builtin(global_invocation_id) gid: vec3<u32>,
+    @builtin(num_workgroups) groups: vec3<u32>) {
+
+    for (var i = gid.x; i < info.size; i += groups.x * BLOCK_DIM) {
+        pairs[2u * i] = segment_of(i);
+        pairs[2u * i + 1u] = pass_key_in(keys[i], info.key_flags);
+    }
+}
+
+@compute @workgroup_size(BLOCK_DIM, 1, 1)
+fn unpack_segments(
+    @builtin(global_invocation_id) gid: vec3<u32>,
+    @builtin(num_workgroups) groups: vec3<u32>) {
+
+    for (var i = gid.x; i < info.size; i += groups.x * BLOCK_DIM) {
+        keys[i] = pass_key_out(pairs[2u * i + 1u], info.key_flags);
+    }
+}
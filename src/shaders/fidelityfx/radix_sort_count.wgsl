@@ -1,5 +1,6 @@
 // WebGPU/WGSL port of AMD FidelityFX Parallel Sort - Count Pass
 // Based on parallelsort_sum_pass.hlsl (which calls FfxParallelSortCount)
+// First-pass keys are counted as sort bits (pass_key_in, appended from KeyTransform.wgsl)
 
 enable subgroups;
 
@@ -16,7 +17,7 @@ struct RadixSortConstants {
     numReduceThreadgroupPerBin: u32,
     numScanValues: u32,
     shift: u32,
-    padding: u32,
+    keyFlags: u32,
 }
 
 @group(0) @binding(0) var<uniform> constants: RadixSortConstants;
@@ -54,12 +55,12 @@ fn main(
         var dataIndex = blockIndex;
         
         var srcKeys: array<u32, ELEMENTS_PER_THREAD>;
-        srcKeys[0] = select(0xFFFFFFFFu, sourceKeys[dataIndex], dataIndex < constants.numKeys);
-        srcKeys[1] = select(0xFFFFFFFFu, sourceKeys[dataIndex + THREADGROUP_SIZE], 
+        srcKeys[0] = select(0xFFFFFFFFu, pass_key_in(sourceKeys[dataIndex], constants.keyFlags), dataIndex < constants.numKeys);
+        srcKeys[1] = select(0xFFFFFFFFu, pass_key_in(sourceKeys[dataIndex + THREADGROUP_SIZE], constants.keyFlags), 
                            dataIndex + THREADGROUP_SIZE < constants.numKeys);
-        srcKeys[2] = select(0xFFFFFFFFu, sourceKeys[dataIndex + THREADGROUP_SIZE * 2u], 
+        srcKeys[2] = select(0xFFFFFFFFu, pass_key_in(sourceKeys[dataIndex + THREADGROUP_SIZE * 2u], constants.keyFlags), 
                            dataIndex + THREADGROUP_SIZE * 2u < constants.numKeys);
-        srcKeys[3] = select(0xFFFFFFFFu, sourceKeys[dataIndex + THREADGROUP_SIZE * 3u], 
+        srcKeys[3] = select(0xFFFFFFFFu, pass_key_in(sourceKeys[dataIndex + THREADGROUP_SIZE * 3u], constants.keyFlags), 
                            dataIndex + THREADGROUP_SIZE * 3u < constants.numKeys);
         
         for (var i = 0u; i < ELEMENTS_PER_THREAD; i++) {
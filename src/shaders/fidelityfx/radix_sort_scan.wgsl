@@ -16,7 +16,7 @@ struct RadixSortConstants {
     numReduceThreadgroupPerBin: u32,
     numScanValues: u32,
     shift: u32,
-    padding: u32,
+    keyFlags: u32,
 }
 
 // Uniform bindings
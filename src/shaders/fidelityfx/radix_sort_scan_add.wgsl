@@ -14,7 +14,7 @@ struct RadixSortConstants {
   numReduceThreadgroupPerBin: u32,
   numScanValues: u32,
   shift: u32,
-  padding: u32,
+  keyFlags: u32,
 }
 
 @group(0) @binding(0) var<uniform> constants: RadixSortConstants;
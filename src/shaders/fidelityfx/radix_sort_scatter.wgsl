@@ -1,5 +1,9 @@
 // WebGPU/WGSL port of AMD FidelityFX Parallel Sort - Scatter Pass
 // Based on parallelsort_scatter_pass.hlsl (FfxParallelSortScatter)
+// Preprocessed: KEYS_ONLY drops the payload bindings and value shuffles
+// Keys are mapped to sort bits on the first pass's load and back on the last
+// pass's store (pass_key_in / pass_key_out, appended from KeyTransform.wgsl)
+// Argsorts read first-pass values through pass_value_in, which yields key indices
 
 enable subgroups;
 
@@ -16,15 +20,17 @@ struct RadixSortConstants {
     numReduceThreadgroupPerBin: u32,
     numScanValues: u32,
     shift: u32,
-    padding: u32,
+    keyFlags: u32,
 }
 
 @group(0) @binding(0) var<uniform> constants: RadixSortConstants;
 @group(0) @binding(1) var<storage, read> sourceKeys: array<u32>;
 @group(0) @binding(2) var<storage, read_write> destKeys: array<u32>;
 @group(0) @binding(3) var<storage, read> sumTable: array<u32>;
+#if !KEYS_ONLY
 @group(0) @binding(4) var<storage, read> sourceValues: array<u32>;
 @group(0) @binding(5) var<storage, read_write> destValues: array<u32>;
+#endif
 
 // AMD's algorithm uses these LDS arrays
 var<workgroup> binOffsetCache: array<u32, SORT_BIN_COUNT>;
@@ -88,23 +94,27 @@ fn main(
         
         // Pre-load the key and value arrays (AMD optimization)
         var srcKeys: array<u32, ELEMENTS_PER_THREAD>;
+#if !KEYS_ONLY
         var srcValues: array<u32, ELEMENTS_PER_THREAD>;
+#endif
         
-        srcKeys[0] = select(0xFFFFFFFFu, sourceKeys[dataIndex], dataIndex < i32(constants.numKeys));
-        srcKeys[1] = select(0xFFFFFFFFu, sourceKeys[dataIndex + i32(THREADGROUP_SIZE)], 
+        srcKeys[0] = select(0xFFFFFFFFu, pass_key_in(sourceKeys[dataIndex], constants.keyFlags), dataIndex < i32(constants.numKeys));
+        srcKeys[1] = select(0xFFFFFFFFu, pass_key_in(sourceKeys[dataIndex + i32(THREADGROUP_SIZE)], constants.keyFlags), 
                            dataIndex + i32(THREADGROUP_SIZE) < i32(constants.numKeys));
-        srcKeys[2] = select(0xFFFFFFFFu, sourceKeys[dataIndex + i32(THREADGROUP_SIZE) * 2], 
+        srcKeys[2] = select(0xFFFFFFFFu, pass_key_in(sourceKeys[dataIndex + i32(THREADGROUP_SIZE) * 2], constants.keyFlags), 
                            dataIndex + i32(THREADGROUP_SIZE) * 2 < i32(constants.numKeys));
-        srcKeys[3] = select(0xFFFFFFFFu, sourceKeys[dataIndex + i32(THREADGROUP_SIZE) * 3], 
+        srcKeys[3] = select(0xFFFFFFFFu, pass_key_in(sourceKeys[dataIndex + i32(THREADGROUP_SIZE) * 3], constants.keyFlags), 
                            dataIndex + i32(THREADGROUP_SIZE) * 3 < i32(constants.numKeys));
         
-        srcValues[0] = select(0u, sourceValues[dataIndex], dataIndex < i32(constants.numKeys));
-        srcValues[1] = select(0u, sourceValues[dataIndex + i32(THREADGROUP_SIZE)], 
+#if !KEYS_ONLY
+        srcValues[0] = select(0u, pass_value_in(sourceValues[dataIndex], u32(dataIndex), constants.keyFlags), dataIndex < i32(constants.numKeys));
+        srcValues[1] = select(0u, pass_value_in(sourceValues[dataIndex + i32(THREADGROUP_SIZE)], u32(dataIndex + i32(THREADGROUP_SIZE)), constants.keyFlags), 
                              dataIndex + i32(THREADGROUP_SIZE) < i32(constants.numKeys));
-        srcValues[2] = select(0u, sourceValues[dataIndex + i32(THREADGROUP_SIZE) * 2], 
+        srcValues[2] = select(0u, pass_value_in(sourceValues[dataIndex + i32(THREADGROUP_SIZE) * 2], u32(dataIndex + i32(THREADGROUP_SIZE) * 2), constants.keyFlags), 
                              dataIndex + i32(THREADGROUP_SIZE) * 2 < i32(constants.numKeys));
-        srcValues[3] = select(0u, sourceValues[dataIndex + i32(THREADGROUP_SIZE) * 3], 
+        srcValues[3] = select(0u, pass_value_in(sourceValues[dataIndex + i32(THREADGROUP_SIZE) * 3], u32(dataIndex + i32(THREADGROUP_SIZE) * 3), constants.keyFlags), 
                              dataIndex + i32(THREADGROUP_SIZE) * 3 < i32(constants.numKeys));
+#endif
         
         for (var i = 0u; i < ELEMENTS_PER_THREAD; i++) {
             // Clear the local histogram
@@ -113,7 +123,9 @@ fn main(
             }
             
             var localKey = srcKeys[i];
+#if !KEYS_ONLY
             var localValue = srcValues[i];
+#endif
             
             // AMD's local sort algorithm - perform 2 passes of 2-bit radix sort within workgroup
             for (var bitShift = 0u; bitShift < SORT_BITS_PER_PASS; bitShift += 2u) {
@@ -152,11 +164,13 @@ fn main(
                 localKey = ldsSums[localID];
                 workgroupBarrier();
                 
+#if !KEYS_ONLY
                 // Re-arrange the values (store, sync, load)
                 ldsSums[keyOffset] = localValue;
                 workgroupBarrier();
                 localValue = ldsSums[localID];
                 workgroupBarrier();
+#endif
             }
             
             // Need to recalculate the keyIndex now that values have been sorted locally
@@ -168,10 +182,10 @@ fn main(
             }
             workgroupBarrier();
             
-            // Since keys are now locally sorted within the workgroup, we can count them more directly
-            if (localKey != 0xFFFFFFFFu) {
-                atomicAdd(&localHistogram[keyIndex], 1u);
-            }
+            // Since keys are now locally sorted within the workgroup, we can count them more directly.
+            // Out-of-range padding only occurs in the final rows, after every real key in bin 0xF,
+            // so counting it cannot shift a real key's offset; a key of 0xFFFFFFFF is a real key.
+            atomicAdd(&localHistogram[keyIndex], 1u);
             workgroupBarrier();
             
             // Calculate prefix sum using subgroup operations (simplified)
@@ -195,9 +209,11 @@ fn main(
             // Write to destination
             let totalOffset = globalOffset + localOffset;
             
-            if (totalOffset < constants.numKeys && localKey != 0xFFFFFFFFu) {
-                destKeys[totalOffset] = localKey;
+            if (totalOffset < constants.numKeys) {
+                destKeys[totalOffset] = pass_key_out(localKey, constants.keyFlags);
+#if !KEYS_ONLY
                 destValues[totalOffset] = localValue;
+#endif
             }
             
             workgroupBarrier();
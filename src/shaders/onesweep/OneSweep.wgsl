@@ -1,6 +1,6 @@
 //****************************************************************************
 // GPUSorting
-// OneSweep
+// OneSweep - parameterized template
 //
 // SPDX-License-Identifier: MIT
 // Copyright Thomas Smith 12/7/2024
@@ -8,6 +8,15 @@
 //
 // Modified for WGSL compatibility and variable subgroup sizes by Dino Metarapi, 2025
 // Based on original work by Thomas Smith
+//
+// Preprocessed: KEYS_ONLY drops the payload bindings, loads and scatter
+// First-pass loads and last-pass stores go through pass_key_in / pass_key_out
+// (appended from KeyTransform.wgsl) so signed and float keys sort in order
+// KEY_U64 sorts interleaved (hi, lo) key pairs over eight passes
+// Argsorts read first-pass payloads through pass_value_in, which yields key indices
+// Specialized by src/sorting/oneSweepVariants.js, which replaces the
+// ONESWEEP_PARAMS line with the subgroup size, block dim, keys per thread and
+// radix constants the host sizes its buffers and dispatches from
 //****************************************************************************
 
 enable subgroups;
@@ -32,7 +41,9 @@ struct InfoStruct
     size: u32,
     shift: u32,
     thread_blocks: u32,
-    seed: u32,
+    key_flags: u32,
+    pass_index: u32,
+    key_word: u32,
 };
 
 @group(0) @binding(0)
@@ -47,11 +58,13 @@ var<storage, read_write> sort: array<u32>;
 @group(0) @binding(3)
 var<storage, read_write> alt: array<u32>;
 
+#if !KEYS_ONLY
 @group(0) @binding(4)
 var<storage, read_write> payload: array<u32>;
 
 @group(0) @binding(5)
 var<storage, read_write> alt_payload: array<u32>;
+#endif
 
 @group(0) @binding(6)
 var<storage, read_write> hist: array<atomic<u32>>;
@@ -62,35 +75,39 @@ var<storage, read_write> pass_hist: array<atomic<u32>>;
 @group(0) @binding(8)
 var<storage, read_write> status: array<u32>;
 
-const SORT_PASSES = 4u;
-const BLOCK_DIM = 256u;
-const MIN_SUBGROUP_SIZE = 16u;
-const MAX_REDUCE_SIZE = BLOCK_DIM / MIN_SUBGROUP_SIZE;
+#if KEY_U64
+// 64-bit keys are interleaved (hi, lo) word pairs. Each pass ranks the word
+// holding its digit (info.key_word: 0 = hi, 1 = lo) and carries the other
+// word along like a payload, through the same first/last-pass key transform.
+const KEY_WORDS = 2u;
+fn key_index(i: u32) -> u32 { return 2u * i + info.key_word; }
+fn partner_index(i: u32) -> u32 { return 2u * i + 1u - info.key_word; }
+#else
+const KEY_WORDS = 1u;
+fn key_index(i: u32) -> u32 { return i; }
+#endif
+
+//ONESWEEP_PARAMS
 
 const STATUS_ERR_GLOBAL_HIST = 0u;
 const STATUS_ERR_SCAN = 1u;
 const STATUS_ERR_PASS = 2u;
+// Failing stages record the lane count they ran at, so the host can move to
+// the wave8 build when a driver runs a wider build at 8 lanes
+const STATUS_LANE_COUNT = 3u;
 
 const FLAG_NOT_READY = 0u;
 const FLAG_REDUCTION = 1u;
 const FLAG_INCLUSIVE = 2u;
 const FLAG_MASK = 3u;
 
-const RADIX = 256u;
 const ALL_RADIX = RADIX * SORT_PASSES;
-const RADIX_MASK = 255u;
-const RADIX_LOG = 8u;
-
-const KEYS_PER_THREAD = 15u;
-const PART_SIZE = KEYS_PER_THREAD * BLOCK_DIM;
 
-const REDUCE_BLOCK_DIM = 128u;
-const REDUCE_KEYS_PER_THREAD = 30u;
 const REDUCE_HIST_SIZE = REDUCE_BLOCK_DIM / MIN_SUBGROUP_SIZE * ALL_RADIX;
-const REDUCE_PART_SIZE = REDUCE_KEYS_PER_THREAD * REDUCE_BLOCK_DIM;
 
 const MAX_SUBGROUPS_PER_BLOCK = BLOCK_DIM / MIN_SUBGROUP_SIZE;
 const WARP_HIST_CAPACITY = MAX_SUBGROUPS_PER_BLOCK * RADIX;
+const BINS_PER_THREAD = (RADIX + BLOCK_DIM - 1u) / BLOCK_DIM;
 
 var<workgroup> wg_globalHist: array<atomic<u32>, REDUCE_HIST_SIZE>;
 
@@ -104,90 +121,86 @@ fn global_hist(
     if (lane_count < MIN_SUBGROUP_SIZE || (REDUCE_BLOCK_DIM % lane_count) != 0u) {
         if (threadid.x == 0u) {
             status[STATUS_ERR_GLOBAL_HIST] = 0xDEAD0001u;
+            status[STATUS_LANE_COUNT] = lane_count;
         }
         return;
     }
 
     let sid = threadid.x / lane_count;
 
-    //Clear shared memory
-    for (var i = threadid.x; i < REDUCE_HIST_SIZE; i += REDUCE_BLOCK_DIM) {
-        atomicStore(&wg_globalHist[i], 0u);
-    }
-    workgroupBarrier();
+    // 64-bit keys are histogrammed one word at a time: the lo word's digits
+    // fill the first SORT_PASSES planes and the hi word's the next
+    for (var w = 0u; w < KEY_WORDS; w += 1u) {
+        let word_plane = (KEY_WORDS - 1u - w) * ALL_RADIX;
 
-    let radix_shift = info.shift;
-    let hist_offset = sid * ALL_RADIX;
-    {
-        var i = threadid.x + wgid.x * REDUCE_PART_SIZE;
-        if(wgid.x < info.thread_blocks - 1) {
-            for (var k = 0u; k < REDUCE_KEYS_PER_THREAD; k += 1u) {
-                let key = sort[i];
-                atomicAdd(&wg_globalHist[(key & RADIX_MASK) + hist_offset], 1u);
-                atomicAdd(&wg_globalHist[((key >> 8u) & RADIX_MASK) + hist_offset + 256u], 1u);
-                atomicAdd(&wg_globalHist[((key >> 16u) & RADIX_MASK) + hist_offset + 512u], 1u);
-                atomicAdd(&wg_globalHist[((key >> 24u) & RADIX_MASK) + hist_offset + 768u], 1u);
-                i += REDUCE_BLOCK_DIM;
-            }
+        //Clear shared memory
+        for (var i = threadid.x; i < REDUCE_HIST_SIZE; i += REDUCE_BLOCK_DIM) {
+            atomicStore(&wg_globalHist[i], 0u);
         }
+        workgroupBarrier();
+
+        let radix_shift = info.shift;
+        let hist_offset = sid * ALL_RADIX;
+        {
+            var i = threadid.x + wgid.x * REDUCE_PART_SIZE;
+            if(wgid.x < info.thread_blocks - 1) {
+                for (var k = 0u; k < REDUCE_KEYS_PER_THREAD; k += 1u) {
+                    let key = pass_key_in(sort[i * KEY_WORDS + w], info.key_flags);
+                    for (var d = 0u; d < SORT_PASSES; d += 1u) {
+                        atomicAdd(&wg_globalHist[((key >> (d * RADIX_LOG)) & RADIX_MASK) + hist_offset + d * RADIX], 1u);
+                    }
+                    i += REDUCE_BLOCK_DIM;
+                }
+            }
 
-        if(wgid.x == info.thread_blocks - 1) {
-            for (var k = 0u; k < REDUCE_KEYS_PER_THREAD; k += 1u) {
-                if (i < info.size) {
-                    let key = sort[i];
-                    atomicAdd(&wg_globalHist[(key & RADIX_MASK) + hist_offset], 1u);
-                    atomicAdd(&wg_globalHist[((key >> 8u) & RADIX_MASK) + hist_offset + 256u], 1u);
-                    atomicAdd(&wg_globalHist[((key >> 16u) & RADIX_MASK) + hist_offset + 512u], 1u);
-                    atomicAdd(&wg_globalHist[((key >> 24u) & RADIX_MASK) + hist_offset + 768u], 1u);
+            if(wgid.x == info.thread_blocks - 1) {
+                for (var k = 0u; k < REDUCE_KEYS_PER_THREAD; k += 1u) {
+                    if (i < info.size) {
+                        let key = pass_key_in(sort[i * KEY_WORDS + w], info.key_flags);
+                        for (var d = 0u; d < SORT_PASSES; d += 1u) {
+                            atomicAdd(&wg_globalHist[((key >> (d * RADIX_LOG)) & RADIX_MASK) + hist_offset + d * RADIX], 1u);
+                        }
+                    }
+                    i += REDUCE_BLOCK_DIM;
                 }
-                i += REDUCE_BLOCK_DIM;
             }
         }
-    }
-    workgroupBarrier();
-
-    // Merge subgroup histograms
-    let subgroup_histograms = REDUCE_BLOCK_DIM / lane_count;
-    for(var i = threadid.x; i < RADIX; i += REDUCE_BLOCK_DIM) {
-        var reduction0 = atomicLoad(&wg_globalHist[i]);
-        var reduction1 = atomicLoad(&wg_globalHist[i + 256u]);
-        var reduction2 = atomicLoad(&wg_globalHist[i + 512u]);
-        var reduction3 = atomicLoad(&wg_globalHist[i + 768u]);
-        
-        for (var h = 1u; h < subgroup_histograms; h += 1u) {
-            let idx = h * ALL_RADIX;
-            reduction0 += atomicLoad(&wg_globalHist[i + idx]);
-            reduction1 += atomicLoad(&wg_globalHist[i + 256u + idx]);
-            reduction2 += atomicLoad(&wg_globalHist[i + 512u + idx]);
-            reduction3 += atomicLoad(&wg_globalHist[i + 768u + idx]);
+        workgroupBarrier();
+
+        // Merge subgroup histograms
+        let subgroup_histograms = REDUCE_BLOCK_DIM / lane_count;
+        for(var i = threadid.x; i < ALL_RADIX; i += REDUCE_BLOCK_DIM) {
+            var reduction = atomicLoad(&wg_globalHist[i]);
+            for (var h = 1u; h < subgroup_histograms; h += 1u) {
+                reduction += atomicLoad(&wg_globalHist[i + h * ALL_RADIX]);
+            }
+            atomicAdd(&hist[i + word_plane], reduction);
         }
-        
-        atomicAdd(&hist[i], reduction0);
-        atomicAdd(&hist[i + 256u], reduction1);
-        atomicAdd(&hist[i + 512u], reduction2);
-        atomicAdd(&hist[i + 768u], reduction3);
+        workgroupBarrier();
     }
 }
 
-//Assumes block dim 256
+//One thread per digit bin
+const SCAN_BLOCK_DIM = RADIX;
 const SCAN_MEM_SIZE = RADIX / MIN_SUBGROUP_SIZE;
 var<workgroup> wg_scan: array<u32, SCAN_MEM_SIZE>;
-@compute @workgroup_size(BLOCK_DIM, 1, 1)
+@compute @workgroup_size(SCAN_BLOCK_DIM, 1, 1)
 fn onesweep_scan(
     @builtin(local_invocation_id) threadid: vec3<u32>,
     @builtin(subgroup_invocation_id) laneid: u32,
     @builtin(subgroup_size) lane_count: u32,
     @builtin(workgroup_id) wgid: vec3<u32>) {
     
-    if (lane_count < MIN_SUBGROUP_SIZE || (BLOCK_DIM % lane_count) != 0u) {
+    if (lane_count < MIN_SUBGROUP_SIZE || (SCAN_BLOCK_DIM % lane_count) != 0u) {
         if (threadid.x == 0u) {
             status[STATUS_ERR_SCAN] = 0xDEAD0002u;
+            status[STATUS_LANE_COUNT] = lane_count;
         }
         return;
     }
 
     let sid = threadid.x / lane_count;
-    let pass_plane = info.shift >> 3u;
+    let pass_plane = info.pass_index;
     let hist_index = threadid.x + pass_plane * RADIX;
     let scan = atomicLoad(&hist[hist_index]);
     let red = unsafeSubgroupAdd(scan);
@@ -201,7 +214,7 @@ fn onesweep_scan(
         var offset0 = 0u;
         var offset1 = 0u;
         let lane_log = u32(countTrailingZeros(lane_count));
-        let spine_size = BLOCK_DIM >> lane_log;
+        let spine_size = SCAN_BLOCK_DIM >> lane_log;
         let aligned_size = 1u << ((u32(countTrailingZeros(spine_size)) + lane_log - 1u) / lane_log * lane_log);
         for(var j = lane_count; j <= aligned_size; j <<= lane_log){
             let i0 = ((threadid.x + offset0) << offset1) - select(0u, 1u, j != lane_count);
@@ -248,38 +261,87 @@ var<workgroup> wg_subgroupHist: array<atomic<u32>, WARP_HIST_CAPACITY>;
 var<workgroup> wg_localHist: array<u32, RADIX>;
 var<workgroup> wg_broadcast: u32;
 
-fn WLMS(key: u32, shift: u32, laneid: u32, lane_count: u32, lane_mask_lt: u32, s_offset: u32, key_valid: bool) -> u32 {
-    var eq_mask = 0xffffffffu;
+// Masks span two words so subgroups of up to 64 lanes share one WLMS
+fn lowMask(bits: u32) -> u32 {
+    if (bits == 0u) {
+        return 0u;
+    }
+    if (bits >= 32u) {
+        return 0xffffffffu;
+    }
+    return (1u << bits) - 1u;
+}
+
+fn laneMaskLessThan(laneid: u32) -> vec4<u32> {
+    if (laneid >= 32u) {
+        return vec4<u32>(0xffffffffu, lowMask(laneid - 32u), 0u, 0u);
+    }
+    return vec4<u32>(lowMask(laneid), 0u, 0u, 0u);
+}
+
+fn subgroupMaskForSize(size: u32) -> vec4<u32> {
+    if (size <= 32u) {
+        return vec4<u32>(lowMask(size), 0u, 0u, 0u);
+    }
+    return vec4<u32>(0xffffffffu, lowMask(size - 32u), 0u, 0u);
+}
+
+fn maskAnd(a: vec4<u32>, b: vec4<u32>) -> vec4<u32> {
+    return vec4<u32>(a.x & b.x, a.y & b.y, 0u, 0u);
+}
+
+fn maskFilter(ballot: vec4<u32>, pred: bool) -> vec4<u32> {
+    let keep = vec4<u32>(ballot.x, ballot.y, 0u, 0u);
+    let reject = vec4<u32>(~ballot.x, ~ballot.y, 0u, 0u);
+    let cond = vec4<bool>(pred, pred, pred, pred);
+    return select(reject, keep, cond);
+}
+
+fn maskBitCount(mask: vec4<u32>) -> u32 {
+    return countOneBits(mask.x) + countOneBits(mask.y);
+}
+
+fn maskHasBits(mask: vec4<u32>) -> bool {
+    return (mask.x | mask.y) != 0u;
+}
+
+fn maskHighestLane(mask: vec4<u32>) -> u32 {
+    if (mask.y != 0u) {
+        return 32u + (31u - countLeadingZeros(mask.y));
+    }
+    return 31u - countLeadingZeros(mask.x);
+}
+
+fn WLMS(key: u32, shift: u32, laneid: u32, lane_count: u32, s_offset: u32, key_valid: bool) -> u32 {
+    var eq_mask = vec4<u32>(0xffffffffu, 0xffffffffu, 0u, 0u);
     for (var k = 0u; k < RADIX_LOG; k += 1u) {
         let curr_bit = 1u << (k + shift);
         let pred = key_valid && ((key & curr_bit) != 0u);
         let ballot = unsafeSubgroupBallot(pred);
-        eq_mask &= select(~ballot.x, ballot.x, pred);
+        eq_mask = maskAnd(eq_mask, maskFilter(ballot, pred));
     }
     if (!key_valid) {
-        eq_mask = 0u;
+        eq_mask = vec4<u32>(0u);
     }
-    var subgroup_mask = 0xffffffffu;
-    if (lane_count != 32u) {
-        subgroup_mask = (1u << lane_count) - 1u;
-    }
-    eq_mask &= subgroup_mask;
-    var out = countOneBits(eq_mask & lane_mask_lt);
-    let highest_rank_peer = select(lane_count - 1u, 31u - countLeadingZeros(eq_mask), eq_mask != 0u);
+    eq_mask = maskAnd(eq_mask, subgroupMaskForSize(lane_count));
+    let lane_mask_lt = laneMaskLessThan(laneid);
+    var out = maskBitCount(maskAnd(eq_mask, lane_mask_lt));
+    let has_peers = maskHasBits(eq_mask);
+    let highest_rank_peer = select(lane_count - 1u, maskHighestLane(eq_mask), has_peers);
     var pre_inc = 0u;
-    if (key_valid && eq_mask != 0u && laneid == highest_rank_peer) {
+    if (key_valid && has_peers && laneid == highest_rank_peer) {
         pre_inc = atomicAdd(&wg_subgroupHist[((key >> shift) & RADIX_MASK) + s_offset], out + 1u);
     }
     workgroupBarrier();
     var broadcast = 0u;
-    if (eq_mask != 0u) {
+    if (has_peers) {
         broadcast = unsafeSubgroupShuffle(pre_inc, highest_rank_peer);
     }
     out += broadcast;
     return select(0u, out, key_valid);
 }
 
-fn fake_wlms(key: u32, shift: u32, laneid: u32, lane_count: u32, lane_mask_lt: u32, s_offset: u32) -> u32 {
+fn fake_wlms(key: u32, shift: u32, laneid: u32, lane_count: u32, s_offset: u32) -> u32 {
     return 0u;
 }
 
@@ -296,6 +358,7 @@ fn onesweep_pass(
     if (subgroup_hist_size > WARP_HIST_CAPACITY) {
         if (threadid.x == 0u) {
             status[STATUS_ERR_PASS] = 0xDEAD0004u;
+            status[STATUS_LANE_COUNT] = lane_count;
         }
         return;
     }
@@ -306,12 +369,17 @@ fn onesweep_pass(
     workgroupBarrier();
 
     if (threadid.x == 0u) {
-        wg_broadcast = atomicAdd(&bump[shift >> 3u], 1u);
+        wg_broadcast = atomicAdd(&bump[info.pass_index], 1u);
     }
     let partid = workgroupUniformLoad(&wg_broadcast);
 
     var keys = array<u32, KEYS_PER_THREAD>();
+#if !KEYS_ONLY
     var values = array<u32, KEYS_PER_THREAD>();
+#endif
+#if KEY_U64
+    var partners = array<u32, KEYS_PER_THREAD>();
+#endif
     var keyValid = array<bool, KEYS_PER_THREAD>();
     {
         let dev_offset = partid * PART_SIZE;
@@ -319,20 +387,32 @@ fn onesweep_pass(
         var idx = laneid + lane_stride + dev_offset;
         if (partid < info.thread_blocks - 1u) {
             for (var k = 0u; k < KEYS_PER_THREAD; k += 1u) {
-                keys[k] = sort[idx];
-                values[k] = payload[idx];
+                keys[k] = pass_key_in(sort[key_index(idx)], info.key_flags);
+#if !KEYS_ONLY
+                values[k] = pass_value_in(payload[idx], idx, info.key_flags);
+#endif
+#if KEY_U64
+                partners[k] = pass_key_in(sort[partner_index(idx)], info.key_flags);
+#endif
                 keyValid[k] = true;
                 idx += lane_count;
             }
         } else {
             for (var k = 0u; k < KEYS_PER_THREAD; k += 1u) {
                 if (idx < info.size) {
-                    keys[k] = sort[idx];
-                    values[k] = payload[idx];
+                    keys[k] = pass_key_in(sort[key_index(idx)], info.key_flags);
+#if !KEYS_ONLY
+                    values[k] = pass_value_in(payload[idx], idx, info.key_flags);
+#endif
+#if KEY_U64
+                    partners[k] = pass_key_in(sort[partner_index(idx)], info.key_flags);
+#endif
                     keyValid[k] = true;
                 } else {
                     keys[k] = 0xffffffffu;
+#if !KEYS_ONLY
                     values[k] = 0xffffffffu;
+#endif
                     keyValid[k] = false;
                 }
                 idx += lane_count;
@@ -342,49 +422,62 @@ fn onesweep_pass(
 
     var offsets = array<u32, KEYS_PER_THREAD>();
     {
-        let lane_mask_lt = (1u << laneid) - 1u;
         let hist_offset = sid * RADIX;
         for (var k = 0u; k < KEYS_PER_THREAD; k += 1u) {
-            offsets[k] = WLMS(keys[k], shift, laneid, lane_count, lane_mask_lt, hist_offset, keyValid[k]);
+            offsets[k] = WLMS(keys[k], shift, laneid, lane_count, hist_offset, keyValid[k]);
         }
     }
     workgroupBarrier();
 
-    var local_reduction = 0u;
-    if (threadid.x < RADIX) {
-        local_reduction = atomicLoad(&wg_subgroupHist[threadid.x]);
-        var subtotal = local_reduction;
-        for (var i = threadid.x + RADIX; i < subgroup_hist_size; i += RADIX) {
+    // Bin threadid.x + b * BLOCK_DIM belongs to this thread; blocks wider
+    // than RADIX leave their upper threads idle here
+    var local_reductions = array<u32, BINS_PER_THREAD>();
+    for (var b = 0u; b < BINS_PER_THREAD; b += 1u) {
+        let bin = threadid.x + b * BLOCK_DIM;
+        if (bin >= RADIX) {
+            break;
+        }
+        var subtotal = atomicLoad(&wg_subgroupHist[bin]);
+        for (var i = bin + RADIX; i < subgroup_hist_size; i += RADIX) {
             let current = atomicLoad(&wg_subgroupHist[i]);
             atomicStore(&wg_subgroupHist[i], subtotal);
             subtotal += current;
         }
-        local_reduction = subtotal;
+        local_reductions[b] = subtotal;
 
         if (partid < info.thread_blocks - 1u) {
-            let pass_plane = shift >> 3u;
-            let pass_index = threadid.x + pass_plane * info.thread_blocks * RADIX + (partid + 1u) * RADIX;
-            atomicStore(&pass_hist[pass_index], (local_reduction << 2u) | FLAG_REDUCTION);
+            let pass_plane = info.pass_index;
+            let pass_index = bin + pass_plane * info.thread_blocks * RADIX + (partid + 1u) * RADIX;
+            atomicStore(&pass_hist[pass_index], (subtotal << 2u) | FLAG_REDUCTION);
         }
 
         let lane_mask = lane_count - 1u;
         let circular_lane_shift = (laneid + lane_mask) & lane_mask;
-        let t = unsafeSubgroupInclusiveAdd(local_reduction);
-        wg_localHist[threadid.x] = unsafeSubgroupShuffle(t, circular_lane_shift);
+        let t = unsafeSubgroupInclusiveAdd(subtotal);
+        wg_localHist[bin] = unsafeSubgroupShuffle(t, circular_lane_shift);
     }
     workgroupBarrier();
 
+    // Scan the subgroup totals; at 8 lanes there are more totals than lanes
     if (threadid.x < lane_count) {
-        let pred = threadid.x < RADIX / lane_count;
-        let t = unsafeSubgroupExclusiveAdd(select(0u, wg_localHist[threadid.x * lane_count], pred));
-        if (pred) {
-            wg_localHist[threadid.x * lane_count] = t;
+        var carry = 0u;
+        for (var base = 0u; base < RADIX / lane_count; base += lane_count) {
+            let i = (base + threadid.x) * lane_count;
+            let pred = base + threadid.x < RADIX / lane_count;
+            let total = select(0u, wg_localHist[i], pred);
+            let t = unsafeSubgroupExclusiveAdd(total);
+            if (pred) {
+                wg_localHist[i] = t + carry;
+            }
+            carry += unsafeSubgroupAdd(total);
         }
     }
     workgroupBarrier();
 
-    if (threadid.x < RADIX && laneid != 0u) {
-        wg_localHist[threadid.x] += wg_localHist[(threadid.x / lane_count) * lane_count];
+    for (var bin = threadid.x; bin < RADIX; bin += BLOCK_DIM) {
+        if (laneid != 0u) {
+            wg_localHist[bin] += wg_localHist[(bin / lane_count) * lane_count];
+        }
     }
     workgroupBarrier();
 
@@ -402,10 +495,14 @@ fn onesweep_pass(
     }
     workgroupBarrier();
 
-    if (threadid.x < RADIX) {
-        let pass_plane = shift >> 3u;
+    for (var b = 0u; b < BINS_PER_THREAD; b += 1u) {
+        let pass_plane = info.pass_index;
         let base_plane = pass_plane * info.thread_blocks * RADIX;
-        let bin = threadid.x;
+        let bin = threadid.x + b * BLOCK_DIM;
+        if (bin >= RADIX) {
+            break;
+        }
+        let local_reduction = local_reductions[b];
         let block_prefix = wg_localHist[bin];
         var prev_reduction = 0u;
         var lookbackid = partid;
@@ -433,8 +530,13 @@ fn onesweep_pass(
             let digit = (keys[k] >> shift) & RADIX_MASK;
             let global_offset = wg_localHist[digit] + offsets[k];
             if (global_offset < info.size) {
-                alt[global_offset] = keys[k];
+                alt[key_index(global_offset)] = pass_key_out(keys[k], info.key_flags);
+#if !KEYS_ONLY
                 alt_payload[global_offset] = values[k];
+#endif
+#if KEY_U64
+                alt[partner_index(global_offset)] = pass_key_out(partners[k], info.key_flags);
+#endif
             }
         }
     }
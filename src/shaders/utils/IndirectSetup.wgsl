@@ -0,0 +1,76 @@
+// Indirect dispatch setup for DeviceRadixSort and OneSweep
+// setup_indirect reads a key count that an earlier GPU pass wrote, clamps it
+// to the capacity the passes were recorded for and fills in what the CPU
+// writes for a direct sort: the size and thread_blocks of every pass's
+// InfoStruct, the dispatchWorkgroupsIndirect arguments and OneSweep's
+// FLAG_INCLUSIVE pass_hist seeds, whose plane stride depends on thread_blocks.
+// seed_pass_hist writes the same seeds for a direct sort, taking max_keys as
+// the key count. Both expect pass_hist to be cleared first.
+
+struct SetupParams {
+    max_keys: u32,
+    part_size: u32,
+    reduce_part_size: u32,
+    seed_planes: u32,  // pass_hist planes to seed; 0 for DeviceRadixSort
+    radix: u32,        // Digits per pass_hist plane
+    info_stride: u32,  // Words between pass infos (the uniform dynamic-offset stride)
+    padding0: u32,
+    padding1: u32,
+};
+
+@group(0) @binding(0)
+var<uniform> params: SetupParams;
+
+@group(0) @binding(1)
+var<storage, read> count: array<u32>;
+
+@group(0) @binding(2)
+var<storage, read_write> infos: array<u32>;
+
+@group(0) @binding(3)
+var<storage, read_write> args: array<u32>;
+
+@group(0) @binding(4)
+var<storage, read_write> pass_hist: array<u32>;
+
+const BLOCK_DIM = 256u;
+const FLAG_INCLUSIVE = 2u;
+
+@compute @workgroup_size(BLOCK_DIM, 1, 1)
+fn setup_indirect(@builtin(local_invocation_id) threadid: vec3<u32>) {
+    let size = min(count[0], params.max_keys);
+    let thread_blocks = (size + params.part_size - 1u) / params.part_size;
+
+    if (threadid.x == 0u) {
+        // Each info is size, shift, thread_blocks, key_flags, pass_index, key_word
+        for (var i = 0u; i < arrayLength(&infos) / params.info_stride; i += 1u) {
+            infos[i * params.info_stride] = size;
+            infos[i * params.info_stride + 2u] = thread_blocks;
+        }
+
+        // Partition-sized passes at offset 0, the reduce-sized pass at 12 bytes
+        args[0] = thread_blocks;
+        args[1] = 1u;
+        args[2] = 1u;
+        args[3] = (size + params.reduce_part_size - 1u) / params.reduce_part_size;
+        args[4] = 1u;
+        args[5] = 1u;
+    }
+
+    seed_planes(threadid.x, thread_blocks);
+}
+
+@compute @workgroup_size(BLOCK_DIM, 1, 1)
+fn seed_pass_hist(@builtin(local_invocation_id) threadid: vec3<u32>) {
+    let thread_blocks = (params.max_keys + params.part_size - 1u) / params.part_size;
+    seed_planes(threadid.x, thread_blocks);
+}
+
+// The first block of every plane reads an inclusive prefix of zero
+fn seed_planes(tid: u32, thread_blocks: u32) {
+    for (var plane = 0u; plane < params.seed_planes; plane += 1u) {
+        for (var bin = tid; bin < params.radix; bin += BLOCK_DIM) {
+            pass_hist[plane * thread_blocks * params.radix + bin] = FLAG_INCLUSIVE;
+        }
+    }
+}
@@ -0,0 +1,73 @@
+// Order-preserving key transforms, appended to the sort shaders by GpuSorter
+// Preprocessed: exactly one of KEY_U32 / KEY_I32 / KEY_F32 / KEY_F16 / KEY_U64
+// is set.
+// to_sort_bits maps a key word to bits whose unsigned order matches the key
+// type's numeric order; from_sort_bits undoes it. The sort kernels apply the
+// map on the first pass's key load and the inverse in the last pass's scatter,
+// so the intermediate ping-pong buffers hold sort bits. Descending sorts invert
+// the sort bits at the same two points, so every histogram and scatter kernel
+// ranks inverted digits; the passes stay stable, keeping equal keys in order.
+
+const KEY_FLAG_FIRST_PASS = 1u;
+const KEY_FLAG_LAST_PASS = 2u;
+const KEY_FLAG_DESCENDING = 4u;
+const KEY_FLAG_INDEX_VALUES = 8u;
+
+#if KEY_U32
+fn to_sort_bits(key: u32) -> u32 { return key; }
+fn from_sort_bits(bits: u32) -> u32 { return bits; }
+#endif
+
+#if KEY_U64
+// Each pass ranks one word of the (hi, lo) pair; unsigned words need no map
+fn to_sort_bits(key: u32) -> u32 { return key; }
+fn from_sort_bits(bits: u32) -> u32 { return bits; }
+#endif
+
+#if KEY_I32
+// Flipping the sign bit moves negatives below the positives
+fn to_sort_bits(key: u32) -> u32 { return key ^ 0x80000000u; }
+fn from_sort_bits(bits: u32) -> u32 { return bits ^ 0x80000000u; }
+#endif
+
+#if KEY_F32
+// Negatives flip every bit (reversing their order), positives only the sign bit
+fn to_sort_bits(key: u32) -> u32 {
+    return key ^ select(0x80000000u, 0xffffffffu, (key & 0x80000000u) != 0u);
+}
+fn from_sort_bits(bits: u32) -> u32 {
+    return bits ^ select(0xffffffffu, 0x80000000u, (bits & 0x80000000u) != 0u);
+}
+#endif
+
+#if KEY_F16
+// Same mapping as f32 on the binary16 held in the low half of the word
+fn to_sort_bits(key: u32) -> u32 {
+    let half = key & 0xffffu;
+    return half ^ select(0x8000u, 0xffffu, (half & 0x8000u) != 0u);
+}
+fn from_sort_bits(bits: u32) -> u32 {
+    return bits ^ select(0xffffu, 0x8000u, (bits & 0x8000u) != 0u);
+}
+#endif
+
+fn order_mask(flags: u32) -> u32 {
+    return select(0u, 0xffffffffu, (flags & KEY_FLAG_DESCENDING) != 0u);
+}
+
+// Keys as read from the source buffer in a pass with the given flags
+fn pass_key_in(key: u32, flags: u32) -> u32 {
+    return select(key, to_sort_bits(key) ^ order_mask(flags), (flags & KEY_FLAG_FIRST_PASS) != 0u);
+}
+
+// Keys as written to the destination buffer in a pass with the given flags
+fn pass_key_out(bits: u32, flags: u32) -> u32 {
+    return select(bits, from_sort_bits(bits ^ order_mask(flags)), (flags & KEY_FLAG_LAST_PASS) != 0u);
+}
+
+// Payload as read from the source buffer: argsorts replace the first pass's
+// values with the key's original index, so no index buffer is uploaded
+fn pass_value_in(value: u32, index: u32, flags: u32) -> u32 {
+    let index_flags = KEY_FLAG_FIRST_PASS | KEY_FLAG_INDEX_VALUES;
+    return select(value, index, (flags & index_flags) == index_flags);
+}
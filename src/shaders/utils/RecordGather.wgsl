@@ -0,0 +1,60 @@
+// Record sorting helpers, shared by every GPU sorter
+// extract_keys copies the key field out of fixed-stride records so the radix
+// passes can argsort it; gather_records then copies whole records into sorted
+// order through the permutation. Preprocessed with the sorter's KEY_* defines:
+// KEY_U64 reads a little-endian 64-bit field as a (hi, lo) word pair.
+
+struct RecordInfo {
+    size: u32,
+    stride: u32,      // Record stride in words
+    key_word: u32,    // Word holding the key field
+    key_shift: u32,   // Bit offset of a 16-bit key within that word
+};
+
+@group(0) @binding(0)
+var<uniform> info: RecordInfo;
+
+@group(0) @binding(1)
+var<storage, read> records: array<u32>;
+
+@group(0) @binding(2)
+var<storage, read_write> keys: array<u32>;
+
+@group(0) @binding(3)
+var<storage, read> indices: array<u32>;
+
+@group(0) @binding(4)
+var<storage, read_write> sorted_records: array<u32>;
+
+const BLOCK_DIM = 256u;
+
+// Both kernels stride over their work so large record counts fit the
+// dispatch limit
+@compute @workgroup_size(BLOCK_DIM, 1, 1)
+fn extract_keys(
+    @builtin(global_invocation_id) gid: vec3<u32>,
+    @builtin(num_workgroups) groups: vec3<u32>) {
+
+    for (var i = gid.x; i < info.size; i += groups.x * BLOCK_DIM) {
+        let base = i * info.stride + info.key_word;
+#if KEY_U64
+        keys[2u * i] = records[base + 1u];
+        keys[2u * i + 1u] = records[base];
+#else
+        keys[i] = records[base] >> info.key_shift;
+#endif
+    }
+}
+
+@compute @workgroup_size(BLOCK_DIM, 1, 1)
+fn gather_records(
+    @builtin(global_invocation_id) gid: vec3<u32>,
+    @builtin(num_workgroups) groups: vec3<u32>) {
+
+    let total = info.size * info.stride;
+    for (var t = gid.x; t < total; t += groups.x * BLOCK_DIM) {
+        let record = t / info.stride;
+        let word = t - record * info.stride;
+        sorted_records[t] = records[indices[record] * info.stride + word];
+    }
+}
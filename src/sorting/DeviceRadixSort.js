@@ -3,40 +3,112 @@
  * Based on Thomas Smith's GPUSorting library
  */
 
-import shader from '../shaders/deviceradix/DeviceRadixSort.wgsl?raw';
-
-export class DeviceRadixSort {
-  static SORT_PASSES = 4;
-  static BLOCK_DIM = 256;
+import segmentShader from '../shaders/deviceradix/SegmentPack.wgsl?raw';
+import { GpuSorter } from './GpuSorter.js';
+import {
+  DEVICE_RADIX_PARAM_NAMES,
+  deviceRadixConstants,
+  portableDeviceRadixConstants,
+  specializeDeviceRadix,
+  specializePortableDeviceRadix
+} from './deviceRadixVariants.js';
+import { fromKeyWords, getKeyType, toKeyWords } from './keyTypes.js';
+import { registerSorter } from './registry.js';
+import { checkSegmentOffsets, formatNumber } from '../utils.js';
+
+// Constants of the default (wave16) build; other builds derive theirs the same way
+const DEFAULT_CONSTANTS = deviceRadixConstants();
+
+export class DeviceRadixSort extends GpuSorter {
+  static SORT_PASSES = 4; // Per 32-bit key word
+  static BLOCK_DIM = DEFAULT_CONSTANTS.BLOCK_DIM;
   static RADIX = 256;
   static RADIX_LOG = 8;
-  static KEYS_PER_THREAD = 15;
-  static PART_SIZE = DeviceRadixSort.BLOCK_DIM * DeviceRadixSort.KEYS_PER_THREAD;
-  static REDUCE_BLOCK_DIM = 128;
-  static REDUCE_KEYS_PER_THREAD = 30;
-  static REDUCE_PART_SIZE = DeviceRadixSort.REDUCE_BLOCK_DIM * DeviceRadixSort.REDUCE_KEYS_PER_THREAD;
+  static KEYS_PER_THREAD = DEFAULT_CONSTANTS.KEYS_PER_THREAD;
+  static PART_SIZE = DEFAULT_CONSTANTS.PART_SIZE;
+  static REDUCE_BLOCK_DIM = DEFAULT_CONSTANTS.REDUCE_BLOCK_DIM;
+  static REDUCE_KEYS_PER_THREAD = DEFAULT_CONSTANTS.REDUCE_KEYS_PER_THREAD;
+  static REDUCE_PART_SIZE = DEFAULT_CONSTANTS.REDUCE_PART_SIZE;
+  // 8-lane subgroups overflow the 256-thread build's subgroup histograms;
+  // the wave8 build halves the block (and partition) size instead
+  static VARIANTS = Object.freeze([
+    { label: 'wave16', minLanes: 12, params: { subgroupSize: 16 } },
+    { label: 'wave8', minLanes: 0, params: { subgroupSize: 8, blockDim: 128 } }
+  ]);
+  // Adapters without the subgroups feature rank keys in workgroup memory instead
+  static PORTABLE_VARIANT = Object.freeze({ label: 'portable', params: {} });
+  // Stored tunings and the autotuner's grid. Partitions are staged through the
+  // subgroup histograms, which hold 16 keys per thread at 16 lanes; reduce
+  // blocks of 64 and 128 threads divide every partition in the grid
+  static TUNING_ID = 'deviceradix';
+  static TUNING_GRID = Object.freeze({
+    blockDim: [128, 256],
+    keysPerThread: [8, 12, 15, 16],
+    reduceBlockDim: [64, 128]
+  });
+  // The portable build always runs 256 threads and has no reduce blocks of its
+  // own, so it is tuned (and its tuning stored) separately over keysPerThread;
+  // every partition in the grid fits the default 16KB of workgroup storage
+  static PORTABLE_TUNING_ID = 'deviceradix-portable';
+  static PORTABLE_TUNING_GRID = Object.freeze({
+    keysPerThread: [4, 8, 12]
+  });
   static STATUS_ERROR_COUNT = 3; // Keep in sync with STATUS_ERR_* constants in the shader
   static STATUS_STAGE_COUNT = 3; // reduce_hist, scan, dvr_pass
   static STATUS_STAGE_NAMES = ['reduce_hist', 'scan', 'dvr_pass'];
-  static STATUS_LENGTH = DeviceRadixSort.STATUS_ERROR_COUNT + DeviceRadixSort.SORT_PASSES * DeviceRadixSort.STATUS_STAGE_COUNT;
+  static INFO_SIZE = 24; // size, shift, thread_blocks, key_flags, pass_index, key_word
+  static SEGMENT_BLOCK_DIM = 256; // Keep in sync with BLOCK_DIM in SegmentPack.wgsl
+  static SEGMENT_INFO_SIZE = 16; // size, segment_count, key_flags, padding
 
-  constructor(device, maxKeys) {
-    this.device = device;
-    this.maxKeys = maxKeys;
-    this.pipelines = null;
-    this.buffers = null;
+  constructor(device, maxKeys, options = {}) {
+    super(device, maxKeys, options);
     this.bindGroupLayout = null;
-    this.timingSupported = device.features.has('timestamp-query');
+    // 64-bit keys take four passes over each of their two words
+    this.sortPasses = DeviceRadixSort.SORT_PASSES * this.keyWords;
+    this.statusLength = DeviceRadixSort.STATUS_ERROR_COUNT + this.sortPasses * DeviceRadixSort.STATUS_STAGE_COUNT;
+    // Pass infos sit one dynamic-offset stride apart in infoBuffer
+    this.infoStride = this.uniformStride(DeviceRadixSort.INFO_SIZE);
+    this.shaderVariant = ''; // Base variant; shaderVariantLabel adds any parameter overrides
+    this.shaderVariantLabel = '';
+    this.partSize = deviceRadixConstants(this.shaderParams ?? {}).PART_SIZE;
   }
 
-  async init() {
+  static tuningFor(device) {
+    if (device.features.has('subgroups')) {
+      return super.tuningFor(device);
+    }
+    return { id: DeviceRadixSort.PORTABLE_TUNING_ID, grid: DeviceRadixSort.PORTABLE_TUNING_GRID };
+  }
+
+  async createPipelines() {
+    if (!this.shaderVariant) {
+      if (this.device.features.has('subgroups')) {
+        const subgroupSize = await this.detectSubgroupSize();
+        this.shaderVariant = DeviceRadixSort.VARIANTS.find(({ minLanes }) => subgroupSize >= minLanes).label;
+      } else {
+        this.shaderVariant = DeviceRadixSort.PORTABLE_VARIANT.label;
+      }
+    }
+    const portable = this.shaderVariant === DeviceRadixSort.PORTABLE_VARIANT.label;
+    const { label, params, constants } = portable
+      ? this.resolveShaderParams(DeviceRadixSort.PORTABLE_VARIANT, portableDeviceRadixConstants)
+      : this.resolveShaderParams(
+        DeviceRadixSort.VARIANTS.find(variant => variant.label === this.shaderVariant),
+        deviceRadixConstants
+      );
+    this.shaderVariantLabel = label;
+    this.partSize = constants.PART_SIZE;
+
     // Create shader module
-    const shaderModule = this.device.createShaderModule({ code: shader });
+    const shaderModule = this.device.createShaderModule({
+      label: `DeviceRadixSort Shader (${label})`,
+      code: this.sortShaderSource(portable ? specializePortableDeviceRadix(params) : specializeDeviceRadix(params))
+    });
 
     // Create bind group layout
     this.bindGroupLayout = this.device.createBindGroupLayout({
-      entries: [
-        { binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } },
+      entries: this.filterPayloadBindings([
+        { binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform', hasDynamicOffset: true } },
         { binding: 1, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
         { binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
         { binding: 3, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
@@ -45,7 +117,7 @@ export class DeviceRadixSort {
         { binding: 6, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
         { binding: 7, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
         { binding: 8, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } }
-      ]
+      ])
     });
 
     const pipelineLayout = this.device.createPipelineLayout({
@@ -67,229 +139,425 @@ export class DeviceRadixSort {
         compute: { module: shaderModule, entryPoint: 'dvr_pass' }
       })
     };
+  }
+
+  bufferDescriptors() {
+    const keySize = Math.max(16, this.maxKeys * 4 * this.keyWords); // Minimum 16 bytes
+    const payloadSize = Math.max(16, this.maxKeys * 4);
+    const threadBlocks = Math.ceil(this.maxKeys / this.partSize);
+    const dataUsage = GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC;
+    return {
+      sortBuffer: { size: keySize, usage: dataUsage },
+      altBuffer: { size: keySize, usage: dataUsage },
+      // Keys-only sorts never touch a payload, so skip those allocations
+      ...(this.keysOnly ? {} : {
+        payloadBuffer: { size: payloadSize, usage: dataUsage },
+        altPayloadBuffer: { size: payloadSize, usage: dataUsage }
+      }),
+      bumpBuffer: {
+        size: (this.sortPasses + 1) * 4,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+      },
+      histBuffer: {
+        size: DeviceRadixSort.RADIX * this.sortPasses * 4,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+      },
+      // Per-block digit counts for every pass, sized by the variant's partition size
+      passHistBuffer: {
+        size: threadBlocks * DeviceRadixSort.RADIX * this.sortPasses * 4,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+      },
+      statusBuffer: {
+        size: this.statusLength * 4,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
+      },
+      // Every pass's info, bound at a dynamic offset; the indirect setup kernel patches it in place
+      infoBuffer: {
+        size: this.infoStride * this.sortPasses,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST | GPUBufferUsage.STORAGE
+      }
+    };
+  }
 
-    this.createBuffers();
+  /**
+   * Switch to the wave8 build after a sort's status showed 8-lane dispatches
+   * the probe did not predict
+   */
+  async useWave8() {
+    this.shaderVariant = 'wave8';
+    await this.createPipelines();
+    this.createBuffers(['passHistBuffer']);
+  }
 
-    if (this.timingSupported) {
-      this.createTimingResources();
+  /**
+   * Read back a submitted sort's status, moving to the wave8 build when it failed on 8-lane dispatches
+   * Drivers may run a pipeline narrower than the probe; the status records the
+   * lane counts, so every sorting entry point sorts again on the wave8 build.
+   * @returns {Promise<Object|null>} checkStatus()'s diagnostics, or null after switching builds
+   */
+  async checkSortStatus() {
+    try {
+      return await this.checkStatus();
+    } catch (error) {
+      if (this.shaderVariant === 'wave8' || !error.subgroupSizes?.some(({ size }) => size <= 8)) {
+        throw error;
+      }
+      console.info('DeviceRadixSort: 8-lane dispatches detected, switching to the wave8 shader variant.');
+      await this.useWave8();
+      return null;
     }
   }
 
-  createBuffers() {
-    const keySize = Math.max(16, this.maxKeys * 4); // Minimum 16 bytes
-    const threadBlocks = Math.ceil(this.maxKeys / DeviceRadixSort.PART_SIZE);
+  async runSort(keys, values, { outKeys, outValues, beginBit, endBit, order, indices = false, withKeys = true } = {}) {
+    const numKeys = keys.length / this.keyWords;
 
-    this.sortBuffer = this.device.createBuffer({
-      size: keySize,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
-    });
+    // Upload data
+    this.device.queue.writeBuffer(this.sortBuffer, 0, keys);
+    if (values) {
+      this.device.queue.writeBuffer(this.payloadBuffer, 0, values);
+    }
 
-    this.altBuffer = this.device.createBuffer({
-      size: keySize,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
+    const timer = this.startTimer();
+    const encoder = this.device.createCommandEncoder();
+    const result = this.encodePasses(encoder, {
+      keys: this.sortBuffer,
+      values: values || indices ? this.payloadBuffer : undefined,
+      count: numKeys,
+      timer,
+      beginBit,
+      endBit,
+      order,
+      indices
     });
 
-    this.payloadBuffer = this.device.createBuffer({
-      size: keySize,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
-    });
+    const timing = await this.submitTimed(encoder, timer);
+    const status = await this.checkSortStatus();
+    if (!status) {
+      return this.runSort(keys, values, { outKeys, outValues, beginBit, endBit, order, indices, withKeys });
+    }
 
-    this.altPayloadBuffer = this.device.createBuffer({
-      size: keySize,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
-    });
+    // Download results
+    const resultKeys = withKeys
+      ? await this.downloadUint32(result.keys, keys.length, outKeys)
+      : undefined;
+    const resultValues = values || indices
+      ? await this.downloadUint32(result.values, numKeys, outValues)
+      : undefined;
+
+    return {
+      keys: resultKeys,
+      values: resultValues,
+      ...timing,
+      ...status
+    };
+  }
 
-    this.bumpBuffer = this.device.createBuffer({
-      size: (DeviceRadixSort.SORT_PASSES + 1) * 4,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+  encodePasses(encoder, {
+    keys,
+    values,
+    count,
+    countBuffer,
+    countOffset = 0,
+    timer,
+    beginBit,
+    endBit,
+    order,
+    indices = false
+  }) {
+    const threadBlocks = Math.ceil(count / this.partSize);
+    const bindGroups = this.passBindGroups(keys, values);
+
+    // Reset scratch on the GPU; reduce_hist rewrites pass_hist in full
+    encoder.clearBuffer(this.histBuffer);
+    encoder.clearBuffer(this.statusBuffer);
+
+    // A GPU-side count is patched into the staged pass infos and the dispatch
+    // arguments; count is then only the capacity
+    const indirectArgs = countBuffer && this.encodeIndirectSetup(encoder, {
+      countBuffer,
+      countOffset,
+      maxCount: count,
+      infoBuffer: this.infoBuffer,
+      passHistBuffer: this.passHistBuffer,
+      timer
     });
 
-    this.histBuffer = this.device.createBuffer({
-      size: DeviceRadixSort.RADIX * DeviceRadixSort.SORT_PASSES * 4,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
-    });
+    // Stage every pass's info in one write; each pass binds its own at a dynamic offset
+    const { firstPass, passCount } = this.passRange(DeviceRadixSort.RADIX_LOG, { beginBit, endBit });
+    const lastPass = firstPass + passCount - 1;
+    const infoData = this.passUniformStaging(this.sortPasses, this.infoStride);
+    for (let pass = firstPass; pass <= lastPass; pass++) {
+      const shift = pass * DeviceRadixSort.RADIX_LOG;
+      // 64-bit keys rank the lo word (index 1 of each pair) for the first four passes
+      const keyWord = shift < 32 ? this.keyWords - 1 : 0;
+      const keyFlags = this.keyPassFlags(pass - firstPass, passCount, order, indices);
+      infoData.set([count, shift & 31, threadBlocks, keyFlags, pass, keyWord], pass * this.infoStride / 4);
+    }
+    this.device.queue.writeBuffer(this.infoBuffer, 0, infoData);
 
-    this.passHistBuffer = this.device.createBuffer({
-      size: threadBlocks * DeviceRadixSort.RADIX * DeviceRadixSort.SORT_PASSES * 4,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
-    });
+    // Execute sort passes, ping-ponging between the two bind groups
+    for (let pass = firstPass; pass <= lastPass; pass++) {
+      const bindGroup = bindGroups[(pass - firstPass) % 2];
+      const infoOffset = [pass * this.infoStride];
 
-    this.statusBuffer = this.device.createBuffer({
-      size: DeviceRadixSort.STATUS_LENGTH * 4,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
-    });
+      // Reduce histogram
+      const reducePass = encoder.beginComputePass(this.passDescriptor(timer, 'reduce_hist', pass));
+      reducePass.setPipeline(this.pipelines.reduceHist);
+      reducePass.setBindGroup(0, bindGroup, infoOffset);
+      this.dispatchPass(reducePass, threadBlocks, indirectArgs, 0);
+      reducePass.end();
 
-    this.infoBuffer = this.device.createBuffer({
-      size: 16,
-      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
-    });
+      // Scan
+      const scanPass = encoder.beginComputePass(this.passDescriptor(timer, 'scan', pass));
+      scanPass.setPipeline(this.pipelines.scan);
+      scanPass.setBindGroup(0, bindGroup, infoOffset);
+      scanPass.dispatchWorkgroups(DeviceRadixSort.RADIX);
+      scanPass.end();
 
-    // Upload buffer for info data
-    this.infoUploadBuffer = this.device.createBuffer({
-      size: 16 * DeviceRadixSort.SORT_PASSES,
-      usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
-    });
+      // DVR pass
+      const dvrPass = encoder.beginComputePass(this.passDescriptor(timer, 'dvr_pass', pass));
+      dvrPass.setPipeline(this.pipelines.dvrPass);
+      dvrPass.setBindGroup(0, bindGroup, infoOffset);
+      this.dispatchPass(dvrPass, threadBlocks, indirectArgs, 0);
+      dvrPass.end();
+    }
+
+    // Odd pass counts leave the result in the alternate buffers
+    const odd = passCount % 2 === 1;
+    return {
+      keys: odd ? this.altBuffer : keys,
+      values: values && (odd ? this.altPayloadBuffer : values)
+    };
   }
 
-  createTimingResources() {
-    this.querySet = this.device.createQuerySet({
-      type: 'timestamp',
-      count: 2
+  /**
+   * Bind groups for sorting keys (and values) in place: even passes read the
+   * given buffers and write the alternates, odd passes the reverse
+   * @param {GPUBuffer} keys - Keys buffer the first pass reads
+   * @param {GPUBuffer} [values] - Payload buffer, default payloadBuffer
+   * @returns {GPUBindGroup[]} Even and odd pass bind groups, cached per buffer pair
+   */
+  passBindGroups(keys, values) {
+    return this.cachedBindGroups('passes', [keys, values], () => {
+      const payloadBuffer = values ?? this.payloadBuffer;
+      const pairs = [
+        [keys, this.altBuffer, payloadBuffer, this.altPayloadBuffer],
+        [this.altBuffer, keys, this.altPayloadBuffer, payloadBuffer]
+      ];
+      return pairs.map(([sortBuffer, altBuffer, payload, altPayload]) => this.device.createBindGroup({
+        layout: this.bindGroupLayout,
+        entries: this.filterPayloadBindings([
+          { binding: 0, resource: { buffer: this.infoBuffer, size: DeviceRadixSort.INFO_SIZE } },
+          { binding: 1, resource: { buffer: this.bumpBuffer } },
+          { binding: 2, resource: { buffer: sortBuffer } },
+          { binding: 3, resource: { buffer: altBuffer } },
+          { binding: 4, resource: { buffer: payload } },
+          { binding: 5, resource: { buffer: altPayload } },
+          { binding: 6, resource: { buffer: this.histBuffer } },
+          { binding: 7, resource: { buffer: this.passHistBuffer } },
+          { binding: 8, resource: { buffer: this.statusBuffer } }
+        ])
+      }));
     });
+  }
 
-    this.queryBuffer = this.device.createBuffer({
-      size: 16,
-      usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC
-    });
+  /**
+   * Sort many independent segments of one key array in a single submission
+   * Each key is packed with its segment index into a (segment, sort bits) pair
+   * that a 64-bit DeviceRadixSort ranks, running only as many segment-index
+   * passes as the segment count needs. Keys keep their full precision and
+   * every segment stays in place, sorted on its own.
+   * @param {Uint32Array|Int32Array|Float32Array|Uint16Array} keys - Keys of this sorter's (32-bit) key type
+   * @param {Uint32Array} [values] - Optional payload, same length as keys
+   * @param {Uint32Array} segmentOffsets - Segment count + 1 ascending offsets from 0 to keys.length
+   * @param {{order?: string}} [options] - Sort order within each segment
+   * @returns {Promise<{keys: ArrayBufferView, values?: Uint32Array, gpuTime: number|null, gpuTiming: Object|null,
+   *   wallTime: number, timingSource: string, subgroupSizes: Array}>} Sorted arrays, the timing of submitTimed and
+   *   per-pass subgroup sizes
+   */
+  async sortSegments(keys, values, segmentOffsets, { order = 'asc' } = {}) {
+    const name = 'DeviceRadixSort.sortSegments';
+    const { ArrayType } = getKeyType(this.keyType);
+    if (this.keyWords !== 1) {
+      throw new Error(`${name}: segmented sorts take 32-bit keys, not "${this.keyType}"`);
+    }
+    if (!(keys instanceof ArrayType || keys instanceof Uint32Array)) {
+      throw new Error(`${name}: ${this.keyType} keys must be a ${ArrayType.name} or Uint32Array`);
+    }
+    const numKeys = keys.length;
+    if (numKeys > this.maxKeys) {
+      throw new Error(`${name}: ${numKeys} keys exceed the ${this.maxKeys} keys this sorter was created for`);
+    }
+    if (values !== undefined && this.keysOnly) {
+      throw new Error(`${name}: values are not supported in keys-only mode`);
+    }
+    if (values !== undefined && !(values instanceof Uint32Array && values.length === numKeys)) {
+      throw new Error(`${name}: values must be a Uint32Array of ${numKeys} elements`);
+    }
+    checkSegmentOffsets(name, segmentOffsets, numKeys);
+    this.resolveSortOptions(name, { order });
+    if (numKeys === 0) {
+      return { keys: new keys.constructor(0), values: values && new Uint32Array(0), ...this.emptyTiming(), subgroupSizes: [] };
+    }
+    this.ensureBuffers();
 
-    this.readBuffer = this.device.createBuffer({
-      size: 16,
-      usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
+    const segmentCount = segmentOffsets.length - 1;
+    await this.createSegmentResources(segmentCount);
+    const pairSorter = this.segmentSorter;
+
+    // Upload keys for packing; values go straight to the pair sorter's payload
+    this.device.queue.writeBuffer(this.sortBuffer, 0, toKeyWords(keys));
+    this.device.queue.writeBuffer(this.segmentOffsetsBuffer, 0, segmentOffsets);
+    if (values) {
+      this.device.queue.writeBuffer(pairSorter.payloadBuffer, 0, values);
+    }
+    // Pack applies the key transform on the way in and unpack undoes it
+    this.segmentInfoBuffers.forEach((buffer, i) => {
+      this.device.queue.writeBuffer(buffer, 0, new Uint32Array([numKeys, segmentCount, this.keyPassFlags(i, 2, order), 0]));
     });
-  }
 
-  async sort(data) {
-    const numKeys = data.length;
-    const keys = new Uint32Array(data.map(d => d.key));
-    const values = new Uint32Array(data.map(d => d.value));
-    const threadBlocks = Math.ceil(numKeys / DeviceRadixSort.PART_SIZE);
+    // The pair sorter's passes are timed on this sorter's timer, between pack and unpack
+    const timer = this.startTimer();
+    const encoder = this.device.createCommandEncoder();
+    const workgroups = Math.min(Math.ceil(numKeys / DeviceRadixSort.SEGMENT_BLOCK_DIM), GpuSorter.MAX_WORKGROUPS);
+
+    const packPass = encoder.beginComputePass(this.passDescriptor(timer, 'pack_segments'));
+    packPass.setPipeline(this.segmentPipelines.pack);
+    packPass.setBindGroup(0, this.createSegmentBindGroup(0, pairSorter.sortBuffer));
+    packPass.dispatchWorkgroups(workgroups);
+    packPass.end();
+
+    // Segment indices fill the hi word, so only their low bits need passes
+    const segmentBits = 32 - Math.clz32(segmentCount - 1);
+    const result = pairSorter.encodePasses(encoder, {
+      keys: pairSorter.sortBuffer,
+      values: values ? pairSorter.payloadBuffer : undefined,
+      count: numKeys,
+      endBit: 32 + segmentBits,
+      timer
+    });
 
-    // Upload data
-    this.device.queue.writeBuffer(this.sortBuffer, 0, keys);
-    this.device.queue.writeBuffer(this.payloadBuffer, 0, values);
+    const unpackPass = encoder.beginComputePass(this.passDescriptor(timer, 'unpack_segments'));
+    unpackPass.setPipeline(this.segmentPipelines.unpack);
+    unpackPass.setBindGroup(0, this.createSegmentBindGroup(1, result.keys));
+    unpackPass.dispatchWorkgroups(workgroups);
+    unpackPass.end();
+
+    const timing = await this.submitTimed(encoder, timer);
+    // The pair sorter's passes are the ones that can need the wave8 build
+    const status = await pairSorter.checkSortStatus();
+    if (!status) {
+      return this.sortSegments(keys, values, segmentOffsets, { order });
+    }
 
-    // Clear buffers
-    const zeros = new Uint32Array(DeviceRadixSort.RADIX * DeviceRadixSort.SORT_PASSES).fill(0);
-    this.device.queue.writeBuffer(this.histBuffer, 0, zeros);
-    this.device.queue.writeBuffer(
-      this.statusBuffer,
-      0,
-      new Uint32Array(DeviceRadixSort.STATUS_LENGTH).fill(0)
-    );
+    const resultKeys = await this.downloadUint32(this.sortBuffer, numKeys);
+    const resultValues = values
+      ? await this.downloadUint32(result.values, numKeys)
+      : undefined;
 
-    const encoder = this.device.createCommandEncoder();
+    return {
+      keys: fromKeyWords(resultKeys, keys.constructor),
+      values: resultValues,
+      ...timing,
+      ...status
+    };
+  }
 
-    // Execute sort passes
-    for (let pass = 0; pass < DeviceRadixSort.SORT_PASSES; pass++) {
-      const shift = pass * DeviceRadixSort.RADIX_LOG;
-      
-      // Update info buffer via upload buffer
-      const infoData = new Uint32Array([numKeys, shift, threadBlocks, 0]);
-      const infoOffset = pass * 16;
-      this.device.queue.writeBuffer(this.infoUploadBuffer, infoOffset, infoData);
-      
-      encoder.copyBufferToBuffer(
-        this.infoUploadBuffer,
-        infoOffset,
-        this.infoBuffer,
-        0,
-        16
-      );
+  /**
+   * Create the segmented sort's 64-bit pair sorter and pack/unpack pipelines on
+   * first use, allocate the pair sorter's buffers, and grow the offsets buffer
+   * to fit segmentCount segments
+   * @param {number} segmentCount - Number of segments in the next sort
+   */
+  async createSegmentResources(segmentCount) {
+    if (!this.segmentSorter) {
+      this.segmentSorter = new DeviceRadixSort(this.device, this.maxKeys, {
+        keysOnly: this.keysOnly,
+        keyType: 'u64',
+        shaderParams: this.shaderParams ?? undefined,
+        tuning: this.useStoredTuning,
+        adapterInfo: this.adapterInfo
+      });
+      await this.segmentSorter.init();
 
-      // Create bind group
-      const bindGroup = this.device.createBindGroup({
-        layout: this.bindGroupLayout,
+      const module = this.device.createShaderModule({
+        label: 'DeviceRadixSort segment pack',
+        code: this.sortShaderSource(segmentShader)
+      });
+      this.segmentBindGroupLayout = this.device.createBindGroupLayout({
         entries: [
-          { binding: 0, resource: { buffer: this.infoBuffer } },
-          { binding: 1, resource: { buffer: this.bumpBuffer } },
-          { binding: 2, resource: { buffer: this.sortBuffer } },
-          { binding: 3, resource: { buffer: this.altBuffer } },
-          { binding: 4, resource: { buffer: this.payloadBuffer } },
-          { binding: 5, resource: { buffer: this.altPayloadBuffer } },
-          { binding: 6, resource: { buffer: this.histBuffer } },
-          { binding: 7, resource: { buffer: this.passHistBuffer } },
-          { binding: 8, resource: { buffer: this.statusBuffer } }
+          { binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } },
+          { binding: 1, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+          { binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } },
+          { binding: 3, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } }
         ]
       });
+      const layout = this.device.createPipelineLayout({ bindGroupLayouts: [this.segmentBindGroupLayout] });
+      this.segmentPipelines = {
+        pack: this.device.createComputePipeline({
+          layout,
+          compute: { module, entryPoint: 'pack_segments' }
+        }),
+        unpack: this.device.createComputePipeline({
+          layout,
+          compute: { module, entryPoint: 'unpack_segments' }
+        })
+      };
 
-      // Reduce histogram
-      const reducePassDesc = this.timingSupported && pass === 0 ? {
-        timestampWrites: {
-          querySet: this.querySet,
-          beginningOfPassWriteIndex: 0
-        }
-      } : {};
-      const reducePass = encoder.beginComputePass(reducePassDesc);
-      reducePass.setPipeline(this.pipelines.reduceHist);
-      reducePass.setBindGroup(0, bindGroup);
-      reducePass.dispatchWorkgroups(threadBlocks);
-      reducePass.end();
-
-      // Scan
-      const scanPass = encoder.beginComputePass();
-      scanPass.setPipeline(this.pipelines.scan);
-      scanPass.setBindGroup(0, bindGroup);
-      scanPass.dispatchWorkgroups(DeviceRadixSort.RADIX);
-      scanPass.end();
-
-      // DVR pass
-      const dvrPassDesc = this.timingSupported && pass === DeviceRadixSort.SORT_PASSES - 1 ? {
-        timestampWrites: {
-          querySet: this.querySet,
-          endOfPassWriteIndex: 1
-        }
-      } : {};
-      const dvrPass = encoder.beginComputePass(dvrPassDesc);
-      dvrPass.setPipeline(this.pipelines.dvrPass);
-      dvrPass.setBindGroup(0, bindGroup);
-      dvrPass.dispatchWorkgroups(threadBlocks);
-      dvrPass.end();
-
-      // Swap buffers for next pass
-      [this.sortBuffer, this.altBuffer] = [this.altBuffer, this.sortBuffer];
-      [this.payloadBuffer, this.altPayloadBuffer] = [this.altPayloadBuffer, this.payloadBuffer];
+      // One uniform per stage, both written before the single submission
+      this.segmentInfoBuffers = [0, 1].map(stage => this.device.createBuffer({
+        label: `DeviceRadixSort segmentInfoBuffers[${stage}]`,
+        size: DeviceRadixSort.SEGMENT_INFO_SIZE,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+      }));
     }
-
-    if (this.timingSupported) {
-      encoder.resolveQuerySet(this.querySet, 0, 2, this.queryBuffer, 0);
-      encoder.copyBufferToBuffer(this.queryBuffer, 0, this.readBuffer, 0, 16);
+    this.segmentSorter.ensureBuffers();
+
+    const offsetsSize = (segmentCount + 1) * 4;
+    if (!this.segmentOffsetsBuffer || this.segmentOffsetsBuffer.size < offsetsSize) {
+      this.segmentOffsetsBuffer?.destroy();
+      this.segmentOffsetsBuffer = this.device.createBuffer({
+        label: 'DeviceRadixSort segmentOffsetsBuffer',
+        size: offsetsSize,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+      });
     }
+  }
 
-    this.device.queue.submit([encoder.finish()]);
-    await this.device.queue.onSubmittedWorkDone();
-
-    // Read timing
-    let gpuTime = 0;
-    if (this.timingSupported) {
-      await this.readBuffer.mapAsync(GPUMapMode.READ);
-      const times = new BigUint64Array(this.readBuffer.getMappedRange());
-      const delta = Number(times[1] - times[0]);
-      gpuTime = delta / 1_000_000; // Convert to milliseconds
-      this.readBuffer.unmap();
-    }
+  createSegmentBindGroup(stage, pairBuffer) {
+    const infoBuffer = this.segmentInfoBuffers[stage];
+    return this.cachedBindGroups('segments', [infoBuffer, this.segmentOffsetsBuffer, pairBuffer], () => this.device.createBindGroup({
+      layout: this.segmentBindGroupLayout,
+      entries: [
+        { binding: 0, resource: { buffer: infoBuffer } },
+        { binding: 1, resource: { buffer: this.sortBuffer } },
+        { binding: 2, resource: { buffer: this.segmentOffsetsBuffer } },
+        { binding: 3, resource: { buffer: pairBuffer } }
+      ]
+    }));
+  }
+
+  indirectSetupParams() {
+    return {
+      partSize: this.partSize,
+      reducePartSize: this.partSize,
+      seedPlanes: 0,
+      radix: DeviceRadixSort.RADIX,
+      infoStride: this.infoStride
+    };
+  }
 
+  async checkStatus() {
     // Check for errors emitted by compute passes and gather stats
     const statusData = await this.downloadBuffer(
       this.statusBuffer,
-      DeviceRadixSort.STATUS_LENGTH * 4
+      this.statusLength * 4
     );
     const statusArray = new Uint32Array(statusData);
 
-    let errorCode = 0;
-    for (let i = 0; i < DeviceRadixSort.STATUS_ERROR_COUNT; i++) {
-      if (statusArray[i] !== 0) {
-        errorCode = statusArray[i];
-        break;
-      }
-    }
-    if (errorCode !== 0) {
-      const errorMessages = {
-        0xDEAD0001: 'reduce_hist: subgroup size < MIN_SUBGROUP_SIZE or alignment issue',
-        0xDEAD0002: 'scan: subgroup size < MIN_SUBGROUP_SIZE or alignment issue',
-        0xDEAD0004: 'dvr_pass: warp hist capacity exceeded'
-      };
-      throw new Error(`GPU Sort Error: ${errorMessages[errorCode] || `Unknown error code 0x${errorCode.toString(16)}`}`);
-    }
-
-    // Download results
-    const resultKeys = await this.downloadBuffer(this.sortBuffer, numKeys * 4);
-    const resultValues = await this.downloadBuffer(this.payloadBuffer, numKeys * 4);
-
-    const keysArray = new Uint32Array(resultKeys);
-    const valuesArray = new Uint32Array(resultValues);
-
+    // Lane counts are recorded even by failing stages
     const subgroupSizes = [];
-    for (let pass = 0; pass < DeviceRadixSort.SORT_PASSES; pass++) {
+    for (let pass = 0; pass < this.sortPasses; pass++) {
       for (let stage = 0; stage < DeviceRadixSort.STATUS_STAGE_COUNT; stage++) {
         const idx = DeviceRadixSort.STATUS_ERROR_COUNT + pass * DeviceRadixSort.STATUS_STAGE_COUNT + stage;
         const size = statusArray[idx];
@@ -303,45 +571,115 @@ export class DeviceRadixSort {
       }
     }
 
-    const sorted = [];
-    for (let i = 0; i < numKeys; i++) {
-      sorted.push({ key: keysArray[i], value: valuesArray[i] });
+    let errorCode = 0;
+    for (let i = 0; i < DeviceRadixSort.STATUS_ERROR_COUNT; i++) {
+      if (statusArray[i] !== 0) {
+        errorCode = statusArray[i];
+        break;
+      }
+    }
+    if (errorCode !== 0) {
+      const errorMessages = {
+        0xDEAD0001: 'reduce_hist: subgroup size < MIN_SUBGROUP_SIZE or alignment issue',
+        0xDEAD0002: 'scan: subgroup size < MIN_SUBGROUP_SIZE or alignment issue',
+        0xDEAD0004: 'dvr_pass: warp hist capacity exceeded'
+      };
+      const error = new Error(`GPU Sort Error: ${errorMessages[errorCode] || `Unknown error code 0x${errorCode.toString(16)}`}`);
+      error.subgroupSizes = subgroupSizes;
+      throw error;
     }
 
-    return { sorted, gpuTime, subgroupSizes };
+    return { subgroupSizes, shaderVariant: this.shaderVariantLabel };
   }
 
-  async downloadBuffer(buffer, size) {
-    const staging = this.device.createBuffer({
-      size,
-      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
-    });
-
-    const encoder = this.device.createCommandEncoder();
-    encoder.copyBufferToBuffer(buffer, 0, staging, 0, size);
-    this.device.queue.submit([encoder.finish()]);
-
-    await staging.mapAsync(GPUMapMode.READ);
-    const result = staging.getMappedRange().slice(0);
-    staging.unmap();
-    staging.destroy();
+  releaseBuffers() {
+    this.segmentSorter?.releaseBuffers();
+    this.segmentOffsetsBuffer?.destroy();
+    this.segmentOffsetsBuffer = null;
+    super.releaseBuffers();
+  }
 
-    return result;
+  memoryFootprint() {
+    const { buffers, total } = super.memoryFootprint();
+    if (!this.segmentSorter) {
+      return { buffers, total };
+    }
+    // Segmented sorts add a 64-bit pair sorter and their own small buffers
+    const pairs = this.segmentSorter.memoryFootprint();
+    const segmentBuffers = [
+      ...pairs.buffers.map(buffer => ({ ...buffer, name: `segmentSorter.${buffer.name}` })),
+      ...[this.segmentOffsetsBuffer, ...this.segmentInfoBuffers]
+        .filter(Boolean)
+        .map(buffer => ({ name: buffer.label, bytes: buffer.size, usage: buffer.usage, allocated: true }))
+    ];
+    return {
+      buffers: [...buffers, ...segmentBuffers],
+      total: total + segmentBuffers.reduce((sum, { bytes }) => sum + bytes, 0)
+    };
   }
 
   destroy() {
-    this.sortBuffer?.destroy();
-    this.altBuffer?.destroy();
-    this.payloadBuffer?.destroy();
-    this.altPayloadBuffer?.destroy();
-    this.bumpBuffer?.destroy();
-    this.histBuffer?.destroy();
-    this.passHistBuffer?.destroy();
-    this.statusBuffer?.destroy();
-    this.infoBuffer?.destroy();
-    this.infoUploadBuffer?.destroy();
-    this.querySet?.destroy();
-    this.queryBuffer?.destroy();
-    this.readBuffer?.destroy();
+    this.segmentSorter?.destroy();
+    this.segmentInfoBuffers?.forEach(buffer => buffer.destroy());
+    super.destroy();
   }
 }
+
+function describeSubgroupSizes({ subgroupSizes = [], shaderVariant }) {
+  const uniqueSizes = [...new Set(subgroupSizes.map(item => item.size))];
+  const subgroupExtras = subgroupSizes.map(({ pass, stage, size }) => ({
+    label: `Pass ${pass} ${DeviceRadixSort.STATUS_STAGE_NAMES[stage].replace(/_/g, ' ')}`,
+    value: `${formatNumber(size)} lanes`
+  }));
+  const variantOnly = shaderVariant ? [{ label: 'Shader variant', value: shaderVariant }] : [];
+  return {
+    inline: uniqueSizes.length
+      ? [{
+          label: 'Detected subgroup',
+          value: `${uniqueSizes.map(size => `${formatNumber(size)} lanes`).join(', ')}${shaderVariant ? ` (${shaderVariant})` : ''}`
+        }]
+      : variantOnly,
+    collapsible: subgroupExtras.length
+      ? {
+          summary: 'Show per-pass subgroup lanes',
+          hideSummary: 'Hide per-pass subgroup lanes',
+          items: subgroupExtras
+        }
+      : null
+  };
+}
+
+registerSorter({
+  id: 'deviceradix',
+  name: 'DeviceRadixSort',
+  shortName: 'DeviceRadixSort',
+  color: '#f472b6',
+  capabilities: {
+    keyBits: 64,
+    digitBits: DeviceRadixSort.RADIX_LOG,
+    indirect: true,
+    subgroups: false, // Falls back to the portable build
+    shaderParams: DEVICE_RADIX_PARAM_NAMES
+  },
+  create: (device, maxKeys, options) => new DeviceRadixSort(device, maxKeys, options),
+  tuning: device => DeviceRadixSort.tuningFor(device),
+  describeResult: describeSubgroupSizes
+});
+
+registerSorter({
+  id: 'deviceradix-keys',
+  name: 'DeviceRadixSort (keys only)',
+  shortName: 'DeviceRadixSort keys-only',
+  color: '#e879f9',
+  capabilities: {
+    payload: false,
+    keyBits: 64,
+    digitBits: DeviceRadixSort.RADIX_LOG,
+    indirect: true,
+    subgroups: false, // Falls back to the portable build
+    shaderParams: DEVICE_RADIX_PARAM_NAMES
+  },
+  create: (device, maxKeys, options) => new DeviceRadixSort(device, maxKeys, { ...options, keysOnly: true }),
+  tuning: device => DeviceRadixSort.tuningFor(device),
+  describeResult: describeSubgroupSizes
+});
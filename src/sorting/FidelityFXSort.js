@@ -8,8 +8,10 @@ import reduceShader from '../shaders/fidelityfx/radix_sort_reduce.wgsl?raw';
 import scanShader from '../shaders/fidelityfx/radix_sort_scan.wgsl?raw';
 import scanAddShader from '../shaders/fidelityfx/radix_sort_scan_add.wgsl?raw';
 import scatterShader from '../shaders/fidelityfx/radix_sort_scatter.wgsl?raw';
+import { GpuSorter } from './GpuSorter.js';
+import { registerSorter } from './registry.js';
 
-export class FidelityFXSort {
+export class FidelityFXSort extends GpuSorter {
   static ELEMENTS_PER_THREAD = 4;
   static THREADGROUP_SIZE = 128;
   static SORT_BITS_PER_PASS = 4;
@@ -18,132 +20,86 @@ export class FidelityFXSort {
   static TOTAL_PASSES = 8; // 32 bits / 4 bits per pass
   static CONSTANTS_SIZE = 32; // 8 * 4 bytes
 
-  constructor(device, maxKeys) {
-    this.device = device;
-    this.maxKeys = maxKeys;
-    this.pipelines = null;
-    this.buffers = null;
-    this.constantsBuffer = null;
-    this.timingSupported = device.features.has('timestamp-query');
+  constructor(device, maxKeys, options = {}) {
+    super(device, maxKeys, options);
+    if (this.keyWords !== 1) {
+      throw new Error(`FidelityFXSort only sorts 32-bit keys, not "${this.keyType}"`);
+    }
+    // Pass constants sit one dynamic-offset stride apart in constantsBuffer
+    this.constantsStride = this.uniformStride(FidelityFXSort.CONSTANTS_SIZE);
   }
 
-  async init() {
+  async createPipelines() {
     // Create shader modules
     this.shaders = {
-      count: this.device.createShaderModule({ code: countShader }),
+      count: this.device.createShaderModule({ code: this.sortShaderSource(countShader) }),
       reduce: this.device.createShaderModule({ code: reduceShader }),
       scan: this.device.createShaderModule({ code: scanShader }),
       scanAdd: this.device.createShaderModule({ code: scanAddShader }),
-      scatter: this.device.createShaderModule({ code: scatterShader })
+      scatter: this.device.createShaderModule({ code: this.sortShaderSource(scatterShader) })
+    };
+
+    // Explicit layouts, so the constants can be bound at a per-pass dynamic offset
+    const layout = types => this.device.createBindGroupLayout({
+      entries: this.filterPayloadBindings(types.map((type, binding) => ({
+        binding,
+        visibility: GPUShaderStage.COMPUTE,
+        buffer: type === 'uniform' ? { type, hasDynamicOffset: true } : { type }
+      })))
+    });
+    const tableLayout = layout(['uniform', 'read-only-storage', 'storage']);
+    this.bindGroupLayouts = {
+      count: tableLayout,
+      reduce: tableLayout,
+      scan: tableLayout,
+      scanAdd: layout(['uniform', 'storage', 'read-only-storage']),
+      scatter: layout(['uniform', 'read-only-storage', 'storage', 'read-only-storage', 'read-only-storage', 'storage'])
     };
 
     // Create pipelines
+    const pipeline = name => this.device.createComputePipeline({
+      layout: this.device.createPipelineLayout({ bindGroupLayouts: [this.bindGroupLayouts[name]] }),
+      compute: { module: this.shaders[name], entryPoint: 'main' }
+    });
     this.pipelines = {
-      count: this.device.createComputePipeline({
-        layout: 'auto',
-        compute: { module: this.shaders.count, entryPoint: 'main' }
-      }),
-      reduce: this.device.createComputePipeline({
-        layout: 'auto',
-        compute: { module: this.shaders.reduce, entryPoint: 'main' }
-      }),
-      scan: this.device.createComputePipeline({
-        layout: 'auto',
-        compute: { module: this.shaders.scan, entryPoint: 'main' }
-      }),
-      scanAdd: this.device.createComputePipeline({
-        layout: 'auto',
-        compute: { module: this.shaders.scanAdd, entryPoint: 'main' }
-      }),
-      scatter: this.device.createComputePipeline({
-        layout: 'auto',
-        compute: { module: this.shaders.scatter, entryPoint: 'main' }
-      })
+      count: pipeline('count'),
+      reduce: pipeline('reduce'),
+      scan: pipeline('scan'),
+      scanAdd: pipeline('scanAdd'),
+      scatter: pipeline('scatter')
     };
-
-    this.createBuffers();
-    
-    if (this.timingSupported) {
-      this.createTimingResources();
-    }
   }
 
-  createBuffers() {
+  bufferDescriptors() {
     const keySize = Math.max(16, this.maxKeys * 4); // Minimum 16 bytes
     const blockSize = FidelityFXSort.ELEMENTS_PER_THREAD * FidelityFXSort.THREADGROUP_SIZE;
     const numBlocks = Math.ceil(this.maxKeys / blockSize);
     const numReducedBlocks = Math.ceil(numBlocks / blockSize);
-
-    // Ping-pong buffers for keys and values
-    this.keysBuffers = [
-      this.device.createBuffer({
-        size: keySize,
-        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
-      }),
-      this.device.createBuffer({
-        size: keySize,
-        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
-      })
-    ];
-
-    this.valuesBuffers = [
-      this.device.createBuffer({
-        size: keySize,
-        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
-      }),
-      this.device.createBuffer({
-        size: keySize,
-        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
-      })
-    ];
-
+    const dataUsage = GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC;
     // Scratch buffers - need COPY_DST for initialization
-    this.sumTableBuffer = this.device.createBuffer({
-      size: FidelityFXSort.SORT_BIN_COUNT * numBlocks * 4,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
-    });
-
-    this.reduceTableBuffer = this.device.createBuffer({
-      size: FidelityFXSort.SORT_BIN_COUNT * Math.max(1, numReducedBlocks) * 4,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
-    });
+    const scratchUsage = GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST;
 
-    this.scanScratchBuffer = this.device.createBuffer({
-      size: FidelityFXSort.SORT_BIN_COUNT * Math.max(1, numReducedBlocks) * 4,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
-    });
-
-    // Constants buffer
-    this.constantsBuffer = this.device.createBuffer({
-      size: FidelityFXSort.CONSTANTS_SIZE,
-      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
-    });
-
-    // Upload buffer for constants (one for each pass)
-    this.constantsUploadBuffer = this.device.createBuffer({
-      size: FidelityFXSort.CONSTANTS_SIZE * FidelityFXSort.TOTAL_PASSES,
-      usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
-    });
-  }
-
-  createTimingResources() {
-    this.querySet = this.device.createQuerySet({
-      type: 'timestamp',
-      count: 2
-    });
-
-    this.queryBuffer = this.device.createBuffer({
-      size: 16,
-      usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC
-    });
-
-    this.readBuffer = this.device.createBuffer({
-      size: 16,
-      usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
-    });
+    return {
+      // Ping-pong buffers for keys and values
+      keysBuffer: { size: keySize, usage: dataUsage },
+      altKeysBuffer: { size: keySize, usage: dataUsage },
+      // Keys-only sorts never touch a payload, so skip those allocations
+      ...(this.keysOnly ? {} : {
+        valuesBuffer: { size: keySize, usage: dataUsage },
+        altValuesBuffer: { size: keySize, usage: dataUsage }
+      }),
+      sumTableBuffer: { size: FidelityFXSort.SORT_BIN_COUNT * numBlocks * 4, usage: scratchUsage },
+      reduceTableBuffer: { size: FidelityFXSort.SORT_BIN_COUNT * Math.max(1, numReducedBlocks) * 4, usage: scratchUsage },
+      scanScratchBuffer: { size: FidelityFXSort.SORT_BIN_COUNT * Math.max(1, numReducedBlocks) * 4, usage: scratchUsage },
+      // Every pass's constants, bound at a dynamic offset
+      constantsBuffer: {
+        size: this.constantsStride * FidelityFXSort.TOTAL_PASSES,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+      }
+    };
   }
 
-  calculateConstants(numKeys, shift) {
+  calculateConstants(numKeys, shift, keyFlags = 0) {
     const blockSize = FidelityFXSort.ELEMENTS_PER_THREAD * FidelityFXSort.THREADGROUP_SIZE;
     const numBlocks = Math.ceil(numKeys / blockSize);
 
@@ -169,213 +125,189 @@ export class FidelityFXSort {
       numReduceThreadgroupPerBin,
       numScanValues: numReducedThreadGroups,
       shift,
-      padding: 0
+      keyFlags
     };
   }
 
-  async sort(data) {
-    const numKeys = data.length;
-    const keys = new Uint32Array(data.map(d => d.key));
-    const values = new Uint32Array(data.map(d => d.value));
+  async runSort(keys, values, { outKeys, outValues, beginBit, endBit, order, indices = false, withKeys = true } = {}) {
+    const numKeys = keys.length;
 
     // Upload data
-    this.device.queue.writeBuffer(this.keysBuffers[0], 0, keys);
-    this.device.queue.writeBuffer(this.valuesBuffers[0], 0, values);
+    this.device.queue.writeBuffer(this.keysBuffer, 0, keys);
+    if (values) {
+      this.device.queue.writeBuffer(this.valuesBuffer, 0, values);
+    }
 
+    const timer = this.startTimer();
     const encoder = this.device.createCommandEncoder();
-    let sourceIndex = 0;
+    const result = this.encodePasses(encoder, {
+      keys: this.keysBuffer,
+      values: values || indices ? this.valuesBuffer : undefined,
+      count: numKeys,
+      timer,
+      beginBit,
+      endBit,
+      order,
+      indices
+    });
 
-    // Execute radix sort passes
-    for (let pass = 0; pass < FidelityFXSort.TOTAL_PASSES; pass++) {
-      const shift = pass * FidelityFXSort.SORT_BITS_PER_PASS;
-      const isFirstPass = pass === 0;
-      const isLastPass = pass === FidelityFXSort.TOTAL_PASSES - 1;
-      sourceIndex = this.encodeSortPass(encoder, numKeys, shift, sourceIndex, isFirstPass, isLastPass, pass);
-    }
+    const timing = await this.submitTimed(encoder, timer);
 
-    if (this.timingSupported) {
-      encoder.resolveQuerySet(this.querySet, 0, 2, this.queryBuffer, 0);
-      encoder.copyBufferToBuffer(this.queryBuffer, 0, this.readBuffer, 0, 16);
-    }
+    // Download results
+    const resultKeys = withKeys
+      ? await this.downloadUint32(result.keys, numKeys, outKeys)
+      : undefined;
+    const resultValues = values || indices
+      ? await this.downloadUint32(result.values, numKeys, outValues)
+      : undefined;
 
-    this.device.queue.submit([encoder.finish()]);
-    await this.device.queue.onSubmittedWorkDone();
-
-    // Read timing
-    let gpuTime = 0;
-    if (this.timingSupported) {
-      await this.readBuffer.mapAsync(GPUMapMode.READ);
-      const times = new BigUint64Array(this.readBuffer.getMappedRange());
-      const delta = Number(times[1] - times[0]);
-      gpuTime = delta / 1_000_000; // Convert to milliseconds
-      this.readBuffer.unmap();
-    }
+    return {
+      keys: resultKeys,
+      values: resultValues,
+      ...timing
+    };
+  }
 
-    // Download results
-    const resultKeys = await this.downloadBuffer(this.keysBuffers[sourceIndex], numKeys * 4);
-    const resultValues = await this.downloadBuffer(this.valuesBuffers[sourceIndex], numKeys * 4);
+  encodePasses(encoder, { keys, values, count, timer, beginBit, endBit, order, indices = false }) {
+    const { firstPass, passCount } = this.passRange(FidelityFXSort.SORT_BITS_PER_PASS, { beginBit, endBit });
 
-    const keysArray = new Uint32Array(resultKeys);
-    const valuesArray = new Uint32Array(resultValues);
+    // Stage every pass's constants in one write; each pass binds its own at a dynamic offset
+    const constantsData = this.passUniformStaging(FidelityFXSort.TOTAL_PASSES, this.constantsStride);
+    const passConstants = [];
+    for (let i = 0; i < passCount; i++) {
+      const pass = firstPass + i;
+      const shift = pass * FidelityFXSort.SORT_BITS_PER_PASS;
+      const constants = this.calculateConstants(count, shift, this.keyPassFlags(i, passCount, order, indices));
+      constantsData.set([
+        constants.numKeys,
+        constants.numBlocksPerThreadGroup,
+        constants.numThreadGroups,
+        constants.numThreadGroupsWithAdditionalBlocks,
+        constants.numReduceThreadgroupPerBin,
+        constants.numScanValues,
+        constants.shift,
+        constants.keyFlags
+      ], pass * this.constantsStride / 4);
+      passConstants.push(constants);
+    }
+    this.device.queue.writeBuffer(this.constantsBuffer, 0, constantsData);
 
-    const sorted = [];
-    for (let i = 0; i < numKeys; i++) {
-      sorted.push({ key: keysArray[i], value: valuesArray[i] });
+    // Execute radix sort passes; an odd pass count leaves the result in the partner buffer
+    const bindGroups = this.passBindGroups(keys, values);
+    let sourceIndex = 0;
+    for (let i = 0; i < passCount; i++) {
+      sourceIndex = this.encodeSortPass(encoder, passConstants[i], bindGroups, sourceIndex, firstPass + i, timer);
     }
 
-    return { sorted, gpuTime };
+    const odd = sourceIndex === 1;
+    return {
+      keys: odd ? this.altKeysBuffer : keys,
+      values: values && (odd ? this.altValuesBuffer : values)
+    };
   }
 
-  encodeSortPass(encoder, numKeys, shift, sourceIndex, isFirstPass = false, isLastPass = false, passIndex = 0) {
-    const constants = this.calculateConstants(numKeys, shift);
-    const constantsData = new Int32Array([
-      constants.numKeys,
-      constants.numBlocksPerThreadGroup,
-      constants.numThreadGroups,
-      constants.numThreadGroupsWithAdditionalBlocks,
-      constants.numReduceThreadgroupPerBin,
-      constants.numScanValues,
-      constants.shift,
-      constants.padding
-    ]);
-
-    // Write to upload buffer and copy to constants buffer via command encoder
-    const constantsOffset = passIndex * FidelityFXSort.CONSTANTS_SIZE;
-    this.device.queue.writeBuffer(this.constantsUploadBuffer, constantsOffset, constantsData);
-    
-    encoder.copyBufferToBuffer(
-      this.constantsUploadBuffer,
-      constantsOffset,
-      this.constantsBuffer,
-      0,
-      FidelityFXSort.CONSTANTS_SIZE
-    );
+  /**
+   * Bind groups for sorting keys (and values) in place, with count and
+   * scatter in both ping-pong directions
+   * @param {GPUBuffer} keys - Keys buffer the first pass reads
+   * @param {GPUBuffer} [values] - Payload buffer, default valuesBuffer
+   * @returns {{count: GPUBindGroup[], reduce: GPUBindGroup, scan: GPUBindGroup, scanAdd: GPUBindGroup,
+   *   scatter: GPUBindGroup[]}} Bind groups per kernel, indexed by source buffer where it alternates; cached per
+   *   buffer pair
+   */
+  passBindGroups(keys, values) {
+    return this.cachedBindGroups('passes', [keys, values], () => {
+      // The second buffer of each internal pair is the ping-pong partner
+      const keyBuffers = [keys, this.altKeysBuffer];
+      const valueBuffers = [values ?? this.valuesBuffer, this.altValuesBuffer];
+      const bindGroup = (name, buffers) => this.device.createBindGroup({
+        layout: this.bindGroupLayouts[name],
+        entries: this.filterPayloadBindings([
+          { binding: 0, resource: { buffer: this.constantsBuffer, size: FidelityFXSort.CONSTANTS_SIZE } },
+          ...buffers.map((buffer, i) => ({ binding: i + 1, resource: { buffer } }))
+        ])
+      });
+
+      return {
+        count: [0, 1].map(source => bindGroup('count', [keyBuffers[source], this.sumTableBuffer])),
+        reduce: bindGroup('reduce', [this.sumTableBuffer, this.reduceTableBuffer]),
+        scan: bindGroup('scan', [this.reduceTableBuffer, this.scanScratchBuffer]),
+        scanAdd: bindGroup('scanAdd', [this.sumTableBuffer, this.scanScratchBuffer]),
+        scatter: [0, 1].map(source => bindGroup('scatter', [
+          keyBuffers[source],
+          keyBuffers[1 - source],
+          this.sumTableBuffer,
+          valueBuffers[source],
+          valueBuffers[1 - source]
+        ]))
+      };
+    });
+  }
 
+  encodeSortPass(encoder, constants, bindGroups, sourceIndex, passIndex = 0, timer = null) {
+    const constantsOffset = [passIndex * this.constantsStride];
     const destIndex = 1 - sourceIndex;
 
-    // Count pass (with optional timestamp start)
-    const countPassDesc = this.timingSupported && isFirstPass ? {
-      timestampWrites: {
-        querySet: this.querySet,
-        beginningOfPassWriteIndex: 0
-      }
-    } : {};
-    const countPass = encoder.beginComputePass(countPassDesc);
-    const countBindGroup = this.device.createBindGroup({
-      layout: this.pipelines.count.getBindGroupLayout(0),
-      entries: [
-        { binding: 0, resource: { buffer: this.constantsBuffer } },
-        { binding: 1, resource: { buffer: this.keysBuffers[sourceIndex] } },
-        { binding: 2, resource: { buffer: this.sumTableBuffer } }
-      ]
-    });
+    // Count pass
+    const countPass = encoder.beginComputePass(this.passDescriptor(timer, 'count', passIndex));
     countPass.setPipeline(this.pipelines.count);
-    countPass.setBindGroup(0, countBindGroup);
+    countPass.setBindGroup(0, bindGroups.count[sourceIndex], constantsOffset);
     countPass.dispatchWorkgroups(constants.numThreadGroups);
     countPass.end();
 
     // Reduce pass
-    const reducePass = encoder.beginComputePass();
-    const reduceBindGroup = this.device.createBindGroup({
-      layout: this.pipelines.reduce.getBindGroupLayout(0),
-      entries: [
-        { binding: 0, resource: { buffer: this.constantsBuffer } },
-        { binding: 1, resource: { buffer: this.sumTableBuffer } },
-        { binding: 2, resource: { buffer: this.reduceTableBuffer } }
-      ]
-    });
+    const reducePass = encoder.beginComputePass(this.passDescriptor(timer, 'reduce', passIndex));
     reducePass.setPipeline(this.pipelines.reduce);
-    reducePass.setBindGroup(0, reduceBindGroup);
+    reducePass.setBindGroup(0, bindGroups.reduce, constantsOffset);
     reducePass.dispatchWorkgroups(constants.numScanValues);
     reducePass.end();
 
     // Scan pass
-    const scanPass = encoder.beginComputePass();
-    const scanBindGroup = this.device.createBindGroup({
-      layout: this.pipelines.scan.getBindGroupLayout(0),
-      entries: [
-        { binding: 0, resource: { buffer: this.constantsBuffer } },
-        { binding: 1, resource: { buffer: this.reduceTableBuffer } },
-        { binding: 2, resource: { buffer: this.scanScratchBuffer } }
-      ]
-    });
+    const scanPass = encoder.beginComputePass(this.passDescriptor(timer, 'scan', passIndex));
     scanPass.setPipeline(this.pipelines.scan);
-    scanPass.setBindGroup(0, scanBindGroup);
+    scanPass.setBindGroup(0, bindGroups.scan, constantsOffset);
     const numScanWorkgroups = Math.ceil(constants.numScanValues / 
       (FidelityFXSort.ELEMENTS_PER_THREAD * FidelityFXSort.THREADGROUP_SIZE));
     scanPass.dispatchWorkgroups(numScanWorkgroups);
     scanPass.end();
 
     // Scan add pass
-    const scanAddPass = encoder.beginComputePass();
-    const scanAddBindGroup = this.device.createBindGroup({
-      layout: this.pipelines.scanAdd.getBindGroupLayout(0),
-      entries: [
-        { binding: 0, resource: { buffer: this.constantsBuffer } },
-        { binding: 1, resource: { buffer: this.sumTableBuffer } },
-        { binding: 2, resource: { buffer: this.scanScratchBuffer } }
-      ]
-    });
+    const scanAddPass = encoder.beginComputePass(this.passDescriptor(timer, 'scan_add', passIndex));
     scanAddPass.setPipeline(this.pipelines.scanAdd);
-    scanAddPass.setBindGroup(0, scanAddBindGroup);
+    scanAddPass.setBindGroup(0, bindGroups.scanAdd, constantsOffset);
     scanAddPass.dispatchWorkgroups(constants.numScanValues);
     scanAddPass.end();
 
-    // Scatter pass (with optional timestamp end)
-    const scatterPassDesc = this.timingSupported && isLastPass ? {
-      timestampWrites: {
-        querySet: this.querySet,
-        endOfPassWriteIndex: 1
-      }
-    } : {};
-    const scatterPass = encoder.beginComputePass(scatterPassDesc);
-    const scatterBindGroup = this.device.createBindGroup({
-      layout: this.pipelines.scatter.getBindGroupLayout(0),
-      entries: [
-        { binding: 0, resource: { buffer: this.constantsBuffer } },
-        { binding: 1, resource: { buffer: this.keysBuffers[sourceIndex] } },
-        { binding: 2, resource: { buffer: this.keysBuffers[destIndex] } },
-        { binding: 3, resource: { buffer: this.sumTableBuffer } },
-        { binding: 4, resource: { buffer: this.valuesBuffers[sourceIndex] } },
-        { binding: 5, resource: { buffer: this.valuesBuffers[destIndex] } }
-      ]
-    });
+    // Scatter pass
+    const scatterPass = encoder.beginComputePass(this.passDescriptor(timer, 'scatter', passIndex));
     scatterPass.setPipeline(this.pipelines.scatter);
-    scatterPass.setBindGroup(0, scatterBindGroup);
+    scatterPass.setBindGroup(0, bindGroups.scatter[sourceIndex], constantsOffset);
     scatterPass.dispatchWorkgroups(constants.numThreadGroups);
     scatterPass.end();
 
     return destIndex;
   }
-
-  async downloadBuffer(buffer, size) {
-    const staging = this.device.createBuffer({
-      size,
-      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
-    });
-
-    const encoder = this.device.createCommandEncoder();
-    encoder.copyBufferToBuffer(buffer, 0, staging, 0, size);
-    this.device.queue.submit([encoder.finish()]);
-
-    await staging.mapAsync(GPUMapMode.READ);
-    const result = staging.getMappedRange().slice(0);
-    staging.unmap();
-    staging.destroy();
-
-    return result;
-  }
-
-  destroy() {
-    this.keysBuffers?.forEach(b => b.destroy());
-    this.valuesBuffers?.forEach(b => b.destroy());
-    this.sumTableBuffer?.destroy();
-    this.reduceTableBuffer?.destroy();
-    this.scanScratchBuffer?.destroy();
-    this.constantsBuffer?.destroy();
-    this.constantsUploadBuffer?.destroy();
-    this.querySet?.destroy();
-    this.queryBuffer?.destroy();
-    this.readBuffer?.destroy();
-  }
 }
+
+registerSorter({
+  id: 'fidelityfx',
+  name: 'FidelityFX Radix Sort',
+  shortName: 'FidelityFX',
+  color: '#4ade80',
+  capabilities: {
+    digitBits: FidelityFXSort.SORT_BITS_PER_PASS
+  },
+  create: (device, maxKeys, options) => new FidelityFXSort(device, maxKeys, options)
+});
+
+registerSorter({
+  id: 'fidelityfx-keys',
+  name: 'FidelityFX Radix Sort (keys only)',
+  shortName: 'FidelityFX keys-only',
+  color: '#a3e635',
+  capabilities: {
+    payload: false,
+    digitBits: FidelityFXSort.SORT_BITS_PER_PASS
+  },
+  create: (device, maxKeys, options) => new FidelityFXSort(device, maxKeys, { ...options, keysOnly: true })
+});
@@ -0,0 +1,1111 @@
+/**
+ * GpuSorter - shared base class for the WebGPU sort implementations
+ * Owns device bookkeeping, timestamp queries, readback and the
+ * typed-array and {key, value} entry points so each algorithm only encodes
+ * its own passes.
+ */
+
+import keyTransformShader from '../shaders/utils/KeyTransform.wgsl?raw';
+import recordShader from '../shaders/utils/RecordGather.wgsl?raw';
+import indirectSetupShader from '../shaders/utils/IndirectSetup.wgsl?raw';
+import subgroupProbeShader from '../shaders/utils/SubgroupSizeDetect.wgsl?raw';
+import { fromKeyWords, getKey, getKeyType, keyTypeDefines, setKey, toKeyWords } from './keyTypes.js';
+import { loadTuning } from './tuning.js';
+import { PassTimer } from './passTimer.js';
+import { preprocessShader } from '../utils.js';
+
+// Bind group cache keys for absent buffers and for the cached value itself
+const NO_BUFFER = {};
+const CACHED = {};
+
+export class GpuSorter {
+  // Keep in sync with KEY_FLAG_* in KeyTransform.wgsl
+  static KEY_FLAG_FIRST_PASS = 1;
+  static KEY_FLAG_LAST_PASS = 2;
+  static KEY_FLAG_DESCENDING = 4;
+  static KEY_FLAG_INDEX_VALUES = 8;
+  static RECORD_BLOCK_DIM = 256; // Keep in sync with BLOCK_DIM in RecordGather.wgsl
+  static MAX_WORKGROUPS = 65535;
+  // Buffers the shared entry points create on demand, reported by memoryFootprint
+  // and freed by releaseBuffers
+  static SCRATCH_BUFFERS = [
+    'indirectParamsBuffer',
+    'indirectCountBuffer',
+    'indirectArgsBuffer',
+    'recordKeyBuffer',
+    'recordIndexBuffer',
+    'recordInfoBuffer'
+  ];
+
+  /**
+   * @param {GPUDevice} device - WebGPU device
+   * @param {number} maxKeys - Capacity the buffers are sized for
+   * @param {{keysOnly?: boolean, keyType?: string, shaderParams?: Object<string, number>, tuning?: boolean,
+   *   adapterInfo?: GPUAdapterInfo}} [options] - keysOnly skips payload buffers and uses payload-free scatter kernels;
+   *   keyType ('u32', 'i32', 'f32', 'f16' or 'u64') selects the key order; shaderParams overrides template
+   *   parameters of sorters built from one (see resolveShaderParams); tuning: false ignores the stored tuning, which
+   *   is looked up for adapterInfo (default device.adapterInfo)
+   */
+  constructor(device, maxKeys, { keysOnly = false, keyType = 'u32', shaderParams, tuning = true, adapterInfo } = {}) {
+    this.device = device;
+    this.maxKeys = maxKeys;
+    this.keysOnly = keysOnly;
+    this.keyType = keyType;
+    this.shaderParams = shaderParams ?? null;
+    this.useStoredTuning = tuning && !shaderParams;
+    this.adapterInfo = adapterInfo ?? device.adapterInfo ?? null;
+    this.tuning = null;
+    this.keyWords = getKeyType(keyType).words; // u32 words per key
+    this.pipelines = null;
+    this.buffersAllocated = false;
+    this.bindGroupCache = new Map();
+    this.timingSupported = device.features.has('timestamp-query');
+    this.subgroupSize = 0;
+  }
+
+  /**
+   * Stored-tuning id and autotuner grid of the build this sorter runs on a device
+   * Sorters with a TUNING_ID and TUNING_GRID are tunable; those whose build
+   * depends on the device's features override this.
+   * @param {GPUDevice} device - Device the sorter runs on
+   * @returns {{id: string, grid: Object<string, number[]>}|null} Tuning id and grid, or null when not tunable
+   */
+  static tuningFor(device) {
+    return this.TUNING_ID && this.TUNING_GRID ? { id: this.TUNING_ID, grid: this.TUNING_GRID } : null;
+  }
+
+  /**
+   * Compile the pipelines; the key-sized buffers wait for the first sort (see
+   * ensureBuffers), so a sorter that never runs holds no GPU memory for them
+   */
+  async init() {
+    const tuning = this.useStoredTuning && this.constructor.tuningFor(this.device);
+    if (tuning) {
+      this.tuning = loadTuning(this.adapterInfo, tuning.id);
+    }
+    await this.createPipelines();
+
+    if (this.timingSupported) {
+      this.timer = new PassTimer(this.device, this.constructor.name);
+    }
+  }
+
+  /**
+   * Create shader modules and compute pipelines
+   * @abstract
+   */
+  async createPipelines() {
+    throw new Error(`${this.constructor.name} must implement createPipelines()`);
+  }
+
+  /**
+   * Sizes and usages of the buffers a sort needs, for this.maxKeys keys and
+   * the active shader variant
+   * @abstract
+   * @returns {Object<string, {size: number, usage: number}>} Buffer descriptors keyed by the property each buffer is
+   *   stored in
+   */
+  bufferDescriptors() {
+    throw new Error(`${this.constructor.name} must implement bufferDescriptors()`);
+  }
+
+  /**
+   * Allocate the buffers bufferDescriptors lists, replacing any already held
+   * @param {string[]} [names] - Only (re)allocate these buffers, e.g. after a variant change resized them
+   */
+  createBuffers(names) {
+    const descriptors = this.bufferDescriptors();
+    for (const name of names ?? Object.keys(descriptors)) {
+      this[name]?.destroy();
+      this[name] = this.device.createBuffer({ label: `${this.constructor.name} ${name}`, ...descriptors[name] });
+    }
+    this.buffersAllocated ||= !names;
+    this.bindGroupCache.clear();
+  }
+
+  /**
+   * Allocate the sort buffers unless they already are
+   */
+  ensureBuffers() {
+    if (!this.buffersAllocated) {
+      this.createBuffers();
+    }
+  }
+
+  /**
+   * Free the key-sized buffers but keep the pipelines; the next sort
+   * allocates them again. Used by MemoryBudget to evict idle sorters.
+   */
+  releaseBuffers() {
+    for (const name of Object.keys(this.bufferDescriptors())) {
+      this[name]?.destroy();
+      this[name] = null;
+    }
+    this.buffersAllocated = false;
+    for (const name of GpuSorter.SCRATCH_BUFFERS) {
+      this[name]?.destroy();
+      this[name] = null;
+    }
+    this.recordBuffers?.forEach(buffer => buffer.destroy());
+    this.recordBuffers = null;
+    // startTimer recreates the timer, and with it the query buffers memoryFootprint counts
+    this.timer?.destroy();
+    this.timer = null;
+    this.bindGroupCache.clear();
+  }
+
+  /**
+   * Return the bind groups built for one set of buffers, building them on first use
+   * Sorting the same buffers again reuses them, so repeated sorts create no
+   * GPU objects. Entries are dropped when the sorter's own buffers are
+   * replaced or released, and with the caller's buffers once those are
+   * garbage collected.
+   * @param {string} kind - Which bind groups, e.g. 'passes'; each kind has its own entries
+   * @param {Array<GPUBuffer|undefined>} buffers - Caller-supplied buffers the bind groups reference, in a fixed order
+   * @param {function(): *} build - Creates the bind group, or an array of them
+   * @returns {*} What build returned for these buffers
+   */
+  cachedBindGroups(kind, buffers, build) {
+    if (!this.bindGroupCache.has(kind)) {
+      this.bindGroupCache.set(kind, new WeakMap());
+    }
+    let node = this.bindGroupCache.get(kind);
+    for (const buffer of buffers) {
+      const key = buffer ?? NO_BUFFER;
+      if (!node.has(key)) {
+        node.set(key, new WeakMap());
+      }
+      node = node.get(key);
+    }
+    if (!node.has(CACHED)) {
+      node.set(CACHED, build());
+    }
+    return node.get(CACHED);
+  }
+
+  /**
+   * Byte stride between per-pass uniform structs bound with dynamic offsets
+   * @param {number} size - Struct size in bytes
+   * @returns {number} size rounded up to the device's minUniformBufferOffsetAlignment
+   */
+  uniformStride(size) {
+    const alignment = this.device.limits.minUniformBufferOffsetAlignment;
+    return Math.ceil(size / alignment) * alignment;
+  }
+
+  /**
+   * CPU array for staging one uniform struct per pass, kept across sorts so
+   * the whole buffer goes up in a single queue.writeBuffer
+   * @param {number} passCount - Structs to stage
+   * @param {number} stride - Bytes between structs, from uniformStride
+   * @returns {Uint32Array} Staging words; callers overwrite the slots their passes use
+   */
+  passUniformStaging(passCount, stride) {
+    const words = passCount * stride / 4;
+    if (this.uniformStaging?.length !== words) {
+      this.uniformStaging = new Uint32Array(words);
+    }
+    return this.uniformStaging;
+  }
+
+  /**
+   * GPU memory this sorter holds or will hold, buffer by buffer
+   * The sort buffers are listed before their first use too, so a budget can
+   * be checked before anything is allocated; scratch from other entry points
+   * (records, indirect counts) is listed once created.
+   * @returns {{buffers: Array<{name: string, bytes: number, usage: number, allocated: boolean}>, total: number}}
+   *   Byte size, usage and allocation state per buffer, and their sum
+   */
+  memoryFootprint() {
+    const buffers = Object.entries(this.bufferDescriptors())
+      .map(([name, { size, usage }]) => ({ name, bytes: size, usage, allocated: this.buffersAllocated }));
+    for (const name of GpuSorter.SCRATCH_BUFFERS) {
+      if (this[name]) {
+        buffers.push({ name, bytes: this[name].size, usage: this[name].usage, allocated: true });
+      }
+    }
+    this.recordBuffers?.forEach((buffer, i) => {
+      buffers.push({ name: `recordBuffers[${i}]`, bytes: buffer.size, usage: buffer.usage, allocated: true });
+    });
+    if (this.timer) {
+      for (const name of ['resolveBuffer', 'readBuffer']) {
+        const buffer = this.timer[name];
+        buffers.push({ name: `timer.${name}`, bytes: buffer.size, usage: buffer.usage, allocated: true });
+      }
+    }
+    return { buffers, total: buffers.reduce((sum, { bytes }) => sum + bytes, 0) };
+  }
+
+  /**
+   * Record every sort pass into an encoder, ping-ponging between the given
+   * buffers and the sorter's internal alternates
+   * @abstract
+   * @param {GPUCommandEncoder} encoder - Encoder the passes are recorded into
+   * @param {{keys: GPUBuffer, values?: GPUBuffer, count: number, countBuffer?: GPUBuffer, countOffset?: number,
+   *   timer?: PassTimer, beginBit?: number, endBit?: number, order?: string, indices?: boolean}} buffers - Source
+   *   buffers, key count (the capacity when countBuffer holds the real count, see encodeIndirectSetup), the timer
+   *   that timestamps every pass (see startTimer), the key bit range (see passRange), sort order and whether the
+   *   values start out as key indices rather than being read
+   * @returns {{keys: GPUBuffer, values?: GPUBuffer}} Buffers that hold the result once the passes execute
+   */
+  encodePasses(encoder, buffers) {
+    throw new Error(`${this.constructor.name} must implement encodePasses()`);
+  }
+
+  /**
+   * Upload, sort and download one key/value set
+   * @abstract
+   * @param {Uint32Array} keys - Keys to sort
+   * @param {Uint32Array|undefined} values - Payload moved alongside the keys
+   * @param {{outKeys?: Uint32Array, outValues?: Uint32Array, beginBit?: number, endBit?: number, order?: string,
+   *   indices?: boolean, withKeys?: boolean}} options - Optional destination arrays, the key bit range, sort order and
+   *   index generation forwarded to encodePasses, and whether to download the sorted keys
+   * @returns {Promise<{keys?: Uint32Array, values?: Uint32Array, gpuTime: number|null, gpuTiming: Object|null,
+   *   wallTime: number, timingSource: string}>} Sorted arrays, the timing of submitTimed and any sorter-specific extras
+   */
+  async runSort(keys, values, options) {
+    throw new Error(`${this.constructor.name} must implement runSort()`);
+  }
+
+  /**
+   * Read back shader-side status from the last submitted sort
+   * Throws when a kernel flagged an error; the default has nothing to check.
+   * @returns {Promise<Object>} Sorter-specific diagnostics merged into the sort result
+   */
+  async checkStatus() {
+    return {};
+  }
+
+  /**
+   * Read back the status of a sort submitted by sortTypedArrays, sortRecords and the like
+   * Sorters that can recover from a status error by switching builds do so
+   * here and return null; the caller then sorts again from its inputs.
+   * @returns {Promise<Object|null>} checkStatus()'s diagnostics, or null when the sort must be rerun
+   */
+  async checkSortStatus() {
+    return this.checkStatus();
+  }
+
+  /**
+   * Measure the subgroup width with a one-thread probe dispatch, once per sorter
+   * Drivers may still pick another width per pipeline, so sorters that record
+   * lane counts in their status buffer can correct the choice after a sort.
+   * @returns {Promise<number>} Subgroup size, 16 when the driver reports none
+   */
+  async detectSubgroupSize() {
+    if (this.subgroupSize > 0) {
+      return this.subgroupSize;
+    }
+
+    const module = this.device.createShaderModule({
+      label: `${this.constructor.name} Subgroup Probe`,
+      code: subgroupProbeShader
+    });
+
+    const pipeline = this.device.createComputePipeline({
+      layout: 'auto',
+      compute: { module, entryPoint: 'main' }
+    });
+
+    const outputBuffer = this.device.createBuffer({
+      size: 4,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
+    });
+
+    const stagingBuffer = this.device.createBuffer({
+      size: 4,
+      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+    });
+
+    const bindGroup = this.device.createBindGroup({
+      layout: pipeline.getBindGroupLayout(0),
+      entries: [{ binding: 0, resource: { buffer: outputBuffer } }]
+    });
+
+    const encoder = this.device.createCommandEncoder();
+    const pass = encoder.beginComputePass();
+    pass.setPipeline(pipeline);
+    pass.setBindGroup(0, bindGroup);
+    pass.dispatchWorkgroups(1);
+    pass.end();
+    encoder.copyBufferToBuffer(outputBuffer, 0, stagingBuffer, 0, 4);
+    this.device.queue.submit([encoder.finish()]);
+
+    await this.device.queue.onSubmittedWorkDone();
+
+    try {
+      await stagingBuffer.mapAsync(GPUMapMode.READ);
+      const detected = new Uint32Array(stagingBuffer.getMappedRange())[0];
+      stagingBuffer.unmap();
+      this.subgroupSize = detected !== 0 ? detected : 0;
+    } finally {
+      stagingBuffer.destroy();
+      outputBuffer.destroy();
+    }
+
+    if (this.subgroupSize === 0) {
+      // Default to wave16 when hardware failed to report a subgroup size.
+      this.subgroupSize = 16;
+    }
+
+    return this.subgroupSize;
+  }
+  /**
+   * Apply shaderParams, or else the stored tuning, to a probed variant's template parameters
+   * A stored tuning that no longer fits (say the driver now reports another
+   * subgroup size) is dropped with a warning; invalid shaderParams throw.
+   * @param {{label: string, params: Object<string, number>}} variant - Variant picked from the subgroup probe
+   * @param {function(Object<string, number>): Readonly<Object<string, number>>} deriveConstants - The sorter's
+   *   constants function, e.g. oneSweepConstants
+   * @returns {{label: string, params: Object<string, number>, constants: Readonly<Object<string, number>>}} Variant
+   *   label naming any overrides, merged parameters and their constants
+   */
+  resolveShaderParams({ label, params }, deriveConstants) {
+    const overrides = this.shaderParams ?? this.tuning?.params ?? {};
+    const merged = { ...params, ...overrides };
+    let constants;
+    try {
+      constants = deriveConstants(merged);
+      const storageLimit = this.device.limits.maxComputeWorkgroupStorageSize;
+      if (constants.WORKGROUP_STORAGE > storageLimit) {
+        throw new Error(
+          `${this.constructor.name}: ${label} needs ${constants.WORKGROUP_STORAGE} bytes of workgroup storage; the device allows ${storageLimit}`
+        );
+      }
+    } catch (error) {
+      if (this.shaderParams || !this.tuning) {
+        throw error;
+      }
+      console.warn(`${this.constructor.name}: ignoring stored tuning. ${error.message}`);
+      this.tuning = null;
+      return this.resolveShaderParams({ label, params }, deriveConstants);
+    }
+
+    const entries = Object.entries(overrides);
+    if (entries.length === 0) {
+      return { label, params: merged, constants };
+    }
+    const source = this.shaderParams ? '' : 'tuned: ';
+    return {
+      label: `${label} (${source}${entries.map(([name, value]) => `${name}=${value}`).join(', ')})`,
+      params: merged,
+      constants
+    };
+  }
+
+  /**
+   * Constants for the indirect setup kernel; sorters that can take their key
+   * count from a GPU buffer override this
+   * @returns {{partSize: number, reducePartSize: number, seedPlanes: number, radix: number, infoStride: number}|null}
+   *   Partition sizes of the indirectly dispatched passes, pass_hist planes to seed, digits per plane and the byte
+   *   stride of the per-pass infos, or null when only direct dispatch is supported
+   */
+  indirectSetupParams() {
+    return null;
+  }
+
+  /**
+   * Record the setup kernel for a sort whose key count lives in a GPU buffer
+   * The count is copied into scratch and clamped to maxCount; the kernel then
+   * patches size and thread_blocks into every pass's info (already staged in
+   * infoBuffer by queue.writeBuffer, one struct per infoStride bytes), writes
+   * the indirect dispatch arguments and seeds the pass_hist planes.
+   * @param {GPUCommandEncoder} encoder - Encoder the setup pass is recorded into
+   * @param {{countBuffer: GPUBuffer, countOffset: number, maxCount: number, infoBuffer: GPUBuffer,
+   *   passHistBuffer: GPUBuffer, timer?: PassTimer}} setup - Count location, capacity, the sorter's per-pass info and
+   *   pass_hist buffers and the timer of the sort
+   * @returns {GPUBuffer} Indirect arguments: partition-sized passes at offset 0, the reduce-sized pass at offset 12
+   */
+  encodeIndirectSetup(encoder, { countBuffer, countOffset, maxCount, infoBuffer, passHistBuffer, timer }) {
+    this.createIndirectResources();
+    this.writeSetupParams(maxCount);
+    encoder.copyBufferToBuffer(countBuffer, countOffset, this.indirectCountBuffer, 0, 4);
+
+    const bindGroup = this.cachedBindGroups('indirect', [infoBuffer, passHistBuffer], () => this.device.createBindGroup({
+      layout: this.indirectPipeline.getBindGroupLayout(0),
+      entries: [
+        { binding: 0, resource: { buffer: this.indirectParamsBuffer } },
+        { binding: 1, resource: { buffer: this.indirectCountBuffer } },
+        { binding: 2, resource: { buffer: infoBuffer } },
+        { binding: 3, resource: { buffer: this.indirectArgsBuffer } },
+        { binding: 4, resource: { buffer: passHistBuffer } }
+      ]
+    }));
+
+    const setupPass = encoder.beginComputePass(this.passDescriptor(timer, 'setup_indirect'));
+    setupPass.setPipeline(this.indirectPipeline);
+    setupPass.setBindGroup(0, bindGroup);
+    setupPass.dispatchWorkgroups(1);
+    setupPass.end();
+
+    return this.indirectArgsBuffer;
+  }
+
+  /**
+   * Record the kernel that writes the FLAG_INCLUSIVE pass_hist seeds of a
+   * sort with a CPU-side count, so no seed array is built or uploaded
+   * pass_hist must already be cleared, e.g. by encoder.clearBuffer earlier in
+   * the same encoder.
+   * @param {GPUCommandEncoder} encoder - Encoder the seed pass is recorded into
+   * @param {{count: number, passHistBuffer: GPUBuffer, timer?: PassTimer}} seed - Key count of the sort, the sorter's
+   *   pass_hist buffer and the timer of the sort
+   */
+  encodePassHistSeeds(encoder, { count, passHistBuffer, timer }) {
+    this.createIndirectResources();
+    this.writeSetupParams(count);
+
+    const seedPass = encoder.beginComputePass(this.passDescriptor(timer, 'seed_pass_hist'));
+    seedPass.setPipeline(this.seedPipeline);
+    seedPass.setBindGroup(0, this.cachedBindGroups('seed', [passHistBuffer], () => this.device.createBindGroup({
+      layout: this.seedPipeline.getBindGroupLayout(0),
+      entries: [
+        { binding: 0, resource: { buffer: this.indirectParamsBuffer } },
+        { binding: 4, resource: { buffer: passHistBuffer } }
+      ]
+    })));
+    seedPass.dispatchWorkgroups(1);
+    seedPass.end();
+  }
+
+  /**
+   * Stage the SetupParams uniform shared by setup_indirect and seed_pass_hist
+   * @param {number} maxCount - Capacity of an indirect sort, or the key count of a direct one
+   */
+  writeSetupParams(maxCount) {
+    const { partSize, reducePartSize, seedPlanes, radix, infoStride } = this.indirectSetupParams();
+    this.device.queue.writeBuffer(
+      this.indirectParamsBuffer,
+      0,
+      new Uint32Array([maxCount, partSize, reducePartSize, seedPlanes, radix, infoStride / 4, 0, 0])
+    );
+  }
+
+  /**
+   * Dispatch a pass directly, or from the setup kernel's arguments when the key count is on the GPU
+   * @param {GPUComputePassEncoder} pass - Pass to dispatch
+   * @param {number} workgroups - Workgroup count for a direct dispatch
+   * @param {GPUBuffer|undefined} indirectArgs - Buffer returned by encodeIndirectSetup, if any
+   * @param {number} argsOffset - Byte offset of this pass's arguments in indirectArgs
+   */
+  dispatchPass(pass, workgroups, indirectArgs, argsOffset) {
+    if (indirectArgs) {
+      pass.dispatchWorkgroupsIndirect(indirectArgs, argsOffset);
+    } else {
+      pass.dispatchWorkgroups(workgroups);
+    }
+  }
+
+  /**
+   * Create the indirect setup and pass_hist seed pipelines and their scratch buffers on first use;
+   * the scratch is recreated after releaseBuffers
+   */
+  createIndirectResources() {
+    if (!this.indirectParamsBuffer) {
+      this.indirectParamsBuffer = this.device.createBuffer({
+        size: 32,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+      });
+      this.indirectCountBuffer = this.device.createBuffer({
+        size: 16,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+      });
+      this.indirectArgsBuffer = this.device.createBuffer({
+        size: 24,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.INDIRECT
+      });
+    }
+    if (this.indirectPipeline) {
+      return;
+    }
+
+    const module = this.device.createShaderModule({
+      label: `${this.constructor.name} indirect setup`,
+      code: indirectSetupShader
+    });
+    this.indirectPipeline = this.device.createComputePipeline({
+      layout: 'auto',
+      compute: { module, entryPoint: 'setup_indirect' }
+    });
+    this.seedPipeline = this.device.createComputePipeline({
+      layout: 'auto',
+      compute: { module, entryPoint: 'seed_pass_hist' }
+    });
+  }
+
+  /**
+   * Resolve a sort shader's variants for this sorter's options and append the
+   * key transform helpers (pass_key_in / pass_key_out)
+   * @param {string} source - WGSL source with #if blocks
+   * @param {Object<string, boolean>} [defines] - Extra sorter-specific defines
+   * @returns {string} WGSL ready for createShaderModule
+   */
+  sortShaderSource(source, defines = {}) {
+    return preprocessShader(`${source}\n${keyTransformShader}`, {
+      KEYS_ONLY: this.keysOnly,
+      ...keyTypeDefines(this.keyType),
+      ...defines
+    });
+  }
+
+  /**
+   * Key transform flags for one radix pass: the first pass maps keys to sort
+   * bits on load and the last pass maps them back on scatter. Descending sorts
+   * also invert the sort bits there, so every pass ranks inverted digits.
+   * Argsorts have the first pass load each key's index as its value.
+   * @param {number} pass - Pass index
+   * @param {number} passCount - Number of passes in the sort
+   * @param {string} [order] - 'asc' or 'desc'
+   * @param {boolean} [indices] - Generate index values instead of reading the payload
+   * @returns {number} KEY_FLAG_* bits
+   */
+  keyPassFlags(pass, passCount, order = 'asc', indices = false) {
+    return (pass === 0 ? GpuSorter.KEY_FLAG_FIRST_PASS : 0) |
+      (pass === passCount - 1 ? GpuSorter.KEY_FLAG_LAST_PASS : 0) |
+      (order === 'desc' ? GpuSorter.KEY_FLAG_DESCENDING : 0) |
+      (indices ? GpuSorter.KEY_FLAG_INDEX_VALUES : 0);
+  }
+
+  /**
+   * Check the per-sort options and fill in their defaults
+   * @param {string} name - Caller name for error messages
+   * @param {{beginBit?: number, endBit?: number, order?: string}} options - Bit range (default every key bit) and
+   *   order ('asc' default or 'desc')
+   * @returns {{beginBit: number, endBit: number, order: string}} Validated options
+   */
+  resolveSortOptions(name, { beginBit = 0, endBit = 32 * this.keyWords, order = 'asc' } = {}) {
+    const keyBits = 32 * this.keyWords;
+    if (!Number.isInteger(beginBit) || !Number.isInteger(endBit) || beginBit < 0 || endBit > keyBits || beginBit >= endBit) {
+      throw new Error(`${name}: bit range [${beginBit}, ${endBit}) must satisfy 0 <= beginBit < endBit <= ${keyBits}`);
+    }
+    if (order !== 'asc' && order !== 'desc') {
+      throw new Error(`${name}: order must be 'asc' or 'desc', got "${order}"`);
+    }
+    return { beginBit, endBit, order };
+  }
+
+  /**
+   * Radix passes needed for a key bit range: every digit overlapping
+   * [beginBit, endBit). Like CUB's begin_bit/end_bit, the range only says
+   * which bits tell keys apart; bits outside it that share a digit with it
+   * still take part in the ordering.
+   * @param {number} digitBits - Bits ranked per pass
+   * @param {{beginBit?: number, endBit?: number}} range - Bit range, default every key bit
+   * @returns {{firstPass: number, passCount: number}} Index of the first pass and how many run
+   */
+  passRange(digitBits, { beginBit = 0, endBit = 32 * this.keyWords } = {}) {
+    const firstPass = Math.floor(beginBit / digitBits);
+    return { firstPass, passCount: Math.ceil(endBit / digitBits) - firstPass };
+  }
+
+  /**
+   * Drop the payload bindings (4 and 5 in every sort shader) in keys-only mode
+   * @param {Array<{binding: number}>} entries - Bind group or bind group layout entries
+   * @returns {Array<{binding: number}>} Entries the active shader variant declares
+   */
+  filterPayloadBindings(entries) {
+    return this.keysOnly
+      ? entries.filter(({ binding }) => binding !== 4 && binding !== 5)
+      : entries;
+  }
+
+  /**
+   * Begin timing a sort: every pass recorded with the returned timer gets its
+   * own timestamp pair
+   * @returns {PassTimer|null} This sorter's timer, emptied, or null without timestamp-query
+   */
+  startTimer() {
+    if (!this.timer && this.timingSupported) {
+      this.timer = new PassTimer(this.device, this.constructor.name);
+    }
+    return this.timer?.reset() ?? null;
+  }
+
+  /**
+   * Build a compute pass descriptor, timestamped when a timer is given
+   * @param {PassTimer|null|undefined} timer - Timer of the sort being recorded
+   * @param {string} stage - Kernel name the pass is reported under
+   * @param {number} [pass] - Radix pass the kernel runs for
+   * @returns {GPUComputePassDescriptor} Pass descriptor
+   */
+  passDescriptor(timer, stage, pass) {
+    return timer ? timer.passDescriptor(stage, pass) : { label: stage };
+  }
+
+  /**
+   * Submit a recorded sort, wait for it and read its timing
+   * The wall-clock time runs from submit to onSubmittedWorkDone, so it also
+   * covers queue latency, driver overhead and writeBuffer uploads still
+   * pending; it stands in for the GPU time on devices without timestamp-query.
+   * @param {GPUCommandEncoder} encoder - Encoder holding the whole sort
+   * @param {PassTimer|null} timer - Timer the sort was recorded with (see startTimer)
+   * @returns {Promise<{gpuTime: number|null, gpuTiming: Object|null, wallTime: number, timingSource: string}>}
+   *   Milliseconds from the first pass's start to the last pass's end, the per-pass and per-stage breakdown of
+   *   PassTimer.read (both null without timestamps), the wall-clock milliseconds, and which of the two the sort
+   *   should be compared by: 'timestamp' or 'wall-clock'
+   */
+  async submitTimed(encoder, timer) {
+    timer?.encodeResolve(encoder);
+    const commandBuffer = encoder.finish();
+
+    const start = performance.now();
+    this.device.queue.submit([commandBuffer]);
+    await this.device.queue.onSubmittedWorkDone();
+    const wallTime = performance.now() - start;
+
+    const gpuTiming = timer ? await timer.read() : null;
+    return {
+      gpuTime: gpuTiming?.total ?? null,
+      gpuTiming,
+      wallTime,
+      timingSource: gpuTiming ? 'timestamp' : 'wall-clock'
+    };
+  }
+
+  /**
+   * Timing of a sort with nothing to submit, shaped like submitTimed's result
+   * @returns {{gpuTime: number|null, gpuTiming: null, wallTime: number, timingSource: string}} Zero times, under
+   *   the source a submitted sort on this device would report
+   */
+  emptyTiming() {
+    const timed = this.timingSupported;
+    return { gpuTime: timed ? 0 : null, gpuTiming: null, wallTime: 0, timingSource: timed ? 'timestamp' : 'wall-clock' };
+  }
+
+  /**
+   * Sort typed arrays directly, skipping the {key, value} object conversion
+   * Keys are an array of the key type (Int32Array, Float32Array, or Uint16Array
+   * of binary16 bits) or a Uint32Array of raw key words, (hi, lo) pairs for
+   * u64; the result comes back in the same array type. beginBit/endBit limit
+   * the radix passes to the sort bits that differ between keys; order: 'desc'
+   * sorts largest first, keeping equal keys in input order.
+   * @param {Uint32Array|Int32Array|Float32Array|Uint16Array} keys - Keys to sort
+   * @param {Uint32Array} [values] - Optional payload, same length as keys
+   * @param {{outKeys?: ArrayBufferView, outValues?: Uint32Array, beginBit?: number, endBit?: number, order?: string}} [options] -
+   *   Optional arrays to write the result into, key bit range and sort order
+   * @returns {Promise<{keys: ArrayBufferView, values?: Uint32Array, gpuTime: number|null, wallTime: number,
+   *   timingSource: string}>} Sorted arrays, the timing of submitTimed and any sorter-specific extras
+   */
+  async sortTypedArrays(keys, values, { outKeys, outValues, ...sortOptions } = {}) {
+    const numKeys = this.checkKeyArray(`${this.constructor.name}.sortTypedArrays`, keys);
+    if (values !== undefined && this.keysOnly) {
+      throw new Error(`${this.constructor.name}.sortTypedArrays: values are not supported in keys-only mode`);
+    }
+    if (values !== undefined && !(values instanceof Uint32Array && values.length === numKeys)) {
+      throw new Error(`${this.constructor.name}.sortTypedArrays: values must be a Uint32Array of ${numKeys} elements`);
+    }
+    if (outKeys !== undefined && !(outKeys instanceof keys.constructor && outKeys.length >= keys.length)) {
+      throw new Error(`${this.constructor.name}.sortTypedArrays: outKeys must be a ${keys.constructor.name} of at least ${keys.length} elements`);
+    }
+    if (outValues !== undefined && !(values && outValues instanceof Uint32Array && outValues.length >= numKeys)) {
+      throw new Error(`${this.constructor.name}.sortTypedArrays: outValues requires values and a Uint32Array of at least ${numKeys} elements`);
+    }
+    const { beginBit, endBit, order } = this.resolveSortOptions(`${this.constructor.name}.sortTypedArrays`, sortOptions);
+    this.ensureBuffers();
+
+    // 32-bit outputs receive the words directly; 16-bit keys are narrowed afterwards
+    const wide = keys.BYTES_PER_ELEMENT === 4;
+    const result = await this.runSort(toKeyWords(keys), values, {
+      outKeys: wide && outKeys ? toKeyWords(outKeys) : undefined,
+      outValues,
+      beginBit,
+      endBit,
+      order
+    });
+    return { ...result, keys: fromKeyWords(result.keys, keys.constructor, outKeys) };
+  }
+
+  /**
+   * Sort permutation of a key array: indices[i] is the input position of the
+   * i-th smallest key (largest for order: 'desc'), equal keys keeping input
+   * order. The indices are generated by the first pass on the GPU rather than
+   * uploaded, so this needs a sorter with payload buffers (not keysOnly).
+   * @param {Uint32Array|Int32Array|Float32Array|Uint16Array} keys - Keys in the same forms sortTypedArrays takes
+   * @param {{withKeys?: boolean, beginBit?: number, endBit?: number, order?: string}} [options] - withKeys: false skips
+   *   downloading the sorted keys; the rest as for sortTypedArrays
+   * @returns {Promise<{indices: Uint32Array, keys?: ArrayBufferView, gpuTime: number|null, wallTime: number,
+   *   timingSource: string}>} Permutation, sorted keys when requested, the timing of submitTimed and any
+   *   sorter-specific extras
+   */
+  async argsort(keys, { withKeys = true, ...sortOptions } = {}) {
+    const name = `${this.constructor.name}.argsort`;
+    if (this.keysOnly) {
+      throw new Error(`${name}: keys-only sorters have no payload buffers to carry indices`);
+    }
+    this.checkKeyArray(name, keys);
+    const { beginBit, endBit, order } = this.resolveSortOptions(name, sortOptions);
+    this.ensureBuffers();
+
+    const { keys: sortedWords, values: indices, ...extras } = await this.runSort(toKeyWords(keys), undefined, {
+      beginBit,
+      endBit,
+      order,
+      indices: true,
+      withKeys
+    });
+    return { ...extras, indices, keys: withKeys ? fromKeyWords(sortedWords, keys.constructor) : undefined };
+  }
+
+  /**
+   * Check that a typed key array suits this sorter's key type
+   * @param {string} name - Caller name for error messages
+   * @param {ArrayBufferView} keys - Keys as passed to sortTypedArrays or argsort
+   * @returns {number} Number of keys
+   */
+  checkKeyArray(name, keys) {
+    const { ArrayType } = getKeyType(this.keyType);
+    if (!(keys instanceof ArrayType || keys instanceof Uint32Array)) {
+      throw new Error(`${name}: ${this.keyType} keys must be a ${ArrayType.name} or Uint32Array`);
+    }
+    if (keys.length % this.keyWords !== 0) {
+      throw new Error(`${name}: ${this.keyType} keys must be (hi, lo) word pairs`);
+    }
+    return keys.length / this.keyWords;
+  }
+
+  /**
+   * Record a sort of caller-owned GPU buffers into an existing command encoder
+   * Nothing is mapped or awaited, so the sort can sit between other GPU work in
+   * the same submission. Scratch is reset by commands in the encoder, but pass
+   * parameters are staged with queue.writeBuffer, so submit the encoder before
+   * recording another sort with this sorter. The result may land in one of the sorter's internal buffers;
+   * copy it out before the sorter is reused. With indices: true the values
+   * buffer is not read; it receives the sort permutation (an argsort).
+   * With countBuffer the key count is read on the GPU from the u32 at
+   * countOffset, e.g. one written by a compaction pass earlier in the same
+   * submission; count is then the capacity the real count is clamped to, and
+   * the passes use dispatchWorkgroupsIndirect (DeviceRadixSort and OneSweep).
+   * @param {GPUCommandEncoder} commandEncoder - Encoder owned by the caller
+   * @param {{keys: GPUBuffer, values?: GPUBuffer, count: number, countBuffer?: GPUBuffer, countOffset?: number,
+   *   indices?: boolean, beginBit?: number, endBit?: number, order?: string}} buffers - STORAGE buffers holding count
+   *   keys of this sorter's key type (one 32-bit word each, f16 in the low half, u64 as (hi, lo) pairs) and u32
+   *   values, an optional COPY_SRC buffer holding the key count at a 4-byte aligned offset, plus the optional key
+   *   bit range and sort order
+   * @returns {{keys: GPUBuffer, values?: GPUBuffer}} Buffers that hold the sorted keys and values after submission
+   */
+  encode(commandEncoder, { keys, values, count, countBuffer, countOffset = 0, indices = false, ...sortOptions }) {
+    const name = `${this.constructor.name}.encode`;
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error(`${name}: count must be a non-negative integer`);
+    }
+    if (count > this.maxKeys) {
+      throw new Error(`${name}: count ${count} exceeds the ${this.maxKeys} keys this sorter was created for`);
+    }
+    if (values !== undefined && this.keysOnly) {
+      throw new Error(`${name}: values are not supported in keys-only mode`);
+    }
+    if (indices && values === undefined) {
+      throw new Error(`${name}: indices needs a values buffer to receive the permutation`);
+    }
+    const unusable = (buffer, bytes) => !buffer || !(buffer.usage & GPUBufferUsage.STORAGE) || buffer.size < bytes;
+    if (unusable(keys, count * 4 * this.keyWords)) {
+      throw new Error(`${name}: keys must be a STORAGE buffer of at least ${count * 4 * this.keyWords} bytes`);
+    }
+    if (values !== undefined && unusable(values, count * 4)) {
+      throw new Error(`${name}: values must be a STORAGE buffer of at least ${count * 4} bytes`);
+    }
+    if (countBuffer !== undefined) {
+      if (!this.indirectSetupParams()) {
+        throw new Error(`${name}: ${this.constructor.name} does not support reading the count from a GPU buffer`);
+      }
+      if (!(countBuffer.usage & GPUBufferUsage.COPY_SRC) || countOffset % 4 !== 0 || countBuffer.size < countOffset + 4) {
+        throw new Error(`${name}: countBuffer must be a COPY_SRC buffer with a u32 at a 4-byte aligned countOffset`);
+      }
+    }
+    const { beginBit, endBit, order } = this.resolveSortOptions(name, sortOptions);
+
+    if (count === 0) {
+      return { keys, values };
+    }
+    this.ensureBuffers();
+    return this.encodePasses(commandEncoder, {
+      keys,
+      values,
+      count,
+      countBuffer,
+      countOffset,
+      beginBit,
+      endBit,
+      order,
+      indices
+    });
+  }
+
+  /**
+   * Sort fixed-size records by a key field and return them physically reordered
+   * The key field is extracted, argsorted and the whole records gathered into
+   * sorted order on the GPU, so callers need no per-layout shaders. 32-bit keys
+   * sit at a 4-byte aligned offset, f16 keys at a 2-byte aligned one, and u64
+   * keys are little-endian 64-bit fields.
+   * @param {ArrayBuffer|ArrayBufferView} records - Whole records, stride bytes each
+   * @param {{stride: number, keyOffset?: number, beginBit?: number, endBit?: number, order?: string}} layout - Record
+   *   stride and key field offset in bytes, plus the sortTypedArrays options
+   * @returns {Promise<{records: ArrayBuffer|ArrayBufferView, gpuTime: number|null, gpuTiming: Object|null,
+   *   wallTime: number, timingSource: string}>} Sorted records in the input's array type (over a new buffer), the
+   *   timing of submitTimed and any sorter-specific extras
+   */
+  async sortRecords(records, { stride, keyOffset = 0, ...sortOptions } = {}) {
+    const name = `${this.constructor.name}.sortRecords`;
+    this.checkRecordLayout(name, stride, keyOffset);
+    const bytes = records instanceof ArrayBuffer
+      ? new Uint8Array(records)
+      : new Uint8Array(records.buffer, records.byteOffset, records.byteLength);
+    if (bytes.byteLength % stride !== 0) {
+      throw new Error(`${name}: ${bytes.byteLength} bytes is not a whole number of ${stride}-byte records`);
+    }
+    const count = bytes.byteLength / stride;
+    if (count > this.maxKeys) {
+      throw new Error(`${name}: ${count} records exceed the ${this.maxKeys} keys this sorter was created for`);
+    }
+    const { beginBit, endBit, order } = this.resolveSortOptions(name, sortOptions);
+    const wrap = buffer => (records instanceof ArrayBuffer ? buffer : new records.constructor(buffer));
+    if (count === 0) {
+      return { records: wrap(new ArrayBuffer(0)), ...this.emptyTiming() };
+    }
+
+    // Staging buffers for the records follow the largest sort so far
+    if (!this.recordBuffers || this.recordBuffers[0].size < bytes.byteLength) {
+      this.recordBuffers?.forEach(buffer => buffer.destroy());
+      this.recordBuffers = [0, 1].map(() => this.device.createBuffer({
+        size: bytes.byteLength,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
+      }));
+    }
+    const [input, output] = this.recordBuffers;
+    this.device.queue.writeBuffer(input, 0, bytes);
+
+    const timer = this.startTimer();
+    const encoder = this.device.createCommandEncoder();
+    this.encodeRecordSort(encoder, { records: input, output, count, stride, keyOffset, beginBit, endBit, order, timer });
+    const timing = await this.submitTimed(encoder, timer);
+    const status = await this.checkSortStatus();
+    if (!status) {
+      return this.sortRecords(records, { stride, keyOffset, ...sortOptions });
+    }
+    const sorted = await this.downloadBuffer(output, bytes.byteLength);
+
+    return { ...status, records: wrap(sorted), ...timing };
+  }
+
+  /**
+   * Record a sort of caller-owned record buffers into an existing encoder
+   * Same layout rules as sortRecords and the same submission rules as encode;
+   * the records buffer is left untouched and output receives them sorted.
+   * @param {GPUCommandEncoder} commandEncoder - Encoder owned by the caller
+   * @param {{records: GPUBuffer, output: GPUBuffer, count: number, stride: number, keyOffset?: number, beginBit?: number,
+   *   endBit?: number, order?: string}} buffers - Separate STORAGE buffers of at least count * stride bytes, the
+   *   record layout in bytes and the optional sort options
+   * @returns {GPUBuffer} The output buffer
+   */
+  encodeRecords(commandEncoder, { records, output, count, stride, keyOffset = 0, ...sortOptions }) {
+    const name = `${this.constructor.name}.encodeRecords`;
+    this.checkRecordLayout(name, stride, keyOffset);
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error(`${name}: count must be a non-negative integer`);
+    }
+    if (count > this.maxKeys) {
+      throw new Error(`${name}: count ${count} exceeds the ${this.maxKeys} keys this sorter was created for`);
+    }
+    const unusable = buffer => !buffer || !(buffer.usage & GPUBufferUsage.STORAGE) || buffer.size < count * stride;
+    if (unusable(records) || unusable(output) || records === output) {
+      throw new Error(`${name}: records and output must be separate STORAGE buffers of at least ${count * stride} bytes`);
+    }
+    const { beginBit, endBit, order } = this.resolveSortOptions(name, sortOptions);
+
+    if (count > 0) {
+      this.encodeRecordSort(commandEncoder, { records, output, count, stride, keyOffset, beginBit, endBit, order });
+    }
+    return output;
+  }
+
+  /**
+   * Check a record layout against this sorter's key type
+   * @param {string} name - Caller name for error messages
+   * @param {number} stride - Record stride in bytes
+   * @param {number} keyOffset - Key field offset in bytes
+   */
+  checkRecordLayout(name, stride, keyOffset) {
+    if (this.keysOnly) {
+      throw new Error(`${name}: keys-only sorters have no payload buffers to carry the permutation`);
+    }
+    if (!Number.isInteger(stride) || stride <= 0 || stride % 4 !== 0) {
+      throw new Error(`${name}: stride must be a positive multiple of 4 bytes`);
+    }
+    const keyBytes = this.keyType === 'f16' ? 2 : 4 * this.keyWords;
+    const alignment = Math.min(keyBytes, 4);
+    if (!Number.isInteger(keyOffset) || keyOffset < 0 || keyOffset % alignment !== 0 || keyOffset + keyBytes > stride) {
+      throw new Error(`${name}: a ${this.keyType} key needs a ${alignment}-byte aligned keyOffset inside the ${stride}-byte record`);
+    }
+  }
+
+  /**
+   * Record extract, argsort and gather passes for a validated record sort
+   * @param {GPUCommandEncoder} encoder - Encoder the passes are recorded into
+   * @param {{records: GPUBuffer, output: GPUBuffer, count: number, stride: number, keyOffset: number, beginBit: number,
+   *   endBit: number, order: string, timer?: PassTimer}} job - Buffers, layout, sort options and the timer that
+   *   timestamps every pass
+   */
+  encodeRecordSort(encoder, { records, output, count, stride, keyOffset, beginBit, endBit, order, timer }) {
+    this.ensureBuffers();
+    this.createRecordResources();
+    this.device.queue.writeBuffer(this.recordInfoBuffer, 0, new Uint32Array([
+      count,
+      stride / 4,
+      Math.floor(keyOffset / 4),
+      (keyOffset % 4) * 8
+    ]));
+
+    const bindGroup = indices => this.cachedBindGroups('records', [records, output, indices], () => this.device.createBindGroup({
+      layout: this.recordBindGroupLayout,
+      entries: [
+        { binding: 0, resource: { buffer: this.recordInfoBuffer } },
+        { binding: 1, resource: { buffer: records } },
+        { binding: 2, resource: { buffer: this.recordKeyBuffer } },
+        { binding: 3, resource: { buffer: indices } },
+        { binding: 4, resource: { buffer: output } }
+      ]
+    }));
+    const workgroups = items => Math.min(Math.ceil(items / GpuSorter.RECORD_BLOCK_DIM), GpuSorter.MAX_WORKGROUPS);
+
+    const extractPass = encoder.beginComputePass(this.passDescriptor(timer, 'extract_keys'));
+    extractPass.setPipeline(this.recordPipelines.extract);
+    extractPass.setBindGroup(0, bindGroup(this.recordIndexBuffer));
+    extractPass.dispatchWorkgroups(workgroups(count));
+    extractPass.end();
+
+    const result = this.encodePasses(encoder, {
+      keys: this.recordKeyBuffer,
+      values: this.recordIndexBuffer,
+      count,
+      beginBit,
+      endBit,
+      order,
+      indices: true,
+      timer
+    });
+
+    const gatherPass = encoder.beginComputePass(this.passDescriptor(timer, 'gather_records'));
+    gatherPass.setPipeline(this.recordPipelines.gather);
+    gatherPass.setBindGroup(0, bindGroup(result.values));
+    gatherPass.dispatchWorkgroups(workgroups(count * stride / 4));
+    gatherPass.end();
+  }
+
+  /**
+   * Create the record extract/gather pipelines and key and index scratch on
+   * first use; the scratch is recreated after releaseBuffers
+   */
+  createRecordResources() {
+    if (!this.recordKeyBuffer) {
+      this.recordKeyBuffer = this.device.createBuffer({
+        label: `${this.constructor.name} recordKeyBuffer`,
+        size: Math.max(16, this.maxKeys * 4 * this.keyWords),
+        usage: GPUBufferUsage.STORAGE
+      });
+      this.recordIndexBuffer = this.device.createBuffer({
+        label: `${this.constructor.name} recordIndexBuffer`,
+        size: Math.max(16, this.maxKeys * 4),
+        usage: GPUBufferUsage.STORAGE
+      });
+      this.recordInfoBuffer = this.device.createBuffer({
+        size: 16,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+      });
+    }
+    if (this.recordPipelines) {
+      return;
+    }
+
+    const module = this.device.createShaderModule({
+      label: `${this.constructor.name} record gather`,
+      code: this.sortShaderSource(recordShader)
+    });
+    this.recordBindGroupLayout = this.device.createBindGroupLayout({
+      entries: [
+        { binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } },
+        { binding: 1, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } },
+        { binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+        { binding: 3, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } },
+        { binding: 4, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } }
+      ]
+    });
+    const layout = this.device.createPipelineLayout({ bindGroupLayouts: [this.recordBindGroupLayout] });
+    this.recordPipelines = {
+      extract: this.device.createComputePipeline({
+        layout,
+        compute: { module, entryPoint: 'extract_keys' }
+      }),
+      gather: this.device.createComputePipeline({
+        layout,
+        compute: { module, entryPoint: 'gather_records' }
+      })
+    };
+  }
+
+  async sort(data) {
+    const numKeys = data.length;
+    const keys = new (getKeyType(this.keyType).ArrayType)(numKeys * this.keyWords);
+    const values = new Uint32Array(numKeys);
+    for (let i = 0; i < numKeys; i++) {
+      setKey(keys, i, data[i].key, this.keyType);
+      values[i] = data[i].value;
+    }
+
+    const { keys: keysArray, values: valuesArray, ...extras } =
+      await this.sortTypedArrays(keys, this.keysOnly ? undefined : values);
+
+    const sorted = [];
+    for (let i = 0; i < numKeys; i++) {
+      sorted.push({ key: getKey(keysArray, i, this.keyType), value: valuesArray?.[i] });
+    }
+
+    return { sorted, ...extras };
+  }
+
+  /**
+   * Read back the first count u32 elements of a buffer
+   * @param {GPUBuffer} buffer - Source buffer
+   * @param {number} count - Number of elements
+   * @param {Uint32Array} [target] - Array to copy into instead of allocating one
+   * @returns {Promise<Uint32Array>} The filled array
+   */
+  async downloadUint32(buffer, count, target = new Uint32Array(count)) {
+    const size = Math.max(4, count * 4);
+    const staging = this.device.createBuffer({
+      size,
+      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+    });
+
+    const encoder = this.device.createCommandEncoder();
+    encoder.copyBufferToBuffer(buffer, 0, staging, 0, size);
+    this.device.queue.submit([encoder.finish()]);
+
+    await staging.mapAsync(GPUMapMode.READ);
+    target.set(new Uint32Array(staging.getMappedRange(), 0, count));
+    staging.unmap();
+    staging.destroy();
+
+    return target;
+  }
+
+  async downloadBuffer(buffer, size) {
+    const staging = this.device.createBuffer({
+      size,
+      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+    });
+
+    const encoder = this.device.createCommandEncoder();
+    encoder.copyBufferToBuffer(buffer, 0, staging, 0, size);
+    this.device.queue.submit([encoder.finish()]);
+
+    await staging.mapAsync(GPUMapMode.READ);
+    const result = staging.getMappedRange().slice(0);
+    staging.unmap();
+    staging.destroy();
+
+    return result;
+  }
+
+  destroy() {
+    this.releaseBuffers();
+  }
+}
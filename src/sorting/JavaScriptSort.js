@@ -0,0 +1,257 @@
+/**
+ * JavaScript Array.sort baseline
+ * CPU reference that the GPU sorters are validated and timed against
+ */
+
+import { registerSorter } from './registry.js';
+import { getKeyType, keyToWord, toKeyWords } from './keyTypes.js';
+import { checkSegmentOffsets } from '../utils.js';
+
+export class JavaScriptSort {
+  /**
+   * @param {{keyType?: string}} [options] - Key type, ordered the same way as the GPU sorters
+   */
+  constructor({ keyType = 'u32' } = {}) {
+    getKeyType(keyType);
+    this.keyType = keyType;
+  }
+
+  async init() {}
+
+  /**
+   * The baseline sorts on the CPU and holds no GPU buffers
+   * @returns {{buffers: Array, total: number}} Empty footprint, same shape as GpuSorter.memoryFootprint
+   */
+  memoryFootprint() {
+    return { buffers: [], total: 0 };
+  }
+
+  releaseBuffers() {}
+
+  async sort(data) {
+    const { toSortBits, words } = getKeyType(this.keyType);
+    const sortBits = key => toSortBits(keyToWord(key, this.keyType));
+    // u64 keys are BigInts, which compare directly but cannot be subtracted into a number
+    const compare = words === 2
+      ? (a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0)
+      : (a, b) => sortBits(a.key) - sortBits(b.key);
+    const sorted = [...data];
+    const start = performance.now();
+    sorted.sort(compare);
+    const cpuTime = performance.now() - start;
+
+    return { sorted, cpuTime };
+  }
+
+  /**
+   * Stable typed-array sort: argsort the indices, then gather keys and values
+   * Non-u32 keys are ordered by their sort bits, matching the GPU sorters
+   * bit for bit (-0 before +0, NaNs by sign at either end). order: 'desc'
+   * reverses the key order while keeping equal keys in input order. A
+   * beginBit/endBit range is accepted for parity with the GPU sorters but whole
+   * keys are always compared, which orders keys that only differ inside the
+   * range the same way.
+   * @param {Uint32Array|Int32Array|Float32Array|Uint16Array} keys - Keys to sort
+   * @param {Uint32Array} [values] - Optional payload, same length as keys
+   * @param {{outKeys?: ArrayBufferView, outValues?: Uint32Array, beginBit?: number, endBit?: number, order?: string}} [options] -
+   *   Optional arrays to write the result into, key bit range and sort order
+   * @returns {Promise<{keys: ArrayBufferView, values?: Uint32Array, cpuTime: number}>} Sorted arrays and CPU time
+   */
+  async sortTypedArrays(keys, values, { outKeys, outValues, order: sortOrder = 'asc' } = {}) {
+    if (this.keyType === 'u64') {
+      return this.sortWordPairs(keys, values, { outKeys, outValues, sortOrder });
+    }
+
+    const numKeys = keys.length;
+    const { toSortBits, fromSortBits } = getKeyType(this.keyType);
+    const plainKeys = this.keyType === 'u32' && sortOrder === 'asc';
+    const start = performance.now();
+
+    // Unsigned sort bits order every key type; u32 keys already are their own
+    // sort bits. Inverted bits sort descending, like the GPU sorters.
+    const words = toKeyWords(keys);
+    const orderMask = sortOrder === 'desc' ? 0xFFFFFFFF : 0;
+    let bits = words;
+    if (!plainKeys) {
+      bits = new Uint32Array(numKeys);
+      for (let i = 0; i < numKeys; i++) {
+        bits[i] = toSortBits(words[i]) ^ orderMask;
+      }
+    }
+
+    if (!values) {
+      const sortedKeys = outKeys ?? new keys.constructor(numKeys);
+      if (plainKeys) {
+        sortedKeys.set(keys);
+        sortedKeys.subarray(0, numKeys).sort();
+      } else {
+        bits.sort();
+        const sortedWords = sortedKeys.BYTES_PER_ELEMENT === 4 ? toKeyWords(sortedKeys) : sortedKeys;
+        for (let i = 0; i < numKeys; i++) {
+          sortedWords[i] = fromSortBits((bits[i] ^ orderMask) >>> 0);
+        }
+      }
+      return { keys: sortedKeys, cpuTime: performance.now() - start };
+    }
+
+    const order = new Uint32Array(numKeys);
+    for (let i = 0; i < numKeys; i++) {
+      order[i] = i;
+    }
+    order.sort((a, b) => bits[a] - bits[b]);
+
+    // Gather raw words so float keys keep their exact bits (NaN payloads included)
+    const sortedKeys = outKeys ?? new keys.constructor(numKeys);
+    const sortedWords = sortedKeys.BYTES_PER_ELEMENT === 4 ? toKeyWords(sortedKeys) : sortedKeys;
+    const sortedValues = outValues ?? new Uint32Array(numKeys);
+    for (let i = 0; i < numKeys; i++) {
+      sortedWords[i] = words[order[i]];
+      sortedValues[i] = values[order[i]];
+    }
+    const cpuTime = performance.now() - start;
+
+    return { keys: sortedKeys, values: sortedValues, cpuTime };
+  }
+
+  /**
+   * Sort permutation reference: a payload of indices carried through sortTypedArrays
+   * @param {Uint32Array|Int32Array|Float32Array|Uint16Array} keys - Keys to sort
+   * @param {{withKeys?: boolean, order?: string}} [options] - withKeys: false drops the sorted keys; sort order
+   * @returns {Promise<{indices: Uint32Array, keys?: ArrayBufferView, cpuTime: number}>} Permutation, sorted keys when
+   *   requested, and CPU time
+   */
+  async argsort(keys, { withKeys = true, order = 'asc' } = {}) {
+    const numKeys = keys.length / getKeyType(this.keyType).words;
+    const indices = new Uint32Array(numKeys);
+    for (let i = 0; i < numKeys; i++) {
+      indices[i] = i;
+    }
+    const result = await this.sortTypedArrays(keys, indices, { order });
+    return { indices: result.values, keys: withKeys ? result.keys : undefined, cpuTime: result.cpuTime };
+  }
+
+  /**
+   * Sort fixed-size records by a key field, the reference for GpuSorter.sortRecords
+   * @param {ArrayBuffer|ArrayBufferView} records - Whole records, stride bytes each
+   * @param {{stride: number, keyOffset?: number, order?: string}} layout - Record stride and key field offset in bytes
+   * @returns {Promise<{records: ArrayBuffer|ArrayBufferView, cpuTime: number}>} Sorted records in the input's array type
+   */
+  async sortRecords(records, { stride, keyOffset = 0, order = 'asc' } = {}) {
+    const bytes = records instanceof ArrayBuffer
+      ? new Uint8Array(records)
+      : new Uint8Array(records.buffer, records.byteOffset, records.byteLength);
+    const { ArrayType, words } = getKeyType(this.keyType);
+    const count = bytes.byteLength / stride;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const keyBits = this.keyType === 'f16' ? new Uint16Array(count) : new Uint32Array(count * words);
+    for (let i = 0; i < count; i++) {
+      const offset = i * stride + keyOffset;
+      if (words === 2) {
+        keyBits[2 * i] = view.getUint32(offset + 4, true);
+        keyBits[2 * i + 1] = view.getUint32(offset, true);
+      } else if (this.keyType === 'f16') {
+        keyBits[i] = view.getUint16(offset, true);
+      } else {
+        keyBits[i] = view.getUint32(offset, true);
+      }
+    }
+    const keys = new ArrayType(keyBits.buffer);
+
+    const start = performance.now();
+    const { indices } = await this.argsort(keys, { withKeys: false, order });
+    const sorted = new Uint8Array(bytes.byteLength);
+    for (let i = 0; i < count; i++) {
+      sorted.set(bytes.subarray(indices[i] * stride, (indices[i] + 1) * stride), i * stride);
+    }
+    const cpuTime = performance.now() - start;
+
+    const output = records instanceof ArrayBuffer ? sorted.buffer : new records.constructor(sorted.buffer);
+    return { records: output, cpuTime };
+  }
+
+  /**
+   * Segmented reference: sort each [segmentOffsets[s], segmentOffsets[s + 1])
+   * slice on its own, with the same ordering rules as sortTypedArrays
+   * @param {Uint32Array|Int32Array|Float32Array|Uint16Array} keys - Keys to sort
+   * @param {Uint32Array} [values] - Optional payload, same length as keys
+   * @param {Uint32Array} segmentOffsets - Segment count + 1 ascending offsets from 0 to the key count
+   * @param {{order?: string}} [options] - Sort order within each segment
+   * @returns {Promise<{keys: ArrayBufferView, values?: Uint32Array, cpuTime: number}>} Sorted arrays and CPU time
+   */
+  async sortSegments(keys, values, segmentOffsets, { order = 'asc' } = {}) {
+    const { words } = getKeyType(this.keyType);
+    const numKeys = keys.length / words;
+    checkSegmentOffsets('JavaScriptSort.sortSegments', segmentOffsets, numKeys);
+    const sortedKeys = new keys.constructor(keys.length);
+    const sortedValues = values && new Uint32Array(numKeys);
+    let cpuTime = 0;
+
+    for (let s = 0; s + 1 < segmentOffsets.length; s++) {
+      const begin = segmentOffsets[s];
+      const end = segmentOffsets[s + 1];
+      const result = await this.sortTypedArrays(
+        keys.subarray(begin * words, end * words),
+        values?.subarray(begin, end),
+        {
+          outKeys: sortedKeys.subarray(begin * words, end * words),
+          outValues: sortedValues?.subarray(begin, end),
+          order
+        }
+      );
+      cpuTime += result.cpuTime;
+    }
+
+    return { keys: sortedKeys, values: sortedValues, cpuTime };
+  }
+
+  /**
+   * 64-bit reference: stable argsort of (hi, lo) word pairs, compared hi word first
+   * @param {Uint32Array} keys - Interleaved (hi, lo) key words
+   * @param {Uint32Array} [values] - Optional payload, one per key
+   * @param {{outKeys?: Uint32Array, outValues?: Uint32Array, sortOrder: string}} output - Optional arrays to write the
+   *   result into and the sort order
+   * @returns {{keys: Uint32Array, values?: Uint32Array, cpuTime: number}} Sorted arrays and CPU time
+   */
+  sortWordPairs(keys, values, { outKeys, outValues, sortOrder }) {
+    const numKeys = keys.length / 2;
+    const start = performance.now();
+
+    const order = new Uint32Array(numKeys);
+    for (let i = 0; i < numKeys; i++) {
+      order[i] = i;
+    }
+    const direction = sortOrder === 'desc' ? -1 : 1;
+    order.sort((a, b) => direction * ((keys[2 * a] - keys[2 * b]) || (keys[2 * a + 1] - keys[2 * b + 1])));
+
+    const sortedKeys = outKeys ?? new Uint32Array(keys.length);
+    const sortedValues = values && (outValues ?? new Uint32Array(numKeys));
+    for (let i = 0; i < numKeys; i++) {
+      const source = order[i];
+      sortedKeys[2 * i] = keys[2 * source];
+      sortedKeys[2 * i + 1] = keys[2 * source + 1];
+      if (values) {
+        sortedValues[i] = values[source];
+      }
+    }
+    const cpuTime = performance.now() - start;
+
+    return { keys: sortedKeys, values: sortedValues, cpuTime };
+  }
+
+  destroy() {}
+}
+
+registerSorter({
+  id: 'javascript',
+  name: 'JavaScript Array.sort',
+  shortName: 'JavaScript',
+  color: '#60a5fa',
+  baseline: true,
+  capabilities: {
+    gpu: false,
+    timing: 'cpu',
+    keyBits: 64,
+    subgroups: false
+  },
+  create: (device, maxKeys, options) => new JavaScriptSort(options)
+});
@@ -2,45 +2,89 @@
  * OneSweep - WebGPU Implementation
  * Based on Thomas Smith's GPUSorting library
  */
-import shader16 from '../shaders/onesweep/OneSweep16.wgsl?raw';
-import shader32 from '../shaders/onesweep/OneSweep32.wgsl?raw';
-import shader64 from '../shaders/onesweep/OneSweep64.wgsl?raw';
-import subgroupProbeShader from '../shaders/utils/SubgroupSizeDetect.wgsl?raw';
-
-export class OneSweep {
-  static SORT_PASSES = 4;
-  static BLOCK_DIM = 256;
-  static RADIX = 256;
-  static RADIX_LOG = 8;
-  static KEYS_PER_THREAD = 15;
-  static PART_SIZE = OneSweep.BLOCK_DIM * OneSweep.KEYS_PER_THREAD;
-  static REDUCE_BLOCK_DIM = 128;
-  static REDUCE_KEYS_PER_THREAD = 30;
-  static REDUCE_PART_SIZE = OneSweep.REDUCE_BLOCK_DIM * OneSweep.REDUCE_KEYS_PER_THREAD;
+import { GpuSorter } from './GpuSorter.js';
+import { ONESWEEP_PARAM_NAMES, oneSweepConstants, specializeOneSweep } from './oneSweepVariants.js';
+import { registerSorter } from './registry.js';
+import { formatNumber } from '../utils.js';
+
+// Constants of the default (wave16) build; other builds derive theirs the same way
+const DEFAULT_CONSTANTS = oneSweepConstants();
+
+export class OneSweep extends GpuSorter {
+  static SORT_PASSES = DEFAULT_CONSTANTS.SORT_PASSES; // Per 32-bit key word
+  static BLOCK_DIM = DEFAULT_CONSTANTS.BLOCK_DIM;
+  static RADIX = DEFAULT_CONSTANTS.RADIX;
+  static RADIX_LOG = DEFAULT_CONSTANTS.RADIX_LOG;
+  static KEYS_PER_THREAD = DEFAULT_CONSTANTS.KEYS_PER_THREAD;
+  static PART_SIZE = DEFAULT_CONSTANTS.PART_SIZE;
+  static REDUCE_BLOCK_DIM = DEFAULT_CONSTANTS.REDUCE_BLOCK_DIM;
+  static REDUCE_KEYS_PER_THREAD = DEFAULT_CONSTANTS.REDUCE_KEYS_PER_THREAD;
+  static REDUCE_PART_SIZE = DEFAULT_CONSTANTS.REDUCE_PART_SIZE;
+  // Template parameters per probed subgroup size, widest first. Unlisted
+  // parameters take their defaults; 8 lanes would need twice the 256-thread
+  // build's subgroup histograms, so wave8 halves the block.
+  static VARIANTS = Object.freeze([
+    { label: 'wave64', minLanes: 48, params: { subgroupSize: 64 } },
+    { label: 'wave32', minLanes: 24, params: { subgroupSize: 32 } },
+    { label: 'wave16', minLanes: 12, params: { subgroupSize: 16 } },
+    { label: 'wave8', minLanes: 0, params: { subgroupSize: 8, blockDim: 128 } }
+  ]);
+  // Stored tunings and the autotuner's grid; builds that exceed the device's
+  // workgroup storage are skipped. Global-hist blocks of 64 and 128 threads
+  // divide every partition in the grid
+  static TUNING_ID = 'onesweep';
+  static TUNING_GRID = Object.freeze({
+    blockDim: [128, 256, 512],
+    keysPerThread: [8, 12, 15, 20],
+    reduceBlockDim: [64, 128]
+  });
   static STATUS_ERROR_COUNT = 3; // Keep in sync with STATUS_ERR_* constants in the shader
-  static STATUS_LENGTH = OneSweep.STATUS_ERROR_COUNT;
+  static STATUS_LANE_COUNT = OneSweep.STATUS_ERROR_COUNT; // Lane count of a failing stage
+  static STATUS_LENGTH = OneSweep.STATUS_ERROR_COUNT + 1;
+  static INFO_SIZE = 24; // size, shift, thread_blocks, key_flags, pass_index, key_word
 
-  constructor(device, maxKeys) {
-    this.device = device;
-    this.maxKeys = maxKeys;
-    this.pipelines = null;
-    this.buffers = null;
+  constructor(device, maxKeys, options = {}) {
+    super(device, maxKeys, options);
     this.bindGroupLayout = null;
-    this.timingSupported = device.features.has('timestamp-query');
-    this.subgroupSize = 0;
+    this.shaderVariant = ''; // Base variant; shaderVariantLabel adds any parameter overrides
     this.shaderVariantLabel = '';
+    // Pass infos sit one dynamic-offset stride apart in infoBuffer
+    this.infoStride = this.uniformStride(OneSweep.INFO_SIZE);
+    this.applyConstants(oneSweepConstants(this.shaderParams ?? {}));
   }
 
-  async init() {
+  static tuningFor(device) {
+    // Every OneSweep build needs subgroups, so there is nothing to tune without them
+    return device.features.has('subgroups') ? super.tuningFor(device) : null;
+  }
+
+  /**
+   * Adopt a build's constants for buffer sizing and dispatch
+   * @param {Readonly<Object<string, number>>} constants - Result of oneSweepConstants
+   */
+  applyConstants(constants) {
+    this.constants = constants;
+    // 64-bit keys run the 32-bit pass sequence over each of their two words
+    this.sortPasses = constants.SORT_PASSES * this.keyWords;
+    this.partSize = constants.PART_SIZE;
+    this.reducePartSize = constants.REDUCE_PART_SIZE;
+  }
+
+  async createPipelines() {
     const subgroupSize = await this.detectSubgroupSize();
-    const { shaderSource, label } = this.selectShaderVariant(subgroupSize);
+    const variant = this.shaderVariant
+      ? OneSweep.VARIANTS.find(({ label }) => label === this.shaderVariant)
+      : this.selectShaderVariant(subgroupSize);
+    this.shaderVariant = variant.label;
+    const { label, params, constants } = this.resolveShaderParams(variant, oneSweepConstants);
     this.shaderVariantLabel = label;
-    console.info(`OneSweep: using ${label} shader variant (subgroup size ${subgroupSize}).`);
+    this.applyConstants(constants);
+    console.info(`OneSweep: using ${label}${this.keysOnly ? ' keys-only' : ''} shader variant (subgroup size ${subgroupSize}).`);
 
     // Create shader module
     const shaderModule = this.device.createShaderModule({
       label: `OneSweep Shader (${label})`,
-      code: shaderSource
+      code: this.sortShaderSource(specializeOneSweep(params))
     });
 
     // Check for compilation errors
@@ -56,8 +100,8 @@ export class OneSweep {
 
     // Create bind group layout
     this.bindGroupLayout = this.device.createBindGroupLayout({
-      entries: [
-        { binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } },
+      entries: this.filterPayloadBindings([
+        { binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform', hasDynamicOffset: true } },
         { binding: 1, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
         { binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
         { binding: 3, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
@@ -66,7 +110,7 @@ export class OneSweep {
         { binding: 6, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
         { binding: 7, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
         { binding: 8, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } }
-      ]
+      ])
     });
 
     const pipelineLayout = this.device.createPipelineLayout({
@@ -88,221 +132,211 @@ export class OneSweep {
         compute: { module: shaderModule, entryPoint: 'onesweep_pass' }
       })
     };
-
-    this.createBuffers();
-
-    if (this.timingSupported) {
-      this.createTimingResources();
-    }
   }
 
-  createBuffers() {
-    // Destroy variable-size buffers if present to prevent memory leaks
-    this.sortBuffer?.destroy();
-    this.altBuffer?.destroy();
-    this.payloadBuffer?.destroy();
-    this.altPayloadBuffer?.destroy();
-    this.passHistBuffer?.destroy();
-
-    const keySize = Math.max(16, this.maxKeys * 4); // Minimum 16 bytes
-    const threadBlocks = Math.ceil(this.maxKeys / OneSweep.PART_SIZE);
-
-    this.sortBuffer = this.device.createBuffer({
-      size: keySize,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
-    });
-
-    this.altBuffer = this.device.createBuffer({
-      size: keySize,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
-    });
-
-    this.payloadBuffer = this.device.createBuffer({
-      size: keySize,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
-    });
-
-    this.altPayloadBuffer = this.device.createBuffer({
-      size: keySize,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
-    });
-
-    this.bumpBuffer = this.device.createBuffer({
-      size: (OneSweep.SORT_PASSES + 1) * 4,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
-    });
-
-    this.histBuffer = this.device.createBuffer({
-      size: OneSweep.RADIX * OneSweep.SORT_PASSES * 4,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
-    });
-
-    this.passHistBuffer = this.device.createBuffer({
-      size: threadBlocks * OneSweep.RADIX * OneSweep.SORT_PASSES * 4,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
-    });
-
-    this.statusBuffer = this.device.createBuffer({
-      size: OneSweep.STATUS_LENGTH * 4,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
-    });
-
-    this.infoBuffer = this.device.createBuffer({
-      size: 16,
-      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
-    });
-
-    // Upload buffer for info data
-    this.infoUploadBuffer = this.device.createBuffer({
-      size: 16 * OneSweep.SORT_PASSES,
-      usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
-    });
-  }
-
-  createTimingResources() {
-    this.querySet = this.device.createQuerySet({
-      type: 'timestamp',
-      count: 2
-    });
-
-    this.queryBuffer = this.device.createBuffer({
-      size: 16,
-      usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC
-    });
-
-    this.readBuffer = this.device.createBuffer({
-      size: 16,
-      usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
-    });
+  bufferDescriptors() {
+    const keySize = Math.max(16, this.maxKeys * 4 * this.keyWords); // Minimum 16 bytes
+    const payloadSize = Math.max(16, this.maxKeys * 4);
+    const threadBlocks = Math.ceil(this.maxKeys / this.partSize);
+    const dataUsage = GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC;
+    return {
+      sortBuffer: { size: keySize, usage: dataUsage },
+      altBuffer: { size: keySize, usage: dataUsage },
+      // Keys-only sorts never touch a payload, so skip those allocations
+      ...(this.keysOnly ? {} : {
+        payloadBuffer: { size: payloadSize, usage: dataUsage },
+        altPayloadBuffer: { size: payloadSize, usage: dataUsage }
+      }),
+      bumpBuffer: {
+        size: (this.sortPasses + 1) * 4,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+      },
+      histBuffer: {
+        size: this.constants.RADIX * this.sortPasses * 4,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+      },
+      passHistBuffer: {
+        size: threadBlocks * this.constants.RADIX * this.sortPasses * 4,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+      },
+      statusBuffer: {
+        size: OneSweep.STATUS_LENGTH * 4,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
+      },
+      // Every pass's info, bound at a dynamic offset; the indirect setup kernel patches it in place
+      infoBuffer: {
+        size: this.infoStride * this.sortPasses,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST | GPUBufferUsage.STORAGE
+      }
+    };
   }
 
-  async sort(data) {
-    const numKeys = data.length;
-    const keys = new Uint32Array(data.map(d => d.key));
-    const values = new Uint32Array(data.map(d => d.value));
+  async runSort(keys, values, { outKeys, outValues, beginBit, endBit, order, indices = false, withKeys = true } = {}) {
+    const numKeys = keys.length / this.keyWords;
 
     // Ensure capacity for larger sorts - reallocate buffers if needed
     if (numKeys > this.maxKeys) {
       this.maxKeys = numKeys;
-      this.createBuffers(); // Rebuild passHistBuffer sized for new threadBlocks
+      this.createBuffers(); // Replaces every buffer, passHistBuffer sized for the new threadBlocks
     }
 
-    const threadBlocks = Math.ceil(numKeys / OneSweep.PART_SIZE);
-
     // Upload data
     this.device.queue.writeBuffer(this.sortBuffer, 0, keys);
-    this.device.queue.writeBuffer(this.payloadBuffer, 0, values);
-
-    // Clear buffers
-    const zeros = new Uint32Array(OneSweep.RADIX * OneSweep.SORT_PASSES).fill(0);
-    this.device.queue.writeBuffer(this.histBuffer, 0, zeros);
-    this.device.queue.writeBuffer(this.bumpBuffer, 0, new Uint32Array(OneSweep.SORT_PASSES + 1).fill(0));
-    this.device.queue.writeBuffer(
-      this.statusBuffer,
-      0,
-      new Uint32Array(OneSweep.STATUS_LENGTH).fill(0)
-    );
-    
-    // Initialize pass_hist position 0 for each pass with FLAG_INCLUSIVE (value 0)
-    const FLAG_INCLUSIVE = 2;
-    const passHistInit = new Uint32Array(threadBlocks * OneSweep.RADIX * OneSweep.SORT_PASSES).fill(0);
-    for (let pass = 0; pass < OneSweep.SORT_PASSES; pass++) {
-      const passOffset = pass * threadBlocks * OneSweep.RADIX;
-      for (let bin = 0; bin < OneSweep.RADIX; bin++) {
-        passHistInit[passOffset + bin] = FLAG_INCLUSIVE; // (0 << 2) | FLAG_INCLUSIVE = 2
-      }
+    if (values) {
+      this.device.queue.writeBuffer(this.payloadBuffer, 0, values);
     }
-    this.device.queue.writeBuffer(this.passHistBuffer, 0, passHistInit);
 
+    const timer = this.startTimer();
     const encoder = this.device.createCommandEncoder();
+    const result = this.encodePasses(encoder, {
+      keys: this.sortBuffer,
+      values: values || indices ? this.payloadBuffer : undefined,
+      count: numKeys,
+      timer,
+      beginBit,
+      endBit,
+      order,
+      indices
+    });
+
+    const timing = await this.submitTimed(encoder, timer);
+    if (!await this.checkSortStatus()) {
+      return this.runSort(keys, values, { outKeys, outValues, beginBit, endBit, order, indices, withKeys });
+    }
 
-    // Execute OneSweep passes
-    for (let pass = 0; pass < OneSweep.SORT_PASSES; pass++) {
-      const shift = pass * OneSweep.RADIX_LOG;
-      
-      // Update info buffer
-      const infoData = new Uint32Array([numKeys, shift, threadBlocks, 0]);
-      const infoOffset = pass * 16;
-      this.device.queue.writeBuffer(this.infoUploadBuffer, infoOffset, infoData);
-      
-      encoder.copyBufferToBuffer(
-        this.infoUploadBuffer,
-        infoOffset,
-        this.infoBuffer,
-        0,
-        16
-      );
-
-      // Create bind group
-      const bindGroup = this.device.createBindGroup({
-        layout: this.bindGroupLayout,
-        entries: [
-          { binding: 0, resource: { buffer: this.infoBuffer } },
-          { binding: 1, resource: { buffer: this.bumpBuffer } },
-          { binding: 2, resource: { buffer: pass % 2 === 0 ? this.sortBuffer : this.altBuffer } },
-          { binding: 3, resource: { buffer: pass % 2 === 0 ? this.altBuffer : this.sortBuffer } },
-          { binding: 4, resource: { buffer: pass % 2 === 0 ? this.payloadBuffer : this.altPayloadBuffer } },
-          { binding: 5, resource: { buffer: pass % 2 === 0 ? this.altPayloadBuffer : this.payloadBuffer } },
-          { binding: 6, resource: { buffer: this.histBuffer } },
-          { binding: 7, resource: { buffer: this.passHistBuffer } },
-          { binding: 8, resource: { buffer: this.statusBuffer } }
-        ]
+    // Download results
+    const resultKeys = withKeys
+      ? await this.downloadUint32(result.keys, keys.length, outKeys)
+      : undefined;
+    const resultValues = values || indices
+      ? await this.downloadUint32(result.values, numKeys, outValues)
+      : undefined;
+
+    return {
+      keys: resultKeys,
+      values: resultValues,
+      ...timing,
+      subgroupSize: this.subgroupSize,
+      shaderVariant: this.shaderVariantLabel
+    };
+  }
+
+  encodePasses(encoder, {
+    keys,
+    values,
+    count,
+    countBuffer,
+    countOffset = 0,
+    timer,
+    beginBit,
+    endBit,
+    order,
+    indices = false
+  }) {
+    const { RADIX, RADIX_LOG } = this.constants;
+    const threadBlocks = Math.ceil(count / this.partSize);
+    const keyBuffers = [keys, this.altBuffer];
+    const payloadBuffers = [values ?? this.payloadBuffer, this.altPayloadBuffer];
+    const bindGroups = this.cachedBindGroups('passes', [keys, values], () => [0, 1].map(source => this.device.createBindGroup({
+      layout: this.bindGroupLayout,
+      entries: this.filterPayloadBindings([
+        { binding: 0, resource: { buffer: this.infoBuffer, size: OneSweep.INFO_SIZE } },
+        { binding: 1, resource: { buffer: this.bumpBuffer } },
+        { binding: 2, resource: { buffer: keyBuffers[source] } },
+        { binding: 3, resource: { buffer: keyBuffers[1 - source] } },
+        { binding: 4, resource: { buffer: payloadBuffers[source] } },
+        { binding: 5, resource: { buffer: payloadBuffers[1 - source] } },
+        { binding: 6, resource: { buffer: this.histBuffer } },
+        { binding: 7, resource: { buffer: this.passHistBuffer } },
+        { binding: 8, resource: { buffer: this.statusBuffer } }
+      ])
+    })));
+
+    // Reset scratch on the GPU, in order with the passes below
+    encoder.clearBuffer(this.histBuffer);
+    encoder.clearBuffer(this.bumpBuffer);
+    encoder.clearBuffer(this.statusBuffer);
+
+    let indirectArgs;
+    if (countBuffer) {
+      // The plane stride depends on the GPU-side count, so the setup kernel
+      // seeds pass_hist after a full clear and patches the staged pass infos
+      encoder.clearBuffer(this.passHistBuffer);
+      indirectArgs = this.encodeIndirectSetup(encoder, {
+        countBuffer,
+        countOffset,
+        maxCount: count,
+        infoBuffer: this.infoBuffer,
+        passHistBuffer: this.passHistBuffer,
+        timer
       });
+    } else {
+      // Clear the planes this sort uses, then seed each plane's first block
+      // with FLAG_INCLUSIVE (an inclusive prefix of 0)
+      encoder.clearBuffer(this.passHistBuffer, 0, threadBlocks * RADIX * this.sortPasses * 4);
+      this.encodePassHistSeeds(encoder, { count, passHistBuffer: this.passHistBuffer, timer });
+    }
+
+    // Stage every pass's info in one write; each pass binds its own at a dynamic offset
+    const { firstPass, passCount } = this.passRange(RADIX_LOG, { beginBit, endBit });
+    const lastPass = firstPass + passCount - 1;
+    const infoData = this.passUniformStaging(this.sortPasses, this.infoStride);
+    for (let pass = firstPass; pass <= lastPass; pass++) {
+      const shift = pass * RADIX_LOG;
+      // 64-bit keys rank the lo word (index 1 of each pair) for the first four passes
+      const keyWord = shift < 32 ? this.keyWords - 1 : 0;
+      const keyFlags = this.keyPassFlags(pass - firstPass, passCount, order, indices);
+      infoData.set([count, shift & 31, threadBlocks, keyFlags, pass, keyWord], pass * this.infoStride / 4);
+    }
+    this.device.queue.writeBuffer(this.infoBuffer, 0, infoData);
 
-      // Global histogram
-      if (pass === 0) {
-        const globalHistPassDesc = this.timingSupported ? {
-          timestampWrites: {
-            querySet: this.querySet,
-            beginningOfPassWriteIndex: 0
-          }
-        } : {};
-        const globalHistPass = encoder.beginComputePass(globalHistPassDesc);
+    // Execute OneSweep passes. Skipped passes leave their histogram planes
+    // unused; the ping-pong index counts executed passes only.
+    for (let pass = firstPass; pass <= lastPass; pass++) {
+      const bindGroup = bindGroups[(pass - firstPass) % 2];
+      const infoOffset = [pass * this.infoStride];
+
+      // Global histogram, built for every digit plane before the first pass
+      if (pass === firstPass) {
+        const globalHistPass = encoder.beginComputePass(this.passDescriptor(timer, 'global_hist'));
         globalHistPass.setPipeline(this.pipelines.globalHist);
-        globalHistPass.setBindGroup(0, bindGroup);
-        const globalHistThreadBlocks = Math.ceil(numKeys / OneSweep.REDUCE_PART_SIZE);
-        globalHistPass.dispatchWorkgroups(globalHistThreadBlocks);
+        globalHistPass.setBindGroup(0, bindGroup, infoOffset);
+        const globalHistThreadBlocks = Math.ceil(count / this.reducePartSize);
+        this.dispatchPass(globalHistPass, globalHistThreadBlocks, indirectArgs, 12);
         globalHistPass.end();
       }
 
       // Scan
-      const scanPass = encoder.beginComputePass();
+      const scanPass = encoder.beginComputePass(this.passDescriptor(timer, 'onesweep_scan', pass));
       scanPass.setPipeline(this.pipelines.scan);
-      scanPass.setBindGroup(0, bindGroup);
+      scanPass.setBindGroup(0, bindGroup, infoOffset);
       scanPass.dispatchWorkgroups(1);
       scanPass.end();
 
       // OneSweep pass
-      const sweepPassDesc = this.timingSupported && pass === OneSweep.SORT_PASSES - 1 ? {
-        timestampWrites: {
-          querySet: this.querySet,
-          endOfPassWriteIndex: 1
-        }
-      } : {};
-      const sweepPass = encoder.beginComputePass(sweepPassDesc);
+      const sweepPass = encoder.beginComputePass(this.passDescriptor(timer, 'onesweep_pass', pass));
       sweepPass.setPipeline(this.pipelines.pass);
-      sweepPass.setBindGroup(0, bindGroup);
-      sweepPass.dispatchWorkgroups(threadBlocks);
+      sweepPass.setBindGroup(0, bindGroup, infoOffset);
+      this.dispatchPass(sweepPass, threadBlocks, indirectArgs, 0);
       sweepPass.end();
     }
 
-    if (this.timingSupported) {
-      encoder.resolveQuerySet(this.querySet, 0, 2, this.queryBuffer, 0);
-      encoder.copyBufferToBuffer(this.queryBuffer, 0, this.readBuffer, 0, 16);
-    }
-
-    this.device.queue.submit([encoder.finish()]);
-    await this.device.queue.onSubmittedWorkDone();
+    // The final pass writes into the buffer it did not read from
+    const finalIndex = passCount % 2;
+    return { keys: keyBuffers[finalIndex], values: values && payloadBuffers[finalIndex] };
+  }
 
-    // Read timing
-    let gpuTime = 0;
-    if (this.timingSupported) {
-      await this.readBuffer.mapAsync(GPUMapMode.READ);
-      const times = new BigUint64Array(this.readBuffer.getMappedRange());
-      gpuTime = Number(times[1] - times[0]) / 1000000; // Convert to milliseconds
-      this.readBuffer.unmap();
-    }
+  indirectSetupParams() {
+    return {
+      partSize: this.partSize,
+      reducePartSize: this.reducePartSize,
+      seedPlanes: this.sortPasses,
+      radix: this.constants.RADIX,
+      infoStride: this.infoStride
+    };
+  }
 
+  async checkStatus() {
     // Check for errors
     const statusData = await this.downloadBuffer(
       this.statusBuffer,
@@ -322,132 +356,94 @@ export class OneSweep {
       const errorStage = errorCode === 0xDEAD0001 ? errorNames[0] :
                          errorCode === 0xDEAD0002 ? errorNames[1] :
                          errorCode === 0xDEAD0004 ? errorNames[2] : 'unknown';
-      throw new Error(`OneSweep shader error in ${errorStage}: 0x${errorCode.toString(16)}`);
+      const laneCount = statusArray[OneSweep.STATUS_LANE_COUNT];
+      const error = new Error(`OneSweep shader error in ${errorStage}: 0x${errorCode.toString(16)}${laneCount ? ` (${laneCount} lanes)` : ''}`);
+      error.laneCount = laneCount || undefined;
+      throw error;
     }
 
-    // Download results (from the final buffer)
-  const finalBuffer = OneSweep.SORT_PASSES % 2 === 0 ? this.sortBuffer : this.altBuffer;
-  const finalPayloadBuffer = OneSweep.SORT_PASSES % 2 === 0 ? this.payloadBuffer : this.altPayloadBuffer;
-    
-    const resultKeys = await this.downloadBuffer(finalBuffer, numKeys * 4);
-    const resultValues = await this.downloadBuffer(finalPayloadBuffer, numKeys * 4);
-
-    const keysArray = new Uint32Array(resultKeys);
-    const valuesArray = new Uint32Array(resultValues);
-
-    const sorted = [];
-    for (let i = 0; i < numKeys; i++) {
-      sorted.push({ key: keysArray[i], value: valuesArray[i] });
-    }
-
-    return {
-      sorted,
-      gpuTime,
-      subgroupSize: this.subgroupSize,
-      shaderVariant: this.shaderVariantLabel
-    };
+    return {};
   }
 
-  selectShaderVariant(size) {
-    if (size >= 48) {
-      return { shaderSource: shader64, label: 'wave64' };
-    }
-    if (size >= 24) {
-      return { shaderSource: shader32, label: 'wave32' };
-    }
-    return { shaderSource: shader16, label: 'wave16' };
+  /**
+   * Switch to the wave8 build after a sort's status showed 8-lane dispatches
+   * the probe did not predict
+   */
+  async useWave8() {
+    this.shaderVariant = 'wave8';
+    await this.createPipelines();
+    this.createBuffers(['passHistBuffer']);
   }
 
-  async detectSubgroupSize() {
-    if (this.subgroupSize > 0) {
-      return this.subgroupSize;
-    }
-
-    const module = this.device.createShaderModule({
-      label: 'OneSweep Subgroup Probe',
-      code: subgroupProbeShader
-    });
-
-    const pipeline = this.device.createComputePipeline({
-      layout: 'auto',
-      compute: { module, entryPoint: 'main' }
-    });
-
-    const outputBuffer = this.device.createBuffer({
-      size: 4,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
-    });
-
-    const stagingBuffer = this.device.createBuffer({
-      size: 4,
-      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
-    });
-
-    const bindGroup = this.device.createBindGroup({
-      layout: pipeline.getBindGroupLayout(0),
-      entries: [{ binding: 0, resource: { buffer: outputBuffer } }]
-    });
-
-    const encoder = this.device.createCommandEncoder();
-    const pass = encoder.beginComputePass();
-    pass.setPipeline(pipeline);
-    pass.setBindGroup(0, bindGroup);
-    pass.dispatchWorkgroups(1);
-    pass.end();
-    encoder.copyBufferToBuffer(outputBuffer, 0, stagingBuffer, 0, 4);
-    this.device.queue.submit([encoder.finish()]);
-
-    await this.device.queue.onSubmittedWorkDone();
-
+  /**
+   * Read back a submitted sort's status, moving to the wave8 build when it failed on 8-lane dispatches
+   * As for DeviceRadixSort, every sorting entry point then sorts again.
+   * @returns {Promise<Object|null>} checkStatus()'s diagnostics, or null after switching builds
+   */
+  async checkSortStatus() {
     try {
-      await stagingBuffer.mapAsync(GPUMapMode.READ);
-      const detected = new Uint32Array(stagingBuffer.getMappedRange())[0];
-      stagingBuffer.unmap();
-      this.subgroupSize = detected !== 0 ? detected : 0;
-    } finally {
-      stagingBuffer.destroy();
-      outputBuffer.destroy();
-    }
-
-    if (this.subgroupSize === 0) {
-      // Default to wave16 when hardware failed to report a subgroup size.
-      this.subgroupSize = 16;
+      return await this.checkStatus();
+    } catch (error) {
+      if (this.shaderVariant === 'wave8' || !(error.laneCount <= 8)) {
+        throw error;
+      }
+      console.info('OneSweep: 8-lane dispatches detected, switching to the wave8 shader variant.');
+      await this.useWave8();
+      return null;
     }
-
-    return this.subgroupSize;
   }
 
-  async downloadBuffer(buffer, size) {
-    const staging = this.device.createBuffer({
-      size,
-      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
-    });
-
-    const encoder = this.device.createCommandEncoder();
-    encoder.copyBufferToBuffer(buffer, 0, staging, 0, size);
-    this.device.queue.submit([encoder.finish()]);
-
-    await staging.mapAsync(GPUMapMode.READ);
-    const result = staging.getMappedRange().slice(0);
-    staging.unmap();
-    staging.destroy();
-
-    return result;
+  /**
+   * Pick the template parameters for a probed subgroup size
+   * @param {number} size - Subgroup size reported by the probe
+   * @returns {{label: string, params: Object<string, number>}} Variant label and template parameters
+   */
+  selectShaderVariant(size) {
+    const { label, params } = OneSweep.VARIANTS.find(({ minLanes }) => size >= minLanes);
+    return { label, params };
   }
+}
 
-  destroy() {
-    this.sortBuffer?.destroy();
-    this.altBuffer?.destroy();
-    this.payloadBuffer?.destroy();
-    this.altPayloadBuffer?.destroy();
-    this.bumpBuffer?.destroy();
-    this.histBuffer?.destroy();
-    this.passHistBuffer?.destroy();
-    this.statusBuffer?.destroy();
-    this.infoBuffer?.destroy();
-    this.infoUploadBuffer?.destroy();
-    this.querySet?.destroy();
-    this.queryBuffer?.destroy();
-    this.readBuffer?.destroy();
-  }
+function describeVariant({ subgroupSize, shaderVariant }) {
+  return {
+    inline: subgroupSize
+      ? [{
+          label: 'Detected subgroup',
+          value: `${formatNumber(subgroupSize)} lanes${shaderVariant ? ` (${shaderVariant})` : ''}`
+        }]
+      : []
+  };
 }
+
+registerSorter({
+  id: 'onesweep',
+  name: 'OneSweep',
+  shortName: 'OneSweep',
+  color: '#fb923c',
+  capabilities: {
+    keyBits: 64,
+    digitBits: OneSweep.RADIX_LOG,
+    indirect: true,
+    shaderParams: ONESWEEP_PARAM_NAMES
+  },
+  create: (device, maxKeys, options) => new OneSweep(device, maxKeys, options),
+  tuning: device => OneSweep.tuningFor(device),
+  describeResult: describeVariant
+});
+
+registerSorter({
+  id: 'onesweep-keys',
+  name: 'OneSweep (keys only)',
+  shortName: 'OneSweep keys-only',
+  color: '#fbbf24',
+  capabilities: {
+    payload: false,
+    keyBits: 64,
+    digitBits: OneSweep.RADIX_LOG,
+    indirect: true,
+    shaderParams: ONESWEEP_PARAM_NAMES
+  },
+  create: (device, maxKeys, options) => new OneSweep(device, maxKeys, { ...options, keysOnly: true }),
+  tuning: device => OneSweep.tuningFor(device),
+  describeResult: describeVariant
+});
@@ -0,0 +1,137 @@
+/**
+ * Kernel autotuner
+ * Benchmarks every combination in a sorter's tuning grid over a few key
+ * counts, checks each result, and stores the fastest valid parameters for the
+ * adapter (see tuning.js) so later init() calls pick them up.
+ */
+
+import { getSorter } from './registry.js';
+import { adapterTuningKey, saveTuning } from './tuning.js';
+import { sortTime } from './benchmark.js';
+import { generateTestArrays, validateSort } from '../utils.js';
+
+export const AUTOTUNE_SORTERS = ['onesweep', 'deviceradix'];
+export const AUTOTUNE_SIZES = [1 << 16, 1 << 20, 1 << 22];
+
+/**
+ * Expand a grid of parameter lists into every combination
+ * @param {Object<string, number[]>} grid - Candidate values per parameter
+ * @returns {Object<string, number>[]} One parameter object per combination
+ */
+export function expandGrid(grid) {
+  return Object.entries(grid).reduce(
+    (combinations, [name, values]) => combinations.flatMap(params => values.map(value => ({ ...params, [name]: value }))),
+    [{}]
+  );
+}
+
+/**
+ * Check a u32 key/index sort: keys in order, and every index used once and
+ * pointing at the key it came with
+ */
+function checkPermutation(keys, sortedKeys, sortedValues) {
+  const seen = new Uint8Array(keys.length);
+  for (let i = 0; i < sortedValues.length; i++) {
+    const index = sortedValues[i];
+    if (index >= keys.length || seen[index] || keys[index] !== sortedKeys[i]) {
+      return false;
+    }
+    seen[index] = 1;
+  }
+  return validateSort(sortedKeys).isSorted;
+}
+
+/**
+ * Time one configuration: fastest of `trials` sorts per size after a warmup
+ * @returns {Promise<{nsPerKey: number, label: string}|{error: string}>} Mean time per key over the sizes and the
+ *   variant label, or why the configuration was rejected
+ */
+async function benchmarkConfig(device, entry, params, datasets, { trials, adapterInfo }) {
+  const maxSize = Math.max(...datasets.map(({ keys }) => keys.length));
+  let sorter;
+  let outcome;
+  device.pushErrorScope('validation');
+  try {
+    sorter = entry.create(device, maxSize, { shaderParams: params, adapterInfo });
+    await sorter.init();
+    outcome = { nsPerKey: 0, label: sorter.shaderVariantLabel };
+
+    for (const { keys, values } of datasets) {
+      let best = Infinity;
+      for (let trial = 0; trial <= trials; trial++) {
+        const result = await sorter.sortTypedArrays(keys, values);
+        const { time } = sortTime(result);
+        // Trial 0 warms up pipelines and buffers; only its output is checked
+        if (trial === 0) {
+          if (!checkPermutation(keys, result.keys, result.values)) {
+            throw new Error(`wrong result at ${keys.length} keys`);
+          }
+        } else {
+          best = Math.min(best, time);
+        }
+      }
+      outcome.nsPerKey += best * 1e6 / keys.length / datasets.length;
+    }
+  } catch (error) {
+    outcome = { error: error.message };
+  }
+
+  const validation = await device.popErrorScope();
+  sorter?.destroy();
+  return validation ? { error: validation.message } : outcome;
+}
+
+/**
+ * Find and store the fastest template parameters of each sorter on this adapter
+ * Each configuration is built with tuning disabled, so stored results never
+ * feed back into the measurement. Rejected configurations (too much workgroup
+ * storage, shader errors, wrong output) are reported but never stored.
+ * @param {GPUDevice} device - Device to tune on
+ * @param {{sorters?: string[], sizes?: number[], trials?: number, seed?: number, adapterInfo?: GPUAdapterInfo,
+ *   onProgress?: function({sorter: string, params: Object<string, number>, index: number, total: number}): void}}
+ *   [options] - Registry ids to tune, key counts, timed sorts per size, data seed, the adapter the tuning is stored
+ *   for (default device.adapterInfo) and a callback before each configuration
+ * @returns {Promise<{adapterKey: string|null, sorters: Object<string, {best: Object|null, results: Object[]}>}>}
+ *   Every configuration's outcome per sorter and the stored winner; nothing is stored when adapterKey is null
+ */
+export async function autotune(device, {
+  sorters = AUTOTUNE_SORTERS,
+  sizes = AUTOTUNE_SIZES,
+  trials = 3,
+  seed = 1,
+  adapterInfo = device.adapterInfo,
+  onProgress = () => {}
+} = {}) {
+  const datasets = sizes.map(size => generateTestArrays(size, seed));
+  const report = { adapterKey: adapterTuningKey(adapterInfo), sorters: {} };
+
+  for (const id of sorters) {
+    const entry = getSorter(id);
+    const tuning = entry.tuning?.(device);
+    if (!tuning) {
+      throw new Error(`${entry.name} has no tuning grid on this device`);
+    }
+
+    const grid = expandGrid(tuning.grid);
+    const results = [];
+    for (const [index, params] of grid.entries()) {
+      onProgress({ sorter: id, params, index, total: grid.length });
+      results.push({ params, ...await benchmarkConfig(device, entry, params, datasets, { trials, adapterInfo }) });
+    }
+
+    const best = results
+      .filter(result => result.nsPerKey !== undefined)
+      .reduce((fastest, result) => (!fastest || result.nsPerKey < fastest.nsPerKey ? result : fastest), null);
+    if (best) {
+      saveTuning(adapterInfo, tuning.id, {
+        params: best.params,
+        nsPerKey: best.nsPerKey,
+        sizes,
+        tunedAt: new Date().toISOString()
+      });
+    }
+    report.sorters[id] = { best, results };
+  }
+
+  return report;
+}
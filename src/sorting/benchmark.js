@@ -0,0 +1,111 @@
+/**
+ * Statistical benchmarking
+ * Sorts the same input a few untimed times to warm pipelines, buffers and
+ * clocks, then times repeated trials and summarizes them. Results whose spread
+ * is wide relative to their mean are flagged: a single fast or slow trial
+ * should not decide which sorter is fastest.
+ */
+
+export const DEFAULT_WARMUP = 3;
+export const DEFAULT_TRIALS = 10;
+// Coefficient of variation (stddev / mean) above which a result is flagged
+export const HIGH_VARIANCE_CV = 0.1;
+// Runs behind a single wall-clock measurement, which is too noisy on its own
+export const WALL_CLOCK_WARMUP = 1;
+export const WALL_CLOCK_TRIALS = 5;
+
+/**
+ * The time a sort result is compared by, and where it came from
+ * @param {{gpuTime?: number|null, wallTime?: number, timingSource?: string, cpuTime?: number}} result - Result of
+ *   sortTypedArrays, argsort or sortRecords
+ * @returns {{time: number, source: string}} Milliseconds and their source: 'timestamp' (GPU timestamp queries),
+ *   'wall-clock' (submit to completion, for devices without timestamp-query) or 'cpu' (CPU sorters)
+ */
+export function sortTime(result) {
+  if (result.timingSource === 'wall-clock') {
+    return { time: result.wallTime, source: 'wall-clock' };
+  }
+  if (result.gpuTime !== undefined && result.gpuTime !== null) {
+    return { time: result.gpuTime, source: 'timestamp' };
+  }
+  return { time: result.cpuTime, source: 'cpu' };
+}
+
+/**
+ * Summarize trial times
+ * @param {number[]} times - One time per trial, in milliseconds
+ * @param {{maxCv?: number}} [options] - Coefficient of variation above which the times are flagged
+ * @returns {{trials: number, min: number, median: number, mean: number, p95: number, stddev: number, cv: number,
+ *   highVariance: boolean}} Order statistics, mean, sample standard deviation and its ratio to the mean; fewer than
+ *   two trials are never flagged
+ */
+export function summarizeTimes(times, { maxCv = HIGH_VARIANCE_CV } = {}) {
+  if (times.length === 0) {
+    throw new Error('summarizeTimes: no trial times');
+  }
+  const sorted = [...times].sort((a, b) => a - b);
+  const count = sorted.length;
+  const mean = sorted.reduce((sum, time) => sum + time, 0) / count;
+  const variance = count > 1
+    ? sorted.reduce((sum, time) => sum + (time - mean) ** 2, 0) / (count - 1)
+    : 0;
+  const stddev = Math.sqrt(variance);
+  const cv = mean > 0 ? stddev / mean : 0;
+  const middle = count >> 1;
+
+  return {
+    trials: count,
+    min: sorted[0],
+    median: count % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+    mean,
+    // Nearest rank
+    p95: sorted[Math.ceil(0.95 * count) - 1],
+    stddev,
+    cv,
+    highVariance: count > 1 && cv > maxCv
+  };
+}
+
+/**
+ * Time repeated sorts of one input
+ * Every run sorts the same keys; warmup runs are discarded. A run's time is
+ * chosen by sortTime.
+ * @param {{sortTypedArrays: Function}} sorter - Initialized sorter
+ * @param {ArrayBufferView} keys - Keys of the sorter's key type
+ * @param {Uint32Array} [values] - Optional payload
+ * @param {{warmup?: number, trials?: number, order?: string, maxCv?: number,
+ *   onRun?: function({run: number, total: number, warmup: boolean}): void}} [options] - Untimed and timed run
+ *   counts, sort order, variance threshold (see summarizeTimes) and a callback before each run
+ * @returns {Promise<{result: Object, times: number[], stats: Object, source: string}>} The last run's sortTypedArrays
+ *   result, the timed runs' times, their summary and their source (see sortTime)
+ */
+export async function benchmarkSort(sorter, keys, values, {
+  warmup = DEFAULT_WARMUP,
+  trials = DEFAULT_TRIALS,
+  order,
+  maxCv,
+  onRun = () => {}
+} = {}) {
+  if (!Number.isInteger(warmup) || warmup < 0) {
+    throw new Error(`benchmarkSort: warmup must be a non-negative integer, got ${warmup}`);
+  }
+  if (!Number.isInteger(trials) || trials < 1) {
+    throw new Error(`benchmarkSort: trials must be a positive integer, got ${trials}`);
+  }
+
+  const total = warmup + trials;
+  const times = [];
+  let result;
+  let source;
+  for (let run = 0; run < total; run++) {
+    onRun({ run, total, warmup: run < warmup });
+    result = await sorter.sortTypedArrays(keys, values, { order });
+    if (run >= warmup) {
+      const measured = sortTime(result);
+      times.push(measured.time);
+      source = measured.source;
+    }
+  }
+
+  return { result, times, stats: summarizeTimes(times, { maxCv }), source };
+}
@@ -0,0 +1,140 @@
+/**
+ * DeviceRadixSort shader variants
+ * DeviceRadixSort.wgsl takes its block shape from a parameter object: the
+ * subgroup size the subgroup histograms are sized for, the block dim and the
+ * keys per thread. The constants derived from it are both written into the
+ * shader and used by the host, as for OneSweep (see oneSweepVariants.js).
+ * DeviceRadixSortPortable.wgsl, for adapters without subgroups, is
+ * specialized the same way.
+ */
+
+import template from '../shaders/deviceradix/DeviceRadixSort.wgsl?raw';
+import portableTemplate from '../shaders/deviceradix/DeviceRadixSortPortable.wgsl?raw';
+
+export const DEVICE_RADIX_DEFAULT_PARAMS = Object.freeze({
+  subgroupSize: 16,
+  blockDim: 256,
+  keysPerThread: 15
+});
+
+// Every parameter a subgroup build takes; reduceBlockDim defaults to half the blockDim
+export const DEVICE_RADIX_PARAM_NAMES = Object.freeze([...Object.keys(DEVICE_RADIX_DEFAULT_PARAMS), 'reduceBlockDim']);
+
+// The portable build runs one thread per digit and has no subgroup size
+export const PORTABLE_DEFAULT_PARAMS = Object.freeze({
+  blockDim: 256,
+  keysPerThread: 8
+});
+
+const PARAMS_MARKER = '//DEVICE_RADIX_PARAMS';
+const RADIX = 256;
+const MAX_PORTABLE_PART_SIZE = 1 << 16; // Local indices are packed into 16 bits
+
+const isPowerOfTwo = n => Number.isInteger(n) && n > 0 && (n & (n - 1)) === 0;
+
+/**
+ * Derive and validate the constants of a DeviceRadixSort build
+ * reduce_hist and dvr_pass share info.thread_blocks, so the reduce partition
+ * always equals the pass partition; reduceBlockDim only sets how many threads
+ * share it. dvr_pass stages each partition through its subgroup histograms,
+ * so a partition may hold no more keys than they have words.
+ * @param {{subgroupSize?: number, blockDim?: number, keysPerThread?: number, reduceBlockDim?: number}} [params] -
+ *   Overrides of DEVICE_RADIX_DEFAULT_PARAMS; subgroupSize is the narrowest subgroup the build runs at
+ * @returns {Readonly<Object<string, number>>} Shader constants by WGSL name, plus the WORKGROUP_STORAGE bytes the
+ *   largest kernel needs
+ */
+export function deviceRadixConstants(params = {}) {
+  const { subgroupSize, blockDim, keysPerThread, reduceBlockDim = blockDim / 2 } = { ...DEVICE_RADIX_DEFAULT_PARAMS, ...params };
+  if (!isPowerOfTwo(subgroupSize) || subgroupSize > 64) {
+    throw new Error(`DeviceRadixSort: subgroupSize must be a power of two up to 64, got ${subgroupSize}`);
+  }
+  // Per-bin loops stride by BLOCK_DIM, so blocks may be narrower than RADIX but not wider
+  if (!isPowerOfTwo(blockDim) || blockDim < 2 * subgroupSize || blockDim > RADIX) {
+    throw new Error(`DeviceRadixSort: blockDim must be a power of two from 2 × subgroupSize to ${RADIX}, got ${blockDim}`);
+  }
+  if (!Number.isInteger(keysPerThread) || keysPerThread < 1) {
+    throw new Error(`DeviceRadixSort: keysPerThread must be a positive integer, got ${keysPerThread}`);
+  }
+  const partSize = blockDim * keysPerThread;
+  const warpHistWords = blockDim / subgroupSize * RADIX;
+  if (partSize > warpHistWords) {
+    throw new Error(
+      `DeviceRadixSort: a ${blockDim} × ${keysPerThread} key partition overflows the ${warpHistWords}-word subgroup histograms dvr_pass stages it through; keysPerThread must be at most ${RADIX / subgroupSize} at subgroupSize ${subgroupSize}`
+    );
+  }
+  if (!isPowerOfTwo(reduceBlockDim) || reduceBlockDim < subgroupSize || reduceBlockDim > RADIX || partSize % reduceBlockDim !== 0) {
+    throw new Error(
+      `DeviceRadixSort: reduceBlockDim must be a power of two from subgroupSize to ${RADIX} that divides the ${partSize}-key partition, got ${reduceBlockDim}`
+    );
+  }
+
+  const reduceKeysPerThread = partSize / reduceBlockDim;
+  const reduceWords = reduceBlockDim / subgroupSize * RADIX;
+  const passWords = (blockDim / subgroupSize + 1) * RADIX;
+
+  return Object.freeze({
+    BLOCK_DIM: blockDim,
+    MIN_SUBGROUP_SIZE: subgroupSize,
+    KEYS_PER_THREAD: keysPerThread,
+    PART_SIZE: partSize,
+    REDUCE_BLOCK_DIM: reduceBlockDim,
+    REDUCE_KEYS_PER_THREAD: reduceKeysPerThread,
+    REDUCE_PART_SIZE: reduceBlockDim * reduceKeysPerThread,
+    WORKGROUP_STORAGE: 4 * Math.max(reduceWords, passWords)
+  });
+}
+
+/**
+ * Produce the WGSL for a DeviceRadixSort build
+ * @param {{subgroupSize?: number, blockDim?: number, keysPerThread?: number, reduceBlockDim?: number}} [params] - Same overrides as
+ *   deviceRadixConstants
+ * @returns {string} Template with its parameter constants filled in
+ */
+export function specializeDeviceRadix(params = {}) {
+  return specialize(template, deviceRadixConstants(params));
+}
+
+/**
+ * Derive and validate the constants of the subgroup-free DeviceRadixSort build
+ * @param {{blockDim?: number, keysPerThread?: number}} [params] - Overrides of PORTABLE_DEFAULT_PARAMS; other
+ *   parameters (subgroupSize) do not apply and throw
+ * @returns {Readonly<Object<string, number>>} Shader constants by WGSL name, plus WORKGROUP_STORAGE bytes
+ */
+export function portableDeviceRadixConstants(params = {}) {
+  const { blockDim, keysPerThread, ...unsupported } = { ...PORTABLE_DEFAULT_PARAMS, ...params };
+  const unsupportedNames = Object.keys(unsupported);
+  if (unsupportedNames.length > 0) {
+    throw new Error(`DeviceRadixSort: the portable build takes no ${unsupportedNames.join(', ')} parameter`);
+  }
+  if (blockDim !== RADIX) {
+    throw new Error(`DeviceRadixSort: the portable build runs one thread per digit, so blockDim must be ${RADIX}, got ${blockDim}`);
+  }
+  if (!Number.isInteger(keysPerThread) || keysPerThread < 1 || blockDim * keysPerThread > MAX_PORTABLE_PART_SIZE) {
+    throw new Error(`DeviceRadixSort: keysPerThread must be a positive integer up to ${MAX_PORTABLE_PART_SIZE / RADIX}, got ${keysPerThread}`);
+  }
+
+  const partSize = blockDim * keysPerThread;
+  return Object.freeze({
+    BLOCK_DIM: blockDim,
+    KEYS_PER_THREAD: keysPerThread,
+    PART_SIZE: partSize,
+    // Digit histogram, scan scratch and digit offsets, plus the ranked partition
+    WORKGROUP_STORAGE: 4 * (3 * RADIX + partSize)
+  });
+}
+
+/**
+ * Produce the WGSL for the subgroup-free DeviceRadixSort build
+ * @param {{blockDim?: number, keysPerThread?: number}} [params] - Same overrides as portableDeviceRadixConstants
+ * @returns {string} Portable template with its parameter constants filled in
+ */
+export function specializePortableDeviceRadix(params = {}) {
+  return specialize(portableTemplate, portableDeviceRadixConstants(params));
+}
+
+function specialize(source, constants) {
+  const declarations = Object.entries(constants)
+    .map(([name, value]) => `const ${name} = ${value}u;`)
+    .join('\n');
+  return source.replace(PARAMS_MARKER, declarations);
+}
@@ -0,0 +1,24 @@
+/**
+ * Sorter modules register themselves on import; import order is display order.
+ */
+
+import './JavaScriptSort.js';
+import './FidelityFXSort.js';
+import './DeviceRadixSort.js';
+import './OneSweep.js';
+
+export { registerSorter, getSorter, listSorters } from './registry.js';
+export { GpuSorter } from './GpuSorter.js';
+export { autotune, expandGrid, AUTOTUNE_SORTERS } from './autotune.js';
+export { clearTuning, loadTuning, saveTuning } from './tuning.js';
+export { MemoryBudget, DEFAULT_MEMORY_BUDGET } from './memoryBudget.js';
+export {
+  benchmarkSort,
+  summarizeTimes,
+  sortTime,
+  DEFAULT_WARMUP,
+  DEFAULT_TRIALS,
+  HIGH_VARIANCE_CV,
+  WALL_CLOCK_WARMUP,
+  WALL_CLOCK_TRIALS
+} from './benchmark.js';
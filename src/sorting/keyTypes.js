@@ -0,0 +1,175 @@
+/**
+ * Key types
+ * Keys travel through the sorters as 32-bit words. Each key type maps a word
+ * to "sort bits" whose unsigned order matches the type's numeric order; the
+ * GPU kernels apply the same map (src/shaders/utils/KeyTransform.wgsl) on the
+ * first pass's key load and undo it in the last scatter. f16 keys are binary16
+ * bit patterns held in a Uint16Array, widened to the low half of a word; u64
+ * keys are (hi, lo) word pairs in a Uint32Array twice the key count long.
+ */
+
+const SIGN_BIT = 0x80000000;
+const HALF_SIGN_BIT = 0x8000;
+
+export const KEY_TYPES = Object.freeze({
+  u32: Object.freeze({
+    ArrayType: Uint32Array,
+    words: 1,
+    toSortBits: word => word,
+    fromSortBits: bits => bits
+  }),
+  i32: Object.freeze({
+    ArrayType: Int32Array,
+    words: 1,
+    toSortBits: word => (word ^ SIGN_BIT) >>> 0,
+    fromSortBits: bits => (bits ^ SIGN_BIT) >>> 0
+  }),
+  f32: Object.freeze({
+    ArrayType: Float32Array,
+    words: 1,
+    toSortBits: word => (word ^ (word & SIGN_BIT ? 0xFFFFFFFF : SIGN_BIT)) >>> 0,
+    fromSortBits: bits => (bits ^ (bits & SIGN_BIT ? SIGN_BIT : 0xFFFFFFFF)) >>> 0
+  }),
+  f16: Object.freeze({
+    ArrayType: Uint16Array,
+    words: 1,
+    toSortBits: word => (word & 0xFFFF) ^ (word & HALF_SIGN_BIT ? 0xFFFF : HALF_SIGN_BIT),
+    fromSortBits: bits => bits ^ (bits & HALF_SIGN_BIT ? HALF_SIGN_BIT : 0xFFFF)
+  }),
+  u64: Object.freeze({
+    ArrayType: Uint32Array,
+    words: 2,
+    toSortBits: word => word,
+    fromSortBits: bits => bits
+  })
+});
+
+/**
+ * Look up a key type by name
+ * @param {string} keyType - 'u32', 'i32', 'f32', 'f16' or 'u64'
+ * @returns {{ArrayType: Function, words: number, toSortBits: Function, fromSortBits: Function}} Key type description
+ */
+export function getKeyType(keyType) {
+  const type = KEY_TYPES[keyType];
+  if (!type) {
+    throw new Error(`Unknown key type "${keyType}"; expected one of ${Object.keys(KEY_TYPES).join(', ')}`);
+  }
+  return type;
+}
+
+/**
+ * Shader defines selecting the key transform in KeyTransform.wgsl
+ * @param {string} keyType - Key type name
+ * @returns {Object<string, boolean>} KEY_* defines for preprocessShader()
+ */
+export function keyTypeDefines(keyType) {
+  getKeyType(keyType);
+  return {
+    KEY_U32: keyType === 'u32',
+    KEY_I32: keyType === 'i32',
+    KEY_F32: keyType === 'f32',
+    KEY_F16: keyType === 'f16',
+    KEY_U64: keyType === 'u64'
+  };
+}
+
+/**
+ * View (or, for 16-bit keys, widen) a key array as the 32-bit words the sorters consume
+ * @param {Uint32Array|Int32Array|Float32Array|Uint16Array} keys - Keys of any supported array type
+ * @returns {Uint32Array} Key words
+ */
+export function toKeyWords(keys) {
+  if (keys instanceof Uint32Array) {
+    return keys;
+  }
+  if (keys.BYTES_PER_ELEMENT === 4) {
+    return new Uint32Array(keys.buffer, keys.byteOffset, keys.length);
+  }
+  return Uint32Array.from(keys);
+}
+
+/**
+ * Present key words in the array type the caller passed in
+ * @param {Uint32Array} words - Sorted key words
+ * @param {Function} ArrayType - Constructor of the caller's key array
+ * @param {ArrayBufferView} [target] - Caller-supplied output; 32-bit targets already hold the words
+ * @returns {ArrayBufferView} Keys in the caller's array type
+ */
+export function fromKeyWords(words, ArrayType, target) {
+  if (ArrayType.BYTES_PER_ELEMENT === 4) {
+    return target ?? (ArrayType === Uint32Array ? words : new ArrayType(words.buffer, words.byteOffset, words.length));
+  }
+  const keys = target ?? new ArrayType(words.length);
+  keys.set(words);
+  return keys;
+}
+
+const f32Scratch = new Float32Array(1);
+const f32ScratchWord = new Uint32Array(f32Scratch.buffer);
+
+/**
+ * Store a key given as a JS value into a key array
+ * @param {ArrayBufferView} keys - Key array of the key type
+ * @param {number} index - Key index
+ * @param {number|bigint} key - Numeric key; u64 keys are BigInts
+ * @param {string} keyType - Key type name
+ */
+export function setKey(keys, index, key, keyType) {
+  if (keyType === 'u64') {
+    const value = BigInt.asUintN(64, BigInt(key));
+    keys[2 * index] = Number(value >> 32n);
+    keys[2 * index + 1] = Number(value & 0xFFFFFFFFn);
+  } else {
+    keys[index] = key;
+  }
+}
+
+/**
+ * Read a key from a key array as a JS value
+ * @param {ArrayBufferView} keys - Key array of the key type
+ * @param {number} index - Key index
+ * @param {string} keyType - Key type name
+ * @returns {number|bigint} Key; u64 keys are BigInts
+ */
+export function getKey(keys, index, keyType) {
+  if (keyType === 'u64') {
+    return (BigInt(keys[2 * index]) << 32n) | BigInt(keys[2 * index + 1]);
+  }
+  return keys[index];
+}
+
+/**
+ * Convert a key given as a JS number to its 32-bit word
+ * @param {number} key - Numeric key (f16 keys are binary16 bit patterns)
+ * @param {string} keyType - Key type name
+ * @returns {number} Key word
+ */
+export function keyToWord(key, keyType) {
+  if (keyType === 'f32') {
+    f32Scratch[0] = key;
+    return f32ScratchWord[0];
+  }
+  return keyType === 'f16' ? key & 0xFFFF : key >>> 0;
+}
+
+/**
+ * Key count and an accessor for the sort bits of the key at an index
+ * Uint32Array inputs are taken as raw key words, other typed arrays as keys of
+ * the given type, and anything else as {key, value} pairs. u64 sort bits are
+ * BigInts so they compare as whole 64-bit values.
+ * @param {Array|ArrayBufferView} data - Keys or pairs
+ * @param {string} keyType - Key type name
+ * @returns {{count: number, bitsAt: (index: number) => number|bigint}} Key count and sort-bits accessor
+ */
+export function sortBitsAccessor(data, keyType) {
+  const { toSortBits, words: keyWords } = getKeyType(keyType);
+  if (ArrayBuffer.isView(data)) {
+    const words = toKeyWords(data);
+    return keyWords === 2
+      ? { count: words.length / 2, bitsAt: i => getKey(words, i, keyType) }
+      : { count: words.length, bitsAt: i => toSortBits(words[i]) };
+  }
+  return keyWords === 2
+    ? { count: data.length, bitsAt: i => BigInt.asUintN(64, BigInt(data[i].key)) }
+    : { count: data.length, bitsAt: i => toSortBits(keyToWord(data[i].key, keyType)) };
+}
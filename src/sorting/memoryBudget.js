@@ -0,0 +1,112 @@
+/**
+ * GPU memory budget
+ * Tracks the buffers of resident sorters (see GpuSorter.memoryFootprint)
+ * against a byte limit. Admitting a sorter that would go over releases the
+ * buffers of the least recently admitted others; a sorter that cannot fit on
+ * its own, or that needs a buffer the device cannot create or bind, is refused
+ * before anything is allocated.
+ */
+
+import { formatBytes } from '../utils.js';
+
+export const DEFAULT_MEMORY_BUDGET = 512 * 1024 * 1024;
+
+export class MemoryBudget {
+  /**
+   * @param {GPUDevice} device - Device whose maxBufferSize and maxStorageBufferBindingSize bound single buffers
+   * @param {{limit?: number}} [options] - Bytes all resident sorters may hold together
+   */
+  constructor(device, { limit = DEFAULT_MEMORY_BUDGET } = {}) {
+    this.device = device;
+    this.residents = new Map(); // id -> {sorter, bytes}, least recently admitted first
+    this.setLimit(limit);
+  }
+
+  /**
+   * Bytes held by the resident sorters
+   * @returns {number} Sum of their footprints
+   */
+  get used() {
+    let bytes = 0;
+    for (const resident of this.residents.values()) {
+      bytes += resident.bytes;
+    }
+    return bytes;
+  }
+
+  /**
+   * Change the limit, evicting sorters until the residents fit under it
+   * @param {number} limit - New budget in bytes
+   */
+  setLimit(limit) {
+    if (!Number.isFinite(limit) || limit <= 0) {
+      throw new Error(`MemoryBudget: limit must be a positive number of bytes, got ${limit}`);
+    }
+    this.limit = limit;
+    this.evictUntil(limit);
+  }
+
+  /**
+   * Make room for a sorter before it runs, and mark it most recently used
+   * Call again whenever the sorter is reused; its footprint is measured anew,
+   * so a sorter that grew is charged for its new size.
+   * @param {string} id - Key the sorter is tracked under, e.g. its registry id
+   * @param {{memoryFootprint: Function, releaseBuffers: Function}} sorter - Sorter to admit
+   * @returns {{buffers: Array<{name: string, bytes: number, usage: number, allocated: boolean}>, total: number}} The
+   *   sorter's footprint
+   */
+  admit(id, sorter) {
+    const footprint = sorter.memoryFootprint();
+    const { maxBufferSize, maxStorageBufferBindingSize } = this.device.limits;
+    for (const { name, bytes, usage } of footprint.buffers) {
+      if (bytes > maxBufferSize) {
+        throw new Error(`${id}: ${name} needs ${formatBytes(bytes)}, over the device's maxBufferSize of ${formatBytes(maxBufferSize)}`);
+      }
+      if ((usage & GPUBufferUsage.STORAGE) && bytes > maxStorageBufferBindingSize) {
+        throw new Error(
+          `${id}: ${name} needs ${formatBytes(bytes)}, over the device's maxStorageBufferBindingSize of ${formatBytes(maxStorageBufferBindingSize)}`
+        );
+      }
+    }
+    if (footprint.total > this.limit) {
+      throw new Error(`${id}: needs ${formatBytes(footprint.total)}, over the ${formatBytes(this.limit)} GPU memory budget`);
+    }
+
+    this.residents.delete(id);
+    this.evictUntil(this.limit - footprint.total);
+    this.residents.set(id, { sorter, bytes: footprint.total });
+    return footprint;
+  }
+
+  /**
+   * Stop tracking a sorter without touching its buffers, e.g. before destroying it
+   * @param {string} id - Key the sorter was admitted under
+   */
+  release(id) {
+    this.residents.delete(id);
+  }
+
+  /**
+   * Resident sorters and their footprints, least recently admitted first
+   * @returns {Array<{id: string, bytes: number}>} One entry per resident sorter
+   */
+  entries() {
+    return [...this.residents].map(([id, { bytes }]) => ({ id, bytes }));
+  }
+
+  /**
+   * Release the buffers of the least recently admitted sorters until at most bytes remain in use
+   * Evicted sorters keep their pipelines and allocate again on their next sort.
+   * @param {number} bytes - Bytes the residents may keep
+   */
+  evictUntil(bytes) {
+    for (const [id, { sorter }] of this.residents) {
+      if (this.used <= bytes) {
+        return;
+      }
+      console.info(`MemoryBudget: releasing the buffers of ${id} to stay within ${formatBytes(this.limit)}.`);
+      sorter.releaseBuffers();
+      this.residents.delete(id);
+    }
+  }
+}
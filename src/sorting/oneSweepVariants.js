@@ -0,0 +1,94 @@
+/**
+ * OneSweep shader variants
+ * Every OneSweep build comes from one WGSL template
+ * (src/shaders/onesweep/OneSweep.wgsl). A parameter object picks the subgroup
+ * size, block dim, keys per thread and radix bits; the constants derived from
+ * it are both written into the shader and used by the host to size buffers
+ * and dispatches, so the two cannot disagree.
+ */
+
+import template from '../shaders/onesweep/OneSweep.wgsl?raw';
+
+export const ONESWEEP_DEFAULT_PARAMS = Object.freeze({
+  subgroupSize: 16,
+  blockDim: 256,
+  keysPerThread: 15,
+  radixBits: 8
+});
+
+// Every parameter a build takes; reduceBlockDim defaults to half the blockDim
+export const ONESWEEP_PARAM_NAMES = Object.freeze([...Object.keys(ONESWEEP_DEFAULT_PARAMS), 'reduceBlockDim']);
+
+const PARAMS_MARKER = '//ONESWEEP_PARAMS';
+
+const isPowerOfTwo = n => Number.isInteger(n) && n > 0 && (n & (n - 1)) === 0;
+
+/**
+ * Derive and validate the constants of a OneSweep build
+ * global_hist partitions line up with the pass partitions (both are bounded
+ * by info.thread_blocks); reduceBlockDim only sets how many threads share one.
+ * @param {{subgroupSize?: number, blockDim?: number, keysPerThread?: number, radixBits?: number,
+ *   reduceBlockDim?: number}} [params] - Overrides of ONESWEEP_DEFAULT_PARAMS; subgroupSize is the narrowest subgroup
+ *   the build runs at
+ * @returns {Readonly<Object<string, number>>} Shader constants by WGSL name, plus the WORKGROUP_STORAGE bytes the
+ *   largest kernel needs
+ */
+export function oneSweepConstants(params = {}) {
+  const { subgroupSize, blockDim, keysPerThread, radixBits, reduceBlockDim = blockDim / 2 } = { ...ONESWEEP_DEFAULT_PARAMS, ...params };
+  if (!isPowerOfTwo(subgroupSize) || subgroupSize > 64) {
+    throw new Error(`OneSweep: subgroupSize must be a power of two up to 64, got ${subgroupSize}`);
+  }
+  if (!isPowerOfTwo(blockDim) || blockDim < 2 * subgroupSize || blockDim > 1024) {
+    throw new Error(`OneSweep: blockDim must be a power of two from 2 × subgroupSize to 1024, got ${blockDim}`);
+  }
+  if (!Number.isInteger(keysPerThread) || keysPerThread < 1) {
+    throw new Error(`OneSweep: keysPerThread must be a positive integer, got ${keysPerThread}`);
+  }
+  // The scan kernel runs one thread per digit, so a digit needs at least one subgroup of bins
+  if (!Number.isInteger(radixBits) || 32 % radixBits !== 0 || radixBits > 8 || 2 ** radixBits < subgroupSize) {
+    throw new Error(`OneSweep: radixBits must divide 32, be at most 8 and give at least subgroupSize digits, got ${radixBits}`);
+  }
+  const partSize = blockDim * keysPerThread;
+  if (!isPowerOfTwo(reduceBlockDim) || reduceBlockDim < subgroupSize || reduceBlockDim > 1024 || partSize % reduceBlockDim !== 0) {
+    throw new Error(
+      `OneSweep: reduceBlockDim must be a power of two from subgroupSize to 1024 that divides the ${partSize}-key partition, got ${reduceBlockDim}`
+    );
+  }
+
+  const radix = 2 ** radixBits;
+  const sortPasses = 32 / radixBits;
+  const reduceKeysPerThread = partSize / reduceBlockDim;
+  const globalHistWords = reduceBlockDim / subgroupSize * radix * sortPasses;
+  const passWords = (blockDim / subgroupSize + 1) * radix + 1;
+
+  return Object.freeze({
+    SORT_PASSES: sortPasses, // Per 32-bit key word
+    BLOCK_DIM: blockDim,
+    MIN_SUBGROUP_SIZE: subgroupSize,
+    RADIX: radix,
+    RADIX_MASK: radix - 1,
+    RADIX_LOG: radixBits,
+    KEYS_PER_THREAD: keysPerThread,
+    PART_SIZE: partSize,
+    REDUCE_BLOCK_DIM: reduceBlockDim,
+    REDUCE_KEYS_PER_THREAD: reduceKeysPerThread,
+    REDUCE_PART_SIZE: reduceBlockDim * reduceKeysPerThread,
+    WORKGROUP_STORAGE: 4 * Math.max(globalHistWords, passWords)
+  });
+}
+
+/**
+ * Produce the WGSL for a OneSweep build
+ * The result still holds the KEYS_ONLY / KEY_* blocks that
+ * GpuSorter.sortShaderSource resolves.
+ * @param {{subgroupSize?: number, blockDim?: number, keysPerThread?: number, radixBits?: number,
+ *   reduceBlockDim?: number}} [params] - Same overrides as oneSweepConstants
+ * @returns {string} Template with its parameter constants filled in
+ */
+export function specializeOneSweep(params = {}) {
+  const constants = oneSweepConstants(params);
+  const declarations = Object.entries(constants)
+    .map(([name, value]) => `const ${name} = ${value}u;`)
+    .join('\n');
+  return template.replace(PARAMS_MARKER, declarations);
+}
@@ -0,0 +1,126 @@
+/**
+ * Per-pass GPU timestamps
+ * A PassTimer hands out one timestamp pair per compute pass recorded while it
+ * is active, remembers which kernel (and radix pass) each pair belongs to,
+ * and resolves them into a per-stage breakdown after the submission.
+ * Requires the timestamp-query feature.
+ */
+
+export class PassTimer {
+  // Enough for the longest sort: FidelityFX's 8 passes of 5 kernels, or a
+  // 64-bit DeviceRadixSort's 24 kernels plus record or segment passes
+  static MAX_PASSES = 64;
+
+  /**
+   * @param {GPUDevice} device - Device with the timestamp-query feature
+   * @param {string} label - Prefix of the query set and buffer labels
+   */
+  constructor(device, label) {
+    this.device = device;
+    this.querySet = device.createQuerySet({
+      label: `${label} timestamps`,
+      type: 'timestamp',
+      count: 2 * PassTimer.MAX_PASSES
+    });
+    this.resolveBuffer = device.createBuffer({
+      label: `${label} timer.resolveBuffer`,
+      size: 16 * PassTimer.MAX_PASSES,
+      usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC
+    });
+    this.readBuffer = device.createBuffer({
+      label: `${label} timer.readBuffer`,
+      size: 16 * PassTimer.MAX_PASSES,
+      usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
+    });
+    this.passes = [];
+  }
+
+  /**
+   * Forget the passes of the previous sort
+   * @returns {PassTimer} This timer, for chaining
+   */
+  reset() {
+    this.passes = [];
+    return this;
+  }
+
+  /**
+   * Build the descriptor of the next compute pass, with its own timestamp pair
+   * Passes past MAX_PASSES run untimed.
+   * @param {string} stage - Kernel name, e.g. 'scatter'
+   * @param {number} [pass] - Radix pass the kernel runs for
+   * @returns {GPUComputePassDescriptor} Pass descriptor
+   */
+  passDescriptor(stage, pass) {
+    const index = this.passes.length;
+    if (index >= PassTimer.MAX_PASSES) {
+      return { label: stage };
+    }
+    this.passes.push({ stage, pass });
+    return {
+      label: stage,
+      timestampWrites: {
+        querySet: this.querySet,
+        beginningOfPassWriteIndex: 2 * index,
+        endOfPassWriteIndex: 2 * index + 1
+      }
+    };
+  }
+
+  /**
+   * Record the copy of this sort's timestamps into the readback buffer
+   * @param {GPUCommandEncoder} encoder - Encoder holding the timed passes, after the last of them
+   */
+  encodeResolve(encoder) {
+    const count = 2 * this.passes.length;
+    if (count > 0) {
+      encoder.resolveQuerySet(this.querySet, 0, count, this.resolveBuffer, 0);
+      encoder.copyBufferToBuffer(this.resolveBuffer, 0, this.readBuffer, 0, count * 8);
+    }
+  }
+
+  /**
+   * Read the timestamps once the submission has completed
+   * @returns {Promise<{total: number, passes: Array<{stage: string, pass?: number, time: number}>,
+   *   stages: Array<{stage: string, time: number, count: number}>}|null>} Milliseconds from the first pass's start
+   *   to the last pass's end, each pass's own time, and the pass times summed per kernel in first-run order; null
+   *   when no pass was timed
+   */
+  async read() {
+    const count = 2 * this.passes.length;
+    if (count === 0) {
+      return null;
+    }
+
+    await this.readBuffer.mapAsync(GPUMapMode.READ, 0, count * 8);
+    const timestamps = new BigUint64Array(this.readBuffer.getMappedRange(0, count * 8)).slice();
+    this.readBuffer.unmap();
+
+    // Timestamps may be quantized or reordered by the driver; clamp instead of going negative
+    const elapsed = (begin, end) => Math.max(0, Number(end - begin)) / 1_000_000;
+    const passes = this.passes.map(({ stage, pass }, i) => ({
+      stage,
+      ...(pass === undefined ? {} : { pass }),
+      time: elapsed(timestamps[2 * i], timestamps[2 * i + 1])
+    }));
+    const stages = new Map();
+    for (const { stage, time } of passes) {
+      const total = stages.get(stage) ?? { stage, time: 0, count: 0 };
+      total.time += time;
+      total.count += 1;
+      stages.set(stage, total);
+    }
+
+    return {
+      total: elapsed(timestamps[0], timestamps[count - 1]),
+      passes,
+      stages: [...stages.values()]
+    };
+  }
+
+  destroy() {
+    this.querySet.destroy();
+    this.resolveBuffer.destroy();
+    this.readBuffer.destroy();
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * Sorter registry
+ * Each sorter module registers a descriptor here; the harness builds its
+ * mode selector, test loop and result rows from the registered entries.
+ */
+
+const sorters = new Map();
+
+/**
+ * @typedef {Object} SorterDescriptor
+ * @property {string} id - Stable key used for mode selection and result maps
+ * @property {string} name - Display name shown in result rows
+ * @property {string} shortName - Short label used in the mode selector
+ * @property {string} color - Result row accent color
+ * @property {boolean} [baseline] - Reference implementation that speedups are relative to
+ * @property {{gpu: boolean, timing: string, payload: boolean, keyBits: number, digitBits: number, indirect: boolean,
+ *   subgroups: boolean, shaderParams: string[]}} capabilities - subgroups: needs the adapter's subgroups feature;
+ *   shaderParams: template parameters the shaderParams create option can override
+ * @property {(device: GPUDevice, maxKeys: number, options?: {keyType?: string, shaderParams?: Object<string, number>}) => {init: Function, sort: Function, sortTypedArrays: Function}} create - Sorter factory
+ * @property {(result: Object) => {inline?: Array, collapsible?: Object}} [describeResult] - Sorter-specific result extras
+ * @property {(device: GPUDevice) => ({id: string, grid: Object<string, number[]>}|null)} [tuning] - Stored-tuning
+ *   id and autotuner grid of the build that runs on a device (the sorter class's tuningFor), null when that build
+ *   is not tunable; only for sorters the autotuner can tune
+ */
+
+/**
+ * Register a sorter with the harness
+ * @param {SorterDescriptor} descriptor - Sorter description
+ * @returns {SorterDescriptor} The frozen, registered descriptor
+ */
+export function registerSorter(descriptor) {
+  const { id } = descriptor;
+  if (!id) {
+    throw new Error('Sorter descriptor requires an id');
+  }
+  if (sorters.has(id)) {
+    throw new Error(`Sorter "${id}" is already registered`);
+  }
+  if (typeof descriptor.create !== 'function') {
+    throw new Error(`Sorter "${id}" requires a create(device, maxKeys, options) factory`);
+  }
+
+  const entry = Object.freeze({
+    name: id,
+    shortName: descriptor.name ?? id,
+    color: '#9ca3af',
+    baseline: false,
+    describeResult: () => ({}),
+    ...descriptor,
+    capabilities: Object.freeze({
+      gpu: true,
+      timing: 'gpu-timestamp',
+      payload: true,
+      keyBits: 32,
+      indirect: false,
+      subgroups: true,
+      shaderParams: [],
+      ...descriptor.capabilities
+    })
+  });
+
+  sorters.set(id, entry);
+  return entry;
+}
+
+/**
+ * Look up a registered sorter
+ * @param {string} id - Sorter id
+ * @returns {SorterDescriptor|undefined} Registered descriptor
+ */
+export function getSorter(id) {
+  return sorters.get(id);
+}
+
+/**
+ * List registered sorters in registration order
+ * @returns {SorterDescriptor[]} Registered descriptors
+ */
+export function listSorters() {
+  return [...sorters.values()];
+}
@@ -0,0 +1,82 @@
+/**
+ * Stored kernel tunings
+ * The autotuner (autotune.js) persists the fastest template parameters per
+ * adapter in localStorage; GpuSorter.init() loads them for sorters that have
+ * a TUNING_ID. Without localStorage (workers, Node) nothing is stored.
+ */
+
+export const TUNING_STORAGE_KEY = 'webgpu-sorting.tuning';
+
+/**
+ * Identify an adapter for tuning purposes
+ * GPUAdapterInfo has no driver field; description carries the driver string
+ * where the browser exposes one.
+ * @param {GPUAdapterInfo|null|undefined} adapterInfo - Adapter info, e.g. device.adapterInfo
+ * @returns {string|null} Key of the form "vendor / architecture / description", or null without info
+ */
+export function adapterTuningKey(adapterInfo) {
+  if (!adapterInfo) {
+    return null;
+  }
+  const { vendor = '', architecture = '', description = '' } = adapterInfo;
+  return [vendor, architecture, description || adapterInfo.device || ''].join(' / ');
+}
+
+function readStore() {
+  try {
+    return JSON.parse(globalThis.localStorage?.getItem(TUNING_STORAGE_KEY) ?? '{}');
+  } catch (error) {
+    console.warn('Ignoring unreadable stored tuning', error);
+    return {};
+  }
+}
+
+function writeStore(store) {
+  try {
+    globalThis.localStorage?.setItem(TUNING_STORAGE_KEY, JSON.stringify(store));
+  } catch (error) {
+    console.warn('Unable to store tuning', error);
+  }
+}
+
+/**
+ * Look up the stored tuning of a sorter on an adapter
+ * @param {GPUAdapterInfo|null|undefined} adapterInfo - Adapter the tuning was measured on
+ * @param {string} sorterId - Sorter class TUNING_ID
+ * @returns {{params: Object<string, number>, nsPerKey: number, sizes: number[], tunedAt: string}|null} Stored tuning
+ */
+export function loadTuning(adapterInfo, sorterId) {
+  const key = adapterTuningKey(adapterInfo);
+  return key ? readStore()[key]?.[sorterId] ?? null : null;
+}
+
+/**
+ * Store a sorter's tuning for an adapter, replacing any earlier one
+ * @param {GPUAdapterInfo|null|undefined} adapterInfo - Adapter the tuning was measured on
+ * @param {string} sorterId - Sorter class TUNING_ID
+ * @param {{params: Object<string, number>, nsPerKey: number, sizes: number[], tunedAt: string}} tuning - Winning
+ *   template parameters and how they were measured
+ */
+export function saveTuning(adapterInfo, sorterId, tuning) {
+  const key = adapterTuningKey(adapterInfo);
+  if (!key) {
+    return;
+  }
+  const store = readStore();
+  store[key] = { ...store[key], [sorterId]: tuning };
+  writeStore(store);
+}
+
+/**
+ * Forget the tunings stored for one adapter, or for every adapter
+ * @param {GPUAdapterInfo} [adapterInfo] - Adapter to clear; all adapters when omitted
+ */
+export function clearTuning(adapterInfo) {
+  if (!adapterInfo) {
+    globalThis.localStorage?.removeItem(TUNING_STORAGE_KEY);
+    return;
+  }
+  const store = readStore();
+  delete store[adapterTuningKey(adapterInfo)];
+  writeStore(store);
+}
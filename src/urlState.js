@@ -0,0 +1,137 @@
+/**
+ * Test configuration in the page URL
+ * Every run writes its full configuration, including the seed it actually
+ * used, to the query string, so a shared link reopens the page set up to
+ * rerun the same case. Values the page does not recognize are dropped when
+ * decoding, and the form keeps its defaults for them.
+ */
+
+import { getSorter, listSorters } from './sorting/index.js';
+import { KEY_TYPES } from './sorting/keyTypes.js';
+import { DISTRIBUTIONS } from './distributions.js';
+
+// Shader parameter overrides travel as params.<registry id>=name:value,name:value
+const SHADER_PARAMS_PREFIX = 'params.';
+
+/**
+ * Parse shader parameter overrides written as "name:value, name:value"
+ * @param {string} text - Overrides; blank for none
+ * @param {string[]} allowed - Parameter names the sorter accepts (capabilities.shaderParams)
+ * @returns {Object<string, number>|null} Integer value per parameter, or null when blank
+ */
+export function parseShaderParams(text, allowed) {
+  const params = {};
+  for (const part of text.split(',').map(item => item.trim()).filter(Boolean)) {
+    const [name, value, ...rest] = part.split(':').map(item => item.trim());
+    if (!allowed.includes(name)) {
+      throw new Error(`Unknown shader parameter "${name}"; expected one of ${allowed.join(', ')}`);
+    }
+    if (rest.length > 0 || !/^\d+$/.test(value ?? '')) {
+      throw new Error(`Shader parameter ${name} needs a non-negative integer value, as in ${name}:128`);
+    }
+    params[name] = Number(value);
+  }
+  return Object.keys(params).length > 0 ? params : null;
+}
+
+/**
+ * Write shader parameter overrides the way parseShaderParams reads them
+ * @param {Object<string, number>|null} [params] - Overrides
+ * @returns {string} e.g. "blockDim:128,keysPerThread:8"; empty without overrides
+ */
+export function formatShaderParams(params) {
+  return Object.entries(params ?? {}).map(([name, value]) => `${name}:${value}`).join(',');
+}
+
+/**
+ * Encode a test configuration as a query string
+ * @param {{mode: string, keyType: string, order: string, size: number, sweep: {from: number, to: number}|null,
+ *   benchmark: {warmup: number, trials: number}|null, distribution: string, param?: number, seed: number,
+ *   shaderParams: Object<string, Object<string, number>>}} config - Configuration of a run, with the seed it used
+ * @returns {string} Query string without the leading "?"
+ */
+export function encodeConfig({ mode, keyType, order, size, sweep, benchmark, distribution, param, seed, shaderParams }) {
+  const query = new URLSearchParams({ mode, key: keyType, order, size, dist: distribution });
+  if (param !== undefined) {
+    query.set('param', param);
+  }
+  query.set('seed', seed);
+  if (sweep) {
+    query.set('from', sweep.from);
+    query.set('to', sweep.to);
+  }
+  if (benchmark) {
+    query.set('warmup', benchmark.warmup);
+    query.set('trials', benchmark.trials);
+  }
+  for (const [id, params] of Object.entries(shaderParams)) {
+    if (params) {
+      query.set(`${SHADER_PARAMS_PREFIX}${id}`, formatShaderParams(params));
+    }
+  }
+  return query.toString();
+}
+
+/**
+ * Decode the parts of a configuration a query string carries
+ * @param {string} search - location.search, with or without the leading "?"
+ * @returns {Object} The recognized fields of encodeConfig's configuration; sweep and benchmark are present (possibly
+ *   null) only when the query carries a mode, and shaderParams holds only valid overrides
+ */
+export function decodeConfig(search) {
+  const query = new URLSearchParams(search);
+  const config = {};
+  const integer = name => {
+    const value = query.get(name);
+    return value !== null && /^\d+$/.test(value) ? Number(value) : undefined;
+  };
+  const pick = (name, valid) => (valid.includes(query.get(name)) ? query.get(name) : undefined);
+
+  config.mode = pick('mode', ['all', ...listSorters().map(entry => entry.id)]);
+  config.keyType = pick('key', Object.keys(KEY_TYPES));
+  config.order = pick('order', ['asc', 'desc']);
+  config.size = integer('size');
+  config.distribution = pick('dist', Object.keys(DISTRIBUTIONS));
+  const param = parseFloat(query.get('param'));
+  config.param = Number.isFinite(param) ? param : undefined;
+  config.seed = integer('seed');
+  if (config.seed !== undefined && config.seed > 0xFFFFFFFF) {
+    config.seed = undefined;
+  }
+
+  // A link from a run always names the mode; only then does a missing range mean "off"
+  const from = integer('from');
+  const to = integer('to');
+  const warmup = integer('warmup');
+  const trials = integer('trials');
+  if (from !== undefined && to !== undefined) {
+    config.sweep = { from, to };
+  } else if (config.mode) {
+    config.sweep = null;
+  }
+  if (warmup !== undefined && trials !== undefined) {
+    config.benchmark = { warmup, trials };
+  } else if (config.mode) {
+    config.benchmark = null;
+  }
+
+  config.shaderParams = {};
+  for (const [name, value] of query) {
+    if (!name.startsWith(SHADER_PARAMS_PREFIX)) {
+      continue;
+    }
+    const id = name.slice(SHADER_PARAMS_PREFIX.length);
+    const entry = getSorter(id);
+    if (!entry) {
+      console.warn(`Ignoring ${name} from the URL: no sorter "${id}" is registered`);
+      continue;
+    }
+    try {
+      config.shaderParams[id] = parseShaderParams(value, entry.capabilities.shaderParams);
+    } catch (error) {
+      console.warn(`Ignoring ${name} from the URL: ${error.message}`);
+    }
+  }
+
+  return Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined));
+}
@@ -2,23 +2,39 @@
  * Utility functions for WebGPU sorting comparison
  */
 
+import { sortBitsAccessor } from './sorting/keyTypes.js';
+import { generateKeys, randomSeed } from './distributions.js';
+
+/**
+ * Generate random test data for sorting as typed arrays
+ * @param {number} count - Number of elements to generate
+ * @param {number} seed - Optional seed for reproducible data
+ * @param {{keyType?: string, distribution?: string, param?: number}} [options] - Key type of the generated keys, and
+ *   the distribution they are drawn from with its parameter (see DISTRIBUTIONS in distributions.js; default uniform)
+ * @returns {{keys: Uint32Array|Int32Array|Float32Array|Uint16Array, values: Uint32Array}} Keys (u64 as (hi, lo) word pairs) and their original indices
+ */
+export function generateTestArrays(count, seed = randomSeed(), { keyType = 'u32', distribution = 'uniform', param } = {}) {
+  const keys = generateKeys(count, { keyType, distribution, param, seed });
+  const values = new Uint32Array(count);
+  for (let i = 0; i < count; i++) {
+    values[i] = i; // Original index as payload
+  }
+  
+  return { keys, values };
+}
+
 /**
  * Generate random test data for sorting
  * @param {number} count - Number of elements to generate
  * @param {number} seed - Optional seed for reproducible data
  * @returns {Array} Array of {key, value} pairs
  */
-export function generateTestData(count, seed = Math.random() * 0xFFFFFFFF) {
+export function generateTestData(count, seed = randomSeed()) {
+  const { keys, values } = generateTestArrays(count, seed);
   const data = [];
-  let rng = seed;
   
   for (let i = 0; i < count; i++) {
-    // Simple LCG random number generator for reproducible results
-    rng = (rng * 1664525 + 1013904223) % 0x100000000;
-    const key = rng >>> 0; // Ensure unsigned 32-bit
-    const value = i; // Original index as payload
-    
-    data.push({ key, value });
+    data.push({ key: keys[i], value: values[i] });
   }
   
   return data;
@@ -26,15 +42,20 @@ export function generateTestData(count, seed = Math.random() * 0xFFFFFFFF) {
 
 /**
  * Validate that array is properly sorted
- * @param {Array} data - Array of {key, value} pairs to validate
+ * Keys are compared by their order-preserving sort bits, so signed and float
+ * keys (including -0, infinities and NaNs) follow the radix sorters' order.
+ * @param {Array|ArrayBufferView} data - Sorted keys, or array of {key, value} pairs to validate
+ * @param {{keyType?: string, order?: string}} [options] - Key type of the data and the expected order, 'asc' or 'desc'
  * @returns {{isSorted: boolean, errors: number, firstError: number}} Validation results
  */
-export function validateSort(data) {
+export function validateSort(data, { keyType = 'u32', order = 'asc' } = {}) {
+  const { count, bitsAt } = sortBitsAccessor(data, keyType);
+  const descending = order === 'desc';
   let errors = 0;
   let firstError = -1;
   
-  for (let i = 1; i < data.length; i++) {
-    if (data[i - 1].key > data[i].key) {
+  for (let i = 1; i < count; i++) {
+    if (descending ? bitsAt(i - 1) < bitsAt(i) : bitsAt(i - 1) > bitsAt(i)) {
       errors++;
       if (firstError === -1) {
         firstError = i;
@@ -49,21 +70,50 @@ export function validateSort(data) {
   };
 }
 
+/**
+ * Check a segmented sort's offsets: segmentCount + 1 ascending indices from 0
+ * to the key count, so segment s spans [offsets[s], offsets[s + 1])
+ * @param {string} name - Caller name for error messages
+ * @param {Uint32Array} segmentOffsets - Segment boundaries
+ * @param {number} count - Number of keys
+ */
+export function checkSegmentOffsets(name, segmentOffsets, count) {
+  if (!(segmentOffsets instanceof Uint32Array) || segmentOffsets.length < 2) {
+    throw new Error(`${name}: segmentOffsets must be a Uint32Array of at least 2 offsets`);
+  }
+  const last = segmentOffsets.length - 1;
+  if (segmentOffsets[0] !== 0 || segmentOffsets[last] !== count) {
+    throw new Error(`${name}: segmentOffsets must start at 0 and end at the key count ${count}`);
+  }
+  for (let s = 1; s <= last; s++) {
+    if (segmentOffsets[s] < segmentOffsets[s - 1]) {
+      throw new Error(`${name}: segmentOffsets must be non-decreasing (offset ${s} is ${segmentOffsets[s]})`);
+    }
+  }
+}
+
 /**
  * Compare two sorted arrays for equality
- * @param {Array} arr1 - First sorted array
- * @param {Array} arr2 - Second sorted array  
+ * Arrays sorted in opposite orders are compared with the second one reversed.
+ * @param {Array|ArrayBufferView} arr1 - First sorted array (keys or {key, value} pairs)
+ * @param {Array|ArrayBufferView} arr2 - Second sorted array (keys or {key, value} pairs)
+ * @param {{keyType?: string, order?: string|string[]}} [options] - Key type of both arrays, and the order ('asc' or
+ *   'desc') they were sorted in, or an [order1, order2] pair; keys are compared bit for bit
  * @returns {{match: boolean, differences: number}} Comparison results
  */
-export function compareArrays(arr1, arr2) {
-  if (arr1.length !== arr2.length) {
-    return { match: false, differences: Math.abs(arr1.length - arr2.length) };
+export function compareArrays(arr1, arr2, { keyType = 'u32', order = 'asc' } = {}) {
+  const [order1, order2 = order1] = [].concat(order);
+  const keys1 = sortBitsAccessor(arr1, keyType);
+  const keys2 = sortBitsAccessor(arr2, keyType);
+  if (keys1.count !== keys2.count) {
+    return { match: false, differences: Math.abs(keys1.count - keys2.count) };
   }
+  const index2 = order1 === order2 ? i => i : i => keys2.count - 1 - i;
   
   let differences = 0;
   
-  for (let i = 0; i < arr1.length; i++) {
-    if (arr1[i].key !== arr2[i].key) {
+  for (let i = 0; i < keys1.count; i++) {
+    if (keys1.bitsAt(i) !== keys2.bitsAt(index2(i))) {
       differences++;
     }
   }
@@ -98,6 +148,42 @@ export function formatNumber(num) {
   return num.toLocaleString();
 }
 
+/**
+ * Format a byte count in binary units
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size string
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  } else if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KiB`;
+  } else if (bytes < 1024 * 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MiB`;
+  } else {
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GiB`;
+  }
+}
+
+/**
+ * Format a sorting rate in keys per second
+ * @param {number} keysPerSecond - Keys sorted per second
+ * @returns {string} Formatted rate with a K/M/G prefix
+ */
+export function formatThroughput(keysPerSecond) {
+  if (!Number.isFinite(keysPerSecond)) {
+    return 'n/a';
+  } else if (keysPerSecond < 1e3) {
+    return `${keysPerSecond.toFixed(0)} keys/s`;
+  } else if (keysPerSecond < 1e6) {
+    return `${(keysPerSecond / 1e3).toFixed(1)} K keys/s`;
+  } else if (keysPerSecond < 1e9) {
+    return `${(keysPerSecond / 1e6).toFixed(1)} M keys/s`;
+  } else {
+    return `${(keysPerSecond / 1e9).toFixed(2)} G keys/s`;
+  }
+}
+
 /**
  * Create a GPU buffer and upload data
  * @param {GPUDevice} device - WebGPU device
@@ -144,6 +230,46 @@ export async function readBuffer(device, buffer, size) {
   return arrayBuffer;
 }
 
+/**
+ * Resolve #if / #else / #endif blocks in WGSL source
+ * Directives sit on their own line; `#if NAME` is taken when defines[NAME] is truthy
+ * and `#if !NAME` when it is not. Blocks nest, and dropped lines are blanked so
+ * compiler line numbers still match the source file.
+ * @param {string} source - WGSL source with directives
+ * @param {Object<string, boolean>} defines - Flags that select the variant
+ * @returns {string} Plain WGSL
+ */
+export function preprocessShader(source, defines = {}) {
+  const stack = [];
+  const lines = source.split('\n').map((line, index) => {
+    const directive = line.trim().match(/^#(if|else|endif)\b\s*(!?)(\w*)/);
+    if (!directive) {
+      return stack.every(frame => frame.active) ? line : '';
+    }
+
+    const [, keyword, negate, name] = directive;
+    if (keyword === 'if') {
+      if (!name) {
+        throw new Error(`Shader preprocessor: #if without a name at line ${index + 1}`);
+      }
+      stack.push({ active: Boolean(defines[name]) !== (negate === '!') });
+    } else if (stack.length === 0) {
+      throw new Error(`Shader preprocessor: #${keyword} without #if at line ${index + 1}`);
+    } else if (keyword === 'else') {
+      const frame = stack[stack.length - 1];
+      frame.active = !frame.active;
+    } else {
+      stack.pop();
+    }
+    return '';
+  });
+
+  if (stack.length !== 0) {
+    throw new Error('Shader preprocessor: unterminated #if');
+  }
+  return lines.join('\n');
+}
+
 /**
  * Load shader from file
  * @param {string} path - Path to shader file (relative to project root)